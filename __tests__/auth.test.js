@@ -0,0 +1,218 @@
+import { createRequest, createResponse, cookiesFrom, createSigner, jsonResponse } from "./helpers";
+import login from "@/pages/api/auth/login";
+import callback from "@/pages/api/auth/callback";
+import logout from "@/pages/api/auth/logout";
+import { getSession, saveSession } from "@/lib/session";
+
+const ISSUER = "https://fhir.example.org/r4";
+const SMART_CONFIG = {
+  authorization_endpoint: "https://auth.example.org/authorize",
+  token_endpoint: "https://auth.example.org/token",
+  issuer: "https://auth.example.org",
+  jwks_uri: "https://auth.example.org/jwks",
+  revocation_endpoint: "https://auth.example.org/revoke",
+};
+
+beforeEach(() => {
+  process.env.SESSION_SECRET = "test-secret-test-secret-test-secret!";
+  process.env.SMART_CLIENTS = JSON.stringify([
+    { issuer: ISSUER, vendor: "generic", clientId: "test-client", redirectUri: "http://localhost:3000/api/auth/callback" },
+  ]);
+  global.fetch = jest.fn();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Run /api/auth/login and return the session cookies and the authorize URL it redirected to
+const startLogin = async (launch = "launch-123") => {
+  global.fetch.mockResolvedValueOnce(jsonResponse(SMART_CONFIG));
+  const res = createResponse();
+  await login(createRequest({ query: { iss: ISSUER, launch } }), res);
+  return { cookies: cookiesFrom(res), authorizeUrl: new URL(res.redirectUrl) };
+};
+
+const runCallback = async (cookies, query) => {
+  const res = createResponse();
+  await callback(createRequest({ query, cookies }), res);
+  return res;
+};
+
+describe("login", () => {
+  it("redirects to the authorize endpoint with PKCE and the launch token", async () => {
+    const { authorizeUrl, cookies } = await startLogin();
+    expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(SMART_CONFIG.authorization_endpoint);
+    expect(authorizeUrl.searchParams.get("launch")).toBe("launch-123");
+    expect(authorizeUrl.searchParams.get("aud")).toBe(ISSUER);
+    expect(authorizeUrl.searchParams.get("code_challenge_method")).toBe("S256");
+    const session = getSession(createRequest({ cookies }));
+    expect(session.pending.state).toBe(authorizeUrl.searchParams.get("state"));
+    expect(session.pending.launchMode).toBe("ehr");
+  });
+
+  it("requests SMART v2 scopes from servers that support them", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ ...SMART_CONFIG, capabilities: ["permission-v2"] }));
+    const res = createResponse();
+    await login(createRequest({ query: { iss: ISSUER } }), res);
+    const scope = new URL(res.redirectUrl).searchParams.get("scope").split(" ");
+    expect(scope).toEqual(expect.arrayContaining(["launch/patient", "user/Observation.crus", "user/Patient.rs"]));
+    expect(getSession(createRequest({ cookies: cookiesFrom(res) })).pending.requestedScope).toBe(scope.join(" "));
+  });
+
+  it("reports a discovery failure back to the app", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({}, 404));
+    const res = createResponse();
+    await login(createRequest({ query: { iss: ISSUER } }), res);
+    expect(res.statusCode).toBe(302);
+    expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Discovery failed: Failed to discover endpoints: 404");
+  });
+
+  it("refuses issuers the app is not registered with, without contacting them", async () => {
+    const res = createResponse();
+    await login(createRequest({ query: { iss: "https://evil.example.org/fhir" } }), res);
+    expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Unknown FHIR server: this app is not registered with https://evil.example.org/fhir");
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("requires an issuer", async () => {
+    const res = createResponse();
+    await login(createRequest({ query: {} }), res);
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe("callback", () => {
+  it("rejects a state that does not match the pending authorization", async () => {
+    const { cookies } = await startLogin();
+    const res = await runCallback(cookies, { code: "abc", state: "forged" });
+    expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Token exchange failed: State mismatch");
+    expect(global.fetch).toHaveBeenCalledTimes(1); // discovery only, no token request
+  });
+
+  it("rejects a callback without a pending authorization", async () => {
+    const res = await runCallback({}, { code: "abc", state: "xyz" });
+    expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Token exchange failed: Missing authorization response or session");
+  });
+
+  it("passes on an authorization error from the server", async () => {
+    const { cookies } = await startLogin();
+    const res = await runCallback(cookies, { error: "access_denied", error_description: "User denied access" });
+    expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Authorization failed: User denied access");
+  });
+
+  it("clears the session when the token exchange fails", async () => {
+    const { cookies, authorizeUrl } = await startLogin();
+    global.fetch.mockResolvedValueOnce(jsonResponse('{"error":"invalid_grant"}', 400));
+    const res = await runCallback(cookies, { code: "abc", state: authorizeUrl.searchParams.get("state") });
+    expect(decodeURIComponent(res.redirectUrl)).toBe('/?error=Token exchange failed: 400 {"error":"invalid_grant"}');
+    expect(cookiesFrom(res)).toEqual({});
+  });
+
+  it("stores the tokens and patient context after a successful exchange", async () => {
+    const { cookies, authorizeUrl } = await startLogin();
+    global.fetch.mockResolvedValueOnce(jsonResponse({
+      access_token: "access-1",
+      refresh_token: "refresh-1",
+      expires_in: 3600,
+      scope: "launch user/Observation.read",
+      patient: "patient-1",
+      encounter: "encounter-1",
+    }));
+    const res = await runCallback(cookies, { code: "abc", state: authorizeUrl.searchParams.get("state") });
+    expect(res.redirectUrl).toBe("/");
+
+    const [tokenUrl, tokenRequest] = global.fetch.mock.calls[1];
+    expect(tokenUrl).toBe(SMART_CONFIG.token_endpoint);
+    expect(tokenRequest.body.get("code")).toBe("abc");
+    expect(tokenRequest.body.get("code_verifier")).toHaveLength(128);
+
+    const session = getSession(createRequest({ cookies: cookiesFrom(res) }));
+    expect(session.pending).toBeUndefined();
+    expect(session).toMatchObject({ accessToken: "access-1", patient: "patient-1", encounter: "encounter-1", issuer: ISSUER });
+    expect(session.revocationEndpoint).toBe(SMART_CONFIG.revocation_endpoint);
+    expect(session.expiresAt).toBeGreaterThan(Date.now() + 3590 * 1000);
+  });
+
+  describe("id_token", () => {
+    const signer = createSigner();
+    const idToken = (authorizeUrl, overrides = {}) => signer.sign({
+      iss: SMART_CONFIG.issuer,
+      aud: "test-client",
+      sub: "user-1",
+      nonce: authorizeUrl.searchParams.get("nonce"),
+      exp: Math.floor(Date.now() / 1000) + 300,
+      fhirUser: `${ISSUER}/Practitioner/12`,
+      ...overrides,
+    });
+
+    const exchange = async (tokenResponse) => {
+      const { cookies, authorizeUrl } = await startLogin();
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(tokenResponse(authorizeUrl)))
+        .mockResolvedValueOnce(jsonResponse(signer.jwks));
+      return runCallback(cookies, { code: "abc", state: authorizeUrl.searchParams.get("state") });
+    };
+
+    it("stores the fhirUser of a verified id_token", async () => {
+      const res = await exchange(url => ({ access_token: "access-1", scope: "openid fhirUser launch", id_token: idToken(url) }));
+      expect(res.redirectUrl).toBe("/");
+      expect(global.fetch.mock.calls[2][0]).toBe(SMART_CONFIG.jwks_uri);
+      expect(getSession(createRequest({ cookies: cookiesFrom(res) })).fhirUser).toBe(`${ISSUER}/Practitioner/12`);
+    });
+
+    it("rejects an id_token issued for another authorization request", async () => {
+      const res = await exchange(url => ({ access_token: "access-1", scope: "openid fhirUser", id_token: idToken(url, { nonce: "other" }) }));
+      expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Sign-in could not be verified: id_token nonce does not match the authorization request");
+      expect(cookiesFrom(res)).toEqual({});
+    });
+
+    it("requires an id_token when openid was granted", async () => {
+      const res = await exchange(() => ({ access_token: "access-1", scope: "openid fhirUser" }));
+      expect(decodeURIComponent(res.redirectUrl)).toBe("/?error=Sign-in could not be verified: openid was granted but no id_token was returned");
+    });
+  });
+});
+
+describe("logout", () => {
+  const sessionCookies = (session) => {
+    const res = createResponse();
+    saveSession(res, session);
+    return cookiesFrom(res);
+  };
+
+  const runLogout = async (session) => {
+    const res = createResponse();
+    await logout(createRequest({ method: "POST", cookies: sessionCookies(session) }), res);
+    return res;
+  };
+
+  const SESSION = { issuer: ISSUER, accessToken: "access-1", refreshToken: "refresh-1", revocationEndpoint: SMART_CONFIG.revocation_endpoint };
+
+  it("revokes the refresh token, then the access token, and clears the session", async () => {
+    global.fetch.mockResolvedValue(jsonResponse(undefined));
+    const res = await runLogout(SESSION);
+    expect(res.statusCode).toBe(204);
+    expect(global.fetch.mock.calls.map(([url, request]) => [url, request.body.get("token"), request.body.get("token_type_hint")])).toEqual([
+      [SMART_CONFIG.revocation_endpoint, "refresh-1", "refresh_token"],
+      [SMART_CONFIG.revocation_endpoint, "access-1", "access_token"],
+    ]);
+    expect(global.fetch.mock.calls[0][1].body.get("client_id")).toBe("test-client");
+    expect(cookiesFrom(res)).toEqual({});
+    expect(res.getHeader("clear-site-data")).toBe('"cache"');
+  });
+
+  it("still clears the session when revocation fails", async () => {
+    global.fetch.mockRejectedValue(new Error("connection refused"));
+    const res = await runLogout(SESSION);
+    expect(res.statusCode).toBe(204);
+    expect(cookiesFrom(res)).toEqual({});
+  });
+
+  it("does not contact a server that offers no revocation", async () => {
+    const res = await runLogout({ ...SESSION, revocationEndpoint: null });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(cookiesFrom(res)).toEqual({});
+  });
+});
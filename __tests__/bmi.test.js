@@ -0,0 +1,59 @@
+import { buildBmiObservation, calculateBmi, findRecentHeight } from "@/lib/bmi";
+
+const UCUM = "http://unitsofmeasure.org";
+
+const height = (id, effectiveDateTime, value, code = "cm", extra = {}) => ({
+  resourceType: "Observation",
+  id,
+  status: "final",
+  code: { coding: [{ system: "http://loinc.org", code: "8302-2", display: "Body height" }] },
+  effectiveDateTime,
+  valueQuantity: { value, unit: code, system: UCUM, code },
+  ...extra,
+});
+
+describe("calculateBmi", () => {
+  it("divides kilograms by metres squared, to one decimal", () => {
+    expect(calculateBmi({ value: 70, code: "kg" }, { value: 175, code: "cm" })).toBe(22.9);
+  });
+
+  it("converts imperial units", () => {
+    expect(calculateBmi({ value: 154.3, code: "[lb_av]" }, { value: 68.9, code: "[in_i]" })).toBe(22.9);
+    expect(calculateBmi({ value: 70000, unit: "g" }, { value: 1.75, unit: "m" })).toBe(22.9);
+  });
+
+  it("gives null without usable values", () => {
+    expect(calculateBmi({ value: 70, code: "kg" }, null)).toBeNull();
+    expect(calculateBmi({ value: 70, code: "kg" }, { value: 0, code: "cm" })).toBeNull();
+    expect(calculateBmi({ value: 70, code: "kg" }, { value: 37, code: "Cel" })).toBeNull();
+  });
+});
+
+describe("findRecentHeight", () => {
+  const observations = [
+    height("h-old", "2023-01-01T08:00:00Z", 170),
+    height("h-1", "2024-04-01T08:00:00Z", 175),
+    height("h-2", "2024-04-20T08:00:00Z", 176, "cm", { status: "entered-in-error" }),
+    height("h-later", "2024-06-01T08:00:00Z", 177),
+    { resourceType: "Observation", id: "w-1", code: { coding: [{ code: "29463-7" }] }, effectiveDateTime: "2024-04-30T08:00:00Z", valueQuantity: { value: 70, code: "kg" } },
+  ];
+
+  it("takes the latest height before the weight, skipping retracted ones", () => {
+    expect(findRecentHeight(observations, "2024-05-01T08:00:00Z").id).toBe("h-1");
+  });
+
+  it("ignores heights older than the limit", () => {
+    expect(findRecentHeight(observations, "2025-07-01T08:00:00Z")).toBeNull();
+    expect(findRecentHeight(observations, "2024-05-01T08:00:00Z", 10)).toBeNull();
+  });
+});
+
+describe("buildBmiObservation", () => {
+  it("codes the BMI and refers to its sources", () => {
+    const observation = buildBmiObservation(22.9, { weight: "urn:uuid:w", height: "Observation/h-1" }, { patientId: "p1", effectiveDateTime: "2024-05-01T08:00:00.000Z" });
+    expect(observation.code.coding[0].code).toBe("39156-5");
+    expect(observation.valueQuantity).toEqual({ value: 22.9, unit: "kg/m²", system: UCUM, code: "kg/m2" });
+    expect(observation.derivedFrom.map(ref => ref.reference)).toEqual(["urn:uuid:w", "Observation/h-1"]);
+    expect(observation.subject).toEqual({ reference: "Patient/p1" });
+  });
+});
@@ -0,0 +1,91 @@
+import { findClient, getClient } from "@/lib/clients";
+import { buildAuthUrl, exchangeCode } from "@/lib/smart";
+import { jsonResponse } from "./helpers";
+
+const CALLBACK = "https://app.example.org/api/auth/callback";
+
+beforeEach(() => {
+  delete process.env.NEXT_PUBLIC_CERNER_CLIENT_ID;
+  delete process.env.NEXT_PUBLIC_CERNER_REDIRECT_URI;
+  delete process.env.NEXT_PUBLIC_DEFAULT_ISSUER;
+  delete process.env.NEXT_PUBLIC_MOCK_FHIR;
+  process.env.SMART_CLIENTS = JSON.stringify([
+    { issuer: "https://fhir-ehr-code.cerner.com/r4/*", vendor: "cerner", clientId: "cerner-app", redirectUri: CALLBACK },
+    { issuer: "https://fhir-ehr-code.cerner.com/r4/special-tenant", vendor: "cerner", clientId: "special-app", redirectUri: CALLBACK, scopes: ["user/Observation.read"] },
+    { issuer: "https://fhir.epic.example.org/api/FHIR/R4/", vendor: "epic", clientId: "epic-app", clientSecret: "s3cret", redirectUri: CALLBACK, tokenAuth: "post" },
+  ]);
+});
+
+// The scope buildAuthUrl() requests from an issuer whose server has these SMART capabilities
+const requestedScope = (issuer, capabilities = []) => {
+  const { url } = buildAuthUrl(issuer, { authorization_endpoint: "https://auth.example.org/authorize", capabilities }, null);
+  return new URL(url).searchParams.get("scope").split(" ");
+};
+
+describe("client registry", () => {
+  it("selects a registration by issuer, with the vendor's defaults", () => {
+    const client = findClient("https://fhir.epic.example.org/api/FHIR/R4");
+    expect(client).toMatchObject({ clientId: "epic-app", clientSecret: "s3cret", vendor: "epic", scopeVersion: "auto", refreshScope: null, tokenAuth: "post" });
+  });
+
+  it("asks Epic for no refresh scope, and for v2 scopes when the server offers them", () => {
+    const epic = "https://fhir.epic.example.org/api/FHIR/R4";
+    const v2 = requestedScope(epic, ["permission-v2"]);
+    expect(v2).toEqual(expect.arrayContaining(["user/Observation.crus", "user/Patient.rs"]));
+    expect(v2).not.toContain("offline_access");
+    expect(v2).not.toContain("online_access");
+    expect(requestedScope(epic)).toEqual(expect.arrayContaining(["user/Observation.read", "user/Observation.write"]));
+  });
+
+  it("asks Oracle Health for v1 scopes and online_access, and sends the secret with basic auth", async () => {
+    const cerner = "https://fhir-ehr-code.cerner.com/r4/tenant";
+    const scope = requestedScope(cerner, ["permission-v2"]);
+    expect(scope).toEqual(expect.arrayContaining(["online_access", "user/Observation.read", "user/Patient.read"]));
+    expect(scope).not.toContain("offline_access");
+    expect(scope).not.toContain("user/Observation.crus");
+
+    process.env.SMART_CLIENTS = JSON.stringify([
+      { issuer: "https://fhir-ehr-code.cerner.com/r4/*", vendor: "cerner", clientId: "cerner-app", clientSecret: "s3cret", redirectUri: CALLBACK },
+    ]);
+    global.fetch = jest.fn().mockResolvedValueOnce(jsonResponse({ access_token: "token" }));
+    await exchangeCode({ issuer: cerner, tokenEndpoint: "https://auth.example.org/token", codeVerifier: "verifier" }, "code-1");
+    const [, tokenRequest] = global.fetch.mock.calls[0];
+    expect(tokenRequest.headers.Authorization).toBe(`Basic ${Buffer.from("cerner-app:s3cret").toString("base64")}`);
+    expect(tokenRequest.body.get("client_secret")).toBeNull();
+  });
+
+  it("matches tenants under a wildcard issuer, preferring exact registrations", () => {
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/ec2458f2-1e24-41c8-b71b-0e701af7583d").clientId).toBe("cerner-app");
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/special-tenant")).toMatchObject({ clientId: "special-app", scopes: ["user/Observation.read"] });
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/")).toBeNull();
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/../admin")).toBeNull();
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/%2e%2e/admin")).toBeNull();
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/%2E%2E")).toBeNull();
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/tenant/%2e%2e/%2e%2e/admin")).toBeNull();
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/%2e%2e%2fadmin")).toBeNull();
+    expect(findClient("https://fhir-ehr-code.cerner.com/r4/tenant?x=1")).toBeNull();
+  });
+
+  it("rejects unknown issuers", () => {
+    expect(findClient("https://fhir.unknown.example.org")).toBeNull();
+    expect(() => getClient("https://fhir.unknown.example.org")).toThrow("not registered");
+  });
+
+  it("keeps the single-client variables working for the default issuer", () => {
+    delete process.env.SMART_CLIENTS;
+    process.env.NEXT_PUBLIC_CERNER_CLIENT_ID = "legacy-app";
+    process.env.NEXT_PUBLIC_CERNER_REDIRECT_URI = CALLBACK;
+    process.env.NEXT_PUBLIC_DEFAULT_ISSUER = "https://fhir-myrecord.cerner.com/r4/tenant";
+    expect(findClient("https://fhir-myrecord.cerner.com/r4/tenant")).toMatchObject({ clientId: "legacy-app", vendor: "cerner" });
+  });
+
+  it("registers the local sandbox in mock mode", () => {
+    process.env.NEXT_PUBLIC_MOCK_FHIR = "true";
+    expect(findClient("http://localhost:3000/api/mock/fhir")).toMatchObject({ clientId: "mock-client", redirectUri: "http://localhost:3000/api/auth/callback" });
+  });
+
+  it("reports a malformed registry", () => {
+    process.env.SMART_CLIENTS = JSON.stringify([{ issuer: "https://x.example.org" }]);
+    expect(() => findClient("https://x.example.org")).toThrow("needs issuer, clientId and redirectUri");
+  });
+});
@@ -0,0 +1,84 @@
+import { buildVitalsReportHtml, getExportFileName, selectExportVitals, vitalsToBundle, vitalsToCsv } from "@/lib/exportVitals";
+
+const loinc = (code, display) => ({ coding: [{ system: "http://loinc.org", code, display }], text: display });
+
+const heartRate = {
+  resourceType: "Observation",
+  id: "hr-1",
+  status: "final",
+  code: loinc("8867-4", "Heart rate"),
+  effectiveDateTime: "2024-05-01T08:00:00Z",
+  valueQuantity: { value: 72, unit: "/min", system: "http://unitsofmeasure.org", code: "/min" },
+  performer: [{ reference: "Practitioner/p1" }],
+};
+
+const bloodPressure = {
+  resourceType: "Observation",
+  id: "bp-1",
+  status: "final",
+  code: loinc("85354-9", "Blood pressure panel"),
+  effectiveDateTime: "2024-05-02T08:00:00Z",
+  component: [
+    { code: loinc("8480-6", "Systolic, \"sitting\""), valueQuantity: { value: 150, unit: "mmHg", code: "mm[Hg]" } },
+    { code: loinc("8462-4", "Diastolic"), valueQuantity: { value: 80, unit: "mmHg", code: "mm[Hg]" } },
+  ],
+};
+
+const patient = { resourceType: "Patient", id: "p-1", name: [{ given: ["Ana"], family: "<Silva>" }], gender: "female", birthDate: "1970-01-01" };
+
+describe("vitals export", () => {
+  it("limits the export to the selected category, newest first", () => {
+    expect(selectExportVitals([heartRate, bloodPressure]).map(o => o.id)).toEqual(["bp-1", "hr-1"]);
+    expect(selectExportVitals([heartRate, bloodPressure], { category: "Heart Rate" }).map(o => o.id)).toEqual(["hr-1"]);
+  });
+
+  it("writes one CSV row per observation or component", () => {
+    const lines = vitalsToCsv([bloodPressure, heartRate]).trim().split("\r\n");
+    expect(lines[0]).toBe("observation_id,effective,vital,component,loinc,value,unit,interpretation,status,performer,encounter");
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toBe('bp-1,2024-05-02T08:00:00Z,Blood Pressure,"Systolic, ""sitting""",8480-6,150,mm[Hg],High,final,,');
+    expect(lines[3]).toBe("hr-1,2024-05-01T08:00:00Z,Heart Rate,,8867-4,72,/min,Normal,final,Practitioner/p1,");
+  });
+
+  it("keeps spreadsheets from running text in CSV cells as formulas", () => {
+    const tampered = {
+      ...heartRate,
+      performer: [{ reference: "=HYPERLINK(\"https://evil.example\",\"x\")" }],
+      encounter: { reference: "@SUM(1+1)" },
+      component: [
+        { code: { text: "+cmd|' /C calc'!A0" }, valueQuantity: { value: -1, unit: "/min", code: "/min" } },
+        { code: { text: "-2+3" }, valueQuantity: { value: 5, unit: "/min", code: "/min" } },
+        { code: { text: "\tTab" }, valueQuantity: { value: 5, unit: "/min", code: "/min" } },
+      ],
+    };
+    delete tampered.valueQuantity;
+    const lines = vitalsToCsv([tampered]).trim().split("\r\n");
+    expect(lines[1]).toContain(`"'=HYPERLINK(""https://evil.example"",""x"")"`);
+    expect(lines[1]).toContain(",'@SUM(1+1)");
+    expect(lines[1]).toContain(",'+cmd|' /C calc'!A0,");
+    expect(lines[1]).toContain(",-1,");
+    expect(lines[2]).toContain(",'-2+3,");
+    expect(lines[3]).toContain(",'\tTab,");
+  });
+
+  it("builds a collection Bundle with the patient first", () => {
+    const bundle = vitalsToBundle([heartRate], patient, "https://fhir.example.org/r4/");
+    expect(bundle).toMatchObject({ resourceType: "Bundle", type: "collection" });
+    expect(bundle.entry.map(e => e.fullUrl)).toEqual(["https://fhir.example.org/r4/Patient/p-1", "https://fhir.example.org/r4/Observation/hr-1"]);
+  });
+
+  it("escapes patient data in the printable report", () => {
+    const html = buildVitalsReportHtml({ patient, observations: [heartRate], filters: { category: "Heart Rate" } });
+    expect(html).toContain("Ana &lt;Silva&gt;");
+    expect(html).toContain("Heart Rate · 1 observation ·");
+  });
+
+  it("describes the search filters in the report header", () => {
+    const html = buildVitalsReportHtml({ patient, observations: [], filters: { category: null, search: "Last 7 days · Final" } });
+    expect(html).toContain("All vitals · Last 7 days · Final · 0 observations ·");
+  });
+
+  it("names files after the patient and filter", () => {
+    expect(getExportFileName(patient, { category: "Blood Pressure" }, "csv")).toMatch(/^vitals-p-1-blood-pressure-\d{4}-\d{2}-\d{2}\.csv$/);
+  });
+});
@@ -0,0 +1,139 @@
+import { jsonResponse } from "./helpers";
+import { search, searchAll, nextPage, getNextLink, create, transaction, FhirError, NetworkError, SessionExpiredError } from "@/lib/fhirClient";
+
+const bundle = (links) => ({ resourceType: "Bundle", type: "searchset", link: links, entry: [] });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("request", () => {
+  it("sends searches through the proxy with repeated parameters", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(bundle([])));
+    await search("Observation", { patient: "p1", date: ["ge2024-01-01", "le2024-02-01"], code: "" });
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/fhir/Observation?patient=p1&date=ge2024-01-01&date=le2024-02-01");
+  });
+
+  it("refreshes the session once on a 401 and retries", async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({}, 401))
+      .mockResolvedValueOnce(jsonResponse({ authenticated: true }))
+      .mockResolvedValueOnce(jsonResponse(bundle([])));
+    await expect(search("Observation", { patient: "p1" })).resolves.toMatchObject({ resourceType: "Bundle" });
+    expect(global.fetch.mock.calls.map(call => call[0])).toEqual([
+      "/api/fhir/Observation?patient=p1",
+      "/api/auth/refresh",
+      "/api/fhir/Observation?patient=p1",
+    ]);
+  });
+
+  it("shares one refresh between concurrent requests", async () => {
+    global.fetch.mockImplementation(async (url) => {
+      if (url === "/api/auth/refresh") return jsonResponse({ authenticated: true });
+      const calls = global.fetch.mock.calls.filter(call => call[0] === url).length;
+      return calls === 1 ? jsonResponse({}, 401) : jsonResponse(bundle([]));
+    });
+    await Promise.all([search("Observation"), search("Patient")]);
+    expect(global.fetch.mock.calls.filter(call => call[0] === "/api/auth/refresh")).toHaveLength(1);
+  });
+
+  it("gives up with SessionExpiredError when the refresh fails", async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({}, 401))
+      .mockResolvedValueOnce(jsonResponse({ error: "Refresh failed" }, 401));
+    await expect(search("Observation")).rejects.toBeInstanceOf(SessionExpiredError);
+  });
+
+  it("gives up with SessionExpiredError when the retry is still unauthorized", async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({}, 401))
+      .mockResolvedValueOnce(jsonResponse({ authenticated: true }))
+      .mockResolvedValueOnce(jsonResponse({}, 401));
+    await expect(search("Observation")).rejects.toBeInstanceOf(SessionExpiredError);
+  });
+
+  it("throws FhirError with the OperationOutcome on other errors", async () => {
+    const outcome = { resourceType: "OperationOutcome", issue: [{ severity: "error", code: "invalid" }] };
+    global.fetch.mockResolvedValueOnce(jsonResponse(outcome, 422));
+    const error = await create({ resourceType: "Observation" }).catch(e => e);
+    expect(error).toBeInstanceOf(FhirError);
+    expect(error.status).toBe(422);
+    expect(error.body).toEqual(outcome);
+    expect(error.message).toBe("The server did not accept the data. The data is not valid.");
+    expect(error.issues).toEqual([{ severity: "error", code: "invalid", message: "The data is not valid.", expression: [] }]);
+  });
+
+  it("posts transactions to the server base", async () => {
+    const response = { resourceType: "Bundle", type: "transaction-response", entry: [] };
+    global.fetch.mockResolvedValueOnce(jsonResponse(response));
+    await expect(transaction({ resourceType: "Bundle", type: "transaction", entry: [] })).resolves.toEqual(response);
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/fhir");
+    expect(global.fetch.mock.calls[0][1].method).toBe("POST");
+  });
+
+  it("throws NetworkError when the proxy cannot be reached", async () => {
+    global.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    await expect(search("Observation")).rejects.toBeInstanceOf(NetworkError);
+  });
+});
+
+describe("paging", () => {
+  it("finds the next link only when there is one", () => {
+    expect(getNextLink(bundle([{ relation: "self", url: "/api/fhir/Observation" }]))).toBeNull();
+    expect(getNextLink(bundle([{ relation: "next", url: "/api/fhir/Observation?page=2" }]))).toBe("/api/fhir/Observation?page=2");
+    expect(getNextLink({ resourceType: "Bundle" })).toBeNull();
+    expect(getNextLink(null)).toBeNull();
+  });
+
+  it("resolves to null on the last page without a request", async () => {
+    await expect(nextPage(bundle([{ relation: "self", url: "/api/fhir/Observation" }]))).resolves.toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("requests a rewritten next link through the proxy once", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(bundle([])));
+    await nextPage(bundle([{ relation: "next", url: "/api/fhir/Observation?patient=p1&_getpages=abc" }]));
+    expect(global.fetch.mock.calls[0][0]).toBe("/api/fhir/Observation?patient=p1&_getpages=abc");
+  });
+});
+
+describe("searchAll", () => {
+  it("follows next links and keeps only the requested type", async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({
+        resourceType: "Bundle",
+        link: [{ relation: "next", url: "/api/fhir/Observation?_offset=1" }],
+        entry: [{ resource: { resourceType: "Observation", id: "1" } }, { resource: { resourceType: "OperationOutcome" } }],
+      }))
+      .mockResolvedValueOnce(jsonResponse({ resourceType: "Bundle", entry: [{ resource: { resourceType: "Observation", id: "2" } }] }));
+    const resources = await searchAll("Observation", { category: "laboratory" });
+    expect(resources.map(r => r.id)).toEqual(["1", "2"]);
+  });
+
+  it("keeps included resources once each, after the matches", async () => {
+    const included = { resource: { resourceType: "Observation", id: "o1" }, search: { mode: "include" } };
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({
+        resourceType: "Bundle",
+        link: [{ relation: "next", url: "/api/fhir/DiagnosticReport?_offset=1" }],
+        entry: [{ resource: { resourceType: "DiagnosticReport", id: "r1" }, search: { mode: "match" } }, included],
+      }))
+      .mockResolvedValueOnce(jsonResponse({
+        resourceType: "Bundle",
+        entry: [{ resource: { resourceType: "DiagnosticReport", id: "r2" }, search: { mode: "match" } }, included],
+      }));
+    const resources = await searchAll("DiagnosticReport", { _include: "DiagnosticReport:result" });
+    expect(resources.map(r => `${r.resourceType}/${r.id}`)).toEqual(["DiagnosticReport/r1", "DiagnosticReport/r2", "Observation/o1"]);
+  });
+
+  it("stops at the page limit", async () => {
+    global.fetch.mockResolvedValue(jsonResponse(bundle([{ relation: "next", url: "/api/fhir/Observation?_offset=1" }])));
+    await searchAll("Observation", {}, 3);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
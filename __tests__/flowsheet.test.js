@@ -0,0 +1,56 @@
+import { buildFlowsheet, getBucketStart } from "@/lib/flowsheet";
+import { groupVitalsByCategory } from "@/lib/vitals";
+
+const vital = (id, code, display, effectiveDateTime, extra = {}) => ({
+  resourceType: "Observation",
+  id,
+  status: "final",
+  code: { coding: [{ system: "http://loinc.org", code, display }] },
+  effectiveDateTime,
+  valueQuantity: { value: 72, unit: "/min", system: "http://unitsofmeasure.org", code: "/min" },
+  ...extra,
+});
+
+// Local times, so bucketing is independent of the test machine's time zone
+const at = (hour, minute = 0, day = 1) => new Date(2024, 4, day, hour, minute).toISOString();
+
+describe("getBucketStart", () => {
+  it("floors to whole intervals from local midnight", () => {
+    expect(getBucketStart(at(8, 47), 60)).toEqual(new Date(2024, 4, 1, 8));
+    expect(getBucketStart(at(8, 47), 15)).toEqual(new Date(2024, 4, 1, 8, 45));
+    expect(getBucketStart(at(15, 10), 8 * 60)).toEqual(new Date(2024, 4, 1, 8));
+    expect(getBucketStart(at(23, 59), 24 * 60)).toEqual(new Date(2024, 4, 1));
+  });
+});
+
+describe("buildFlowsheet", () => {
+  const observations = [
+    vital("hr-1", "8867-4", "Heart rate", at(8, 5)),
+    vital("hr-2", "8867-4", "Heart rate", at(8, 40)),
+    vital("hr-3", "8867-4", "Heart rate", at(12, 0), { status: "entered-in-error" }),
+    vital("temp-1", "8310-5", "Body temperature", at(10, 15), { valueQuantity: { value: 37, unit: "Cel", code: "Cel" } }),
+    vital("other-1", "9999-9", "Pain score", at(9, 0), { valueQuantity: { value: 3 } }),
+  ];
+
+  it("makes columns oldest to newest where something was charted", () => {
+    const { columns } = buildFlowsheet(groupVitalsByCategory(observations), 60);
+    expect(columns.map(column => column.start)).toEqual([new Date(2024, 4, 1, 8), new Date(2024, 4, 1, 9), new Date(2024, 4, 1, 10)]);
+  });
+
+  it("puts a bucket's values in one cell, newest first, without retracted values", () => {
+    const { columns, rows } = buildFlowsheet(groupVitalsByCategory(observations), 60);
+    const heartRate = rows.find(row => row.name === "Heart Rate");
+    expect(heartRate.cells[columns[0].key].map(obs => obs.id)).toEqual(["hr-2", "hr-1"]);
+    expect(Object.keys(heartRate.cells)).toHaveLength(1);
+  });
+
+  it("orders rows like the vital registry, unknown vitals last", () => {
+    const { rows } = buildFlowsheet(groupVitalsByCategory(observations), 60);
+    expect(rows.map(row => row.name)).toEqual(["Temperature", "Heart Rate", "Pain score"]);
+  });
+
+  it("merges columns for longer intervals", () => {
+    const { columns } = buildFlowsheet(groupVitalsByCategory(observations), 24 * 60);
+    expect(columns).toHaveLength(1);
+  });
+});
@@ -0,0 +1,74 @@
+import crypto from "crypto";
+
+/**
+ * Minimal stand-ins for the Next.js API request/response and fetch Response objects.
+ */
+
+export const createRequest = ({ method = "GET", query = {}, headers = {}, cookies = {} } = {}) => ({
+  method,
+  query,
+  headers,
+  cookies,
+});
+
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    redirectUrl: null,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end(body) {
+      res.body = body;
+      return res;
+    },
+    redirect(code, url) {
+      res.statusCode = code;
+      res.redirectUrl = url;
+      return res;
+    },
+  };
+  return res;
+};
+
+// Cookies set on a response, as name -> value, ready to send back on the next request
+export const cookiesFrom = (res) => {
+  const setCookie = [].concat(res.getHeader("set-cookie") || []);
+  return Object.fromEntries(setCookie
+    .map(cookie => cookie.split(";")[0].split(/=(.*)/s).slice(0, 2))
+    .filter(([, value]) => value));
+};
+
+export const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => (body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body)),
+});
+
+// An RS256 signing key with its JWKS, for issuing id_tokens in tests
+export const createSigner = (kid = crypto.randomUUID()) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const segment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return {
+    jwks: { keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig" }] },
+    sign: (claims) => {
+      const input = `${segment({ alg: "RS256", typ: "JWT", kid })}.${segment(claims)}`;
+      return `${input}.${crypto.sign("sha256", Buffer.from(input), privateKey).toString("base64url")}`;
+    },
+  };
+};
@@ -0,0 +1,89 @@
+import {
+  formatReferenceRange,
+  getAnalyteHistory,
+  getAnalyteKey,
+  getReferenceBounds,
+  getReportPanel,
+  groupReportsByPanel,
+  getMissingResultIds,
+  linkReportResults
+} from "@/lib/labs";
+
+const LOINC = "http://loinc.org";
+
+const result = (id, code, time, value, extra = {}) => ({
+  resourceType: "Observation",
+  id,
+  status: "final",
+  code: { coding: [{ system: LOINC, code, display: `Test ${code}` }] },
+  effectiveDateTime: time,
+  valueQuantity: { value, unit: "mmol/L", code: "mmol/L" },
+  ...extra,
+});
+
+const report = (id, code, time, resultIds) => ({
+  resourceType: "DiagnosticReport",
+  id,
+  status: "final",
+  code: { coding: [{ system: LOINC, code, display: `Panel ${code}` }] },
+  effectiveDateTime: time,
+  result: resultIds.map(r => ({ reference: `Observation/${r}` })),
+});
+
+describe("reports and panels", () => {
+  it("recognises known panels and falls back to the report's code", () => {
+    expect(getReportPanel(report("r1", "58410-2", "2024-01-01", [])).key).toBe("cbc");
+    expect(getReportPanel(report("r2", "51990-0", "2024-01-01", [])).label).toBe("Basic Metabolic Panel (BMP)");
+    expect(getReportPanel(report("r3", "1234-5", "2024-01-01", []))).toEqual({ key: "code:1234-5", label: "Panel 1234-5" });
+  });
+
+  it("links results to reports in report order and keeps the rest apart", () => {
+    const observations = [result("a", "2951-2", "2024-01-01", 140), result("b", "2823-3", "2024-01-01", 4.1), result("c", "2345-7", "2024-01-01", 90)];
+    const { reports, unreported } = linkReportResults([report("r1", "51990-0", "2024-01-01", ["b", "a", "missing"])], observations);
+    expect(reports[0].results.map(r => r.id)).toEqual(["b", "a"]);
+    expect(unreported.map(r => r.id)).toEqual(["c"]);
+  });
+
+  it("links results fetched with the reports even outside the laboratory category", () => {
+    const labs = [result("a", "2951-2", "2024-01-01", 140)];
+    const included = [result("x", "2345-7", "2024-01-01", 5.2, { category: [] })];
+    const rpt = report("r1", "51990-0", "2024-01-01", ["a", "x", "y"]);
+    const { reports, unreported } = linkReportResults([rpt], labs, included);
+    expect(reports[0].results.map(r => r.id)).toEqual(["a", "x"]);
+    expect(unreported).toEqual([]);
+    expect(getMissingResultIds([rpt], [...labs, ...included])).toEqual(["y"]);
+  });
+
+  it("groups reports by panel, newest first", () => {
+    const { reports } = linkReportResults([
+      report("old-bmp", "51990-0", "2024-01-01", []),
+      report("cbc", "58410-2", "2024-01-05", []),
+      report("new-bmp", "24321-2", "2024-01-10", []),
+    ], []);
+    const panels = groupReportsByPanel(reports);
+    expect(panels.map(p => p.key)).toEqual(["bmp", "cbc"]);
+    expect(panels[0].reports.map(r => r.report.id)).toEqual(["new-bmp", "old-bmp"]);
+  });
+});
+
+describe("analytes", () => {
+  it("collects one analyte's history oldest first, without retracted results", () => {
+    const observations = [
+      result("1", "2345-7", "2024-01-03", 95),
+      result("2", "2345-7", "2024-01-01", 88),
+      result("3", "2951-2", "2024-01-02", 140),
+      result("4", "2345-7", "2024-01-02", 300, { status: "entered-in-error" }),
+    ];
+    expect(getAnalyteHistory(observations, getAnalyteKey(observations[0])).map(o => o.id)).toEqual(["2", "1"]);
+  });
+
+  it("describes reference ranges", () => {
+    const range = (referenceRange) => ({ referenceRange: [referenceRange] });
+    expect(formatReferenceRange(range({ low: { value: 135, unit: "mmol/L" }, high: { value: 145, unit: "mmol/L" } }))).toBe("135–145 mmol/L");
+    expect(formatReferenceRange(range({ low: { value: 60, unit: "mL/min" } }))).toBe("≥ 60 mL/min");
+    expect(formatReferenceRange(range({ text: "Negative" }))).toBe("Negative");
+    expect(formatReferenceRange({})).toBe("");
+    expect(getReferenceBounds(range({ low: { value: 4 }, high: { value: 11 } }))).toEqual({ low: 4, high: 11 });
+    expect(getReferenceBounds(range({ text: "Negative" }))).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { getLaunchStep } from "@/lib/launch";
+import { buildAuthUrl, generateCodeChallenge } from "@/lib/smart";
+
+beforeEach(() => {
+  process.env.SMART_CLIENTS = JSON.stringify([
+    { issuer: "https://fhir.example.org", clientId: "test-client", redirectUri: "http://localhost:3000/api/auth/callback" },
+  ]);
+});
+
+describe("getLaunchStep", () => {
+  it("offers a standalone launch without a session", () => {
+    expect(getLaunchStep({ authenticated: false }, null).step).toBe("standalone");
+  });
+
+  it("loads the patient from the token", () => {
+    expect(getLaunchStep({ authenticated: true, launchMode: "ehr", patient: "p1" }, null)).toEqual({ step: "fetch-patient", patientId: "p1", error: null });
+  });
+
+  it("reuses stored patient data only for the same patient", () => {
+    const session = { authenticated: true, launchMode: "ehr", patient: "p1" };
+    expect(getLaunchStep(session, { id: "p1" }).step).toBe("success");
+    expect(getLaunchStep(session, { id: "p2" }).step).toBe("fetch-patient");
+  });
+
+  it("lets the user pick a patient after a standalone launch", () => {
+    expect(getLaunchStep({ authenticated: true, launchMode: "standalone", patient: null }, null).step).toBe("select-patient");
+  });
+
+  it("fails an EHR launch without patient context", () => {
+    const next = getLaunchStep({ authenticated: true, launchMode: "ehr", patient: null }, { id: "p1" });
+    expect(next.step).toBe("error");
+    expect(next.error).toMatch(/No patient context found in token/);
+  });
+});
+
+describe("buildAuthUrl", () => {
+  const config = { authorization_endpoint: "https://auth.example.org/authorize", token_endpoint: "https://auth.example.org/token" };
+
+  it("computes the PKCE challenge from the RFC 7636 example", () => {
+    expect(generateCodeChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk")).toBe("E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM");
+  });
+
+  it("asks for launch/patient on a standalone launch", () => {
+    const { url, pending } = buildAuthUrl("https://fhir.example.org", config, null);
+    const params = new URL(url).searchParams;
+    expect(params.get("scope").split(" ")).toContain("launch/patient");
+    expect(params.has("launch")).toBe(false);
+    expect(pending.launchMode).toBe("standalone");
+    expect(params.get("code_challenge")).toBe(generateCodeChallenge(pending.codeVerifier));
+  });
+
+  it("uses a new state for every launch", () => {
+    expect(buildAuthUrl("https://fhir.example.org", config, "x").pending.state)
+      .not.toBe(buildAuthUrl("https://fhir.example.org", config, "x").pending.state);
+  });
+});
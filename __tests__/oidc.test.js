@@ -0,0 +1,64 @@
+import { createSigner, jsonResponse } from "./helpers";
+import { discoverOpenIdConfig, verifyIdToken } from "@/lib/oidc";
+
+const ISSUER = "https://auth.example.org";
+const JWKS_URI = "https://auth.example.org/jwks";
+const expected = { jwksUri: JWKS_URI, issuer: ISSUER, audience: "test-client", nonce: "nonce-1" };
+
+const claims = (overrides = {}) => ({
+  iss: ISSUER,
+  aud: "test-client",
+  sub: "user-1",
+  nonce: "nonce-1",
+  exp: Math.floor(Date.now() / 1000) + 300,
+  fhirUser: "https://fhir.example.org/r4/Practitioner/12",
+  ...overrides,
+});
+
+let signer;
+
+beforeEach(() => {
+  // A new kid per test makes the client refetch the key set instead of using its cache
+  signer = createSigner();
+  global.fetch = jest.fn().mockImplementation(async () => jsonResponse(signer.jwks));
+});
+
+describe("verifyIdToken", () => {
+  it("returns the claims of a valid token", async () => {
+    const result = await verifyIdToken(signer.sign(claims()), expected);
+    expect(result.fhirUser).toBe("https://fhir.example.org/r4/Practitioner/12");
+    expect(global.fetch).toHaveBeenCalledWith(JWKS_URI, expect.anything());
+  });
+
+  it("rejects a token signed with another key", async () => {
+    const forged = createSigner(signer.jwks.keys[0].kid).sign(claims());
+    await expect(verifyIdToken(forged, expected)).rejects.toThrow("id_token signature is invalid");
+  });
+
+  it.each([
+    ["issuer", { iss: "https://evil.example.org" }, "does not match"],
+    ["audience", { aud: ["other-client"] }, "not issued to this client"],
+    ["expiry", { exp: Math.floor(Date.now() / 1000) - 3600 }, "expired"],
+    ["nonce", { nonce: "replayed" }, "nonce does not match"],
+  ])("checks the %s", async (_name, overrides, message) => {
+    await expect(verifyIdToken(signer.sign(claims(overrides)), expected)).rejects.toThrow(message);
+  });
+
+  it("rejects tokens that are not signed JWTs", async () => {
+    await expect(verifyIdToken("abc.def", expected)).rejects.toThrow("not a signed JWT");
+  });
+});
+
+describe("discoverOpenIdConfig", () => {
+  it("uses the SMART configuration when it has a jwks_uri", async () => {
+    await expect(discoverOpenIdConfig("https://fhir.example.org/r4", { jwks_uri: JWKS_URI, issuer: ISSUER }))
+      .resolves.toEqual({ jwksUri: JWKS_URI, issuer: ISSUER });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("falls back to the OpenID Connect discovery document", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ issuer: ISSUER, jwks_uri: JWKS_URI }));
+    await expect(discoverOpenIdConfig("https://fhir.example.org/r4", {})).resolves.toEqual({ jwksUri: JWKS_URI, issuer: ISSUER });
+    expect(global.fetch).toHaveBeenCalledWith("https://fhir.example.org/r4/.well-known/openid-configuration", expect.anything());
+  });
+});
@@ -0,0 +1,79 @@
+import { describeFhirError, describeIssues, getFieldErrors, parseOperationOutcome } from "@/lib/operationOutcome";
+
+const outcome = (...issue) => ({ resourceType: "OperationOutcome", issue });
+
+describe("parseOperationOutcome", () => {
+  it("reads severity, code, text and expression of each issue, most severe first", () => {
+    expect(parseOperationOutcome(outcome(
+      { severity: "warning", code: "informational", details: { text: "Unit normalised" } },
+      { severity: "error", code: "value", diagnostics: "Value must be a number", expression: ["Observation.valueQuantity.value"] },
+    ))).toEqual([
+      { severity: "error", code: "value", message: "Value must be a number", expression: ["Observation.valueQuantity.value"] },
+      { severity: "warning", code: "informational", message: "Unit normalised", expression: [] },
+    ]);
+  });
+
+  it("falls back to the coding display, then the issue code, and keeps legacy locations", () => {
+    const [coded, bare] = parseOperationOutcome(outcome(
+      { severity: "error", code: "invalid", details: { coding: [{ code: "MSG_ERR", display: "Code not in value set" }] }, location: ["/f:Observation/f:code"] },
+      { severity: "error", code: "required" },
+    ));
+    expect(coded).toMatchObject({ message: "Code not in value set", expression: ["/f:Observation/f:code"] });
+    expect(bare.message).toBe("A required value is missing.");
+  });
+
+  it("returns no issues for other bodies", () => {
+    expect(parseOperationOutcome({ resourceType: "Patient" })).toEqual([]);
+    expect(parseOperationOutcome("Bad Gateway")).toEqual([]);
+    expect(parseOperationOutcome(null)).toEqual([]);
+  });
+});
+
+describe("describeIssues", () => {
+  it("marks warnings and leaves out information when there is something more serious", () => {
+    const issues = parseOperationOutcome(outcome(
+      { severity: "information", code: "informational", diagnostics: "Processed in 5 ms" },
+      { severity: "warning", code: "business-rule", diagnostics: "Value is unusually high" },
+      { severity: "error", code: "value", diagnostics: "Unit is not allowed" },
+    ));
+    expect(describeIssues(issues)).toBe("Unit is not allowed Warning: Value is unusually high");
+  });
+});
+
+describe("describeFhirError", () => {
+  it("explains common statuses", () => {
+    expect(describeFhirError(404, null)).toBe("The record was not found. It may have been deleted or moved.");
+    expect(describeFhirError(429, "")).toBe("The FHIR server is busy. Wait a moment and try again.");
+    expect(describeFhirError(409, null)).toMatch(/^Someone else changed this record/);
+    expect(describeFhirError(412, null)).toMatch(/^This record was changed by someone else/);
+    expect(describeFhirError(503, null)).toBe("The FHIR server had a problem (503). Try again later.");
+  });
+
+  it("adds what the server said", () => {
+    expect(describeFhirError(422, outcome({ severity: "error", code: "required", diagnostics: "Observation.subject is required" })))
+      .toBe("The server did not accept the data. Observation.subject is required");
+    expect(describeFhirError(403, { error: "Scope does not allow writing Observation" }))
+      .toBe("You do not have permission to do this: the app was not granted the access it needs. Scope does not allow writing Observation");
+  });
+
+  it("never shows a raw OperationOutcome or long HTML page", () => {
+    expect(describeFhirError(502, `<html>${"x".repeat(500)}</html>`)).toBe("The FHIR server had a problem (502). Try again later.");
+  });
+});
+
+describe("getFieldErrors", () => {
+  const getField = (expression) => ({ "Observation.valueQuantity.value": "value", "Observation.effective": "date" }[expression] || null);
+
+  it("puts issues on the fields their expression names and keeps the rest general", () => {
+    const issues = parseOperationOutcome(outcome(
+      { severity: "error", code: "value", diagnostics: "Must be a number", expression: ["Observation.valueQuantity.value"] },
+      { severity: "error", code: "value", diagnostics: "Must be positive", expression: ["Observation.valueQuantity.value"] },
+      { severity: "error", code: "required", diagnostics: "Subject is required", expression: ["Observation.subject"] },
+      { severity: "information", code: "informational", diagnostics: "Ignored", expression: ["Observation.effective"] },
+    ));
+    expect(getFieldErrors(issues, getField)).toEqual({
+      fields: { value: "Must be a number Must be positive" },
+      general: ["Subject is required"],
+    });
+  });
+});
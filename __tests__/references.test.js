@@ -0,0 +1,21 @@
+import { getReferenceLabel, parseReference, toRelativeReference } from "@/lib/references";
+
+describe("references", () => {
+  it("shortens absolute references under the issuer", () => {
+    expect(toRelativeReference("https://fhir.example.org/r4/Practitioner/12", "https://fhir.example.org/r4/")).toBe("Practitioner/12");
+    expect(toRelativeReference("Practitioner/12", "https://fhir.example.org/r4")).toBe("Practitioner/12");
+    expect(toRelativeReference("https://other.example.org/Practitioner/12", "https://fhir.example.org/r4")).toBe("https://other.example.org/Practitioner/12");
+  });
+
+  it("parses relative references only", () => {
+    expect(parseReference("Encounter/e-1/_history/2")).toEqual({ resourceType: "Encounter", id: "e-1" });
+    expect(parseReference("#contained")).toBeNull();
+    expect(parseReference("https://fhir.example.org/Encounter/1")).toBeNull();
+  });
+
+  it("labels practitioners and encounters", () => {
+    expect(getReferenceLabel({ resourceType: "Practitioner", id: "1", name: [{ prefix: ["Dr."], given: ["Ana"], family: "Silva" }] })).toBe("Dr. Ana Silva");
+    expect(getReferenceLabel({ resourceType: "Practitioner", id: "1" })).toBe("Practitioner/1");
+    expect(getReferenceLabel({ resourceType: "Encounter", id: "e", class: { display: "inpatient encounter" } })).toBe("Inpatient encounter");
+  });
+});
@@ -0,0 +1,59 @@
+import { buildResourceScopes, getDeniedScopes, hasReadScope, hasScope, parseScope } from "@/lib/scopes";
+
+describe("parseScope", () => {
+  it("reads v1 and v2 permissions", () => {
+    expect([...parseScope("user/Observation.read").permissions]).toEqual(["r", "s"]);
+    expect([...parseScope("user/Observation.write").permissions]).toEqual(["c", "u", "d"]);
+    expect([...parseScope("patient/Observation.rs").permissions]).toEqual(["r", "s"]);
+    expect(parseScope("patient/Observation.rs?category=vital-signs").query).toEqual({ category: "vital-signs" });
+  });
+
+  it("ignores scopes that are not resource scopes", () => {
+    expect(parseScope("openid")).toBeNull();
+    expect(parseScope("launch/patient")).toBeNull();
+    expect(parseScope("patient/Observation.sr")).toBeNull(); // v2 permissions must be in cruds order
+  });
+});
+
+describe("hasScope", () => {
+  it("separates create from read in v2 scopes", () => {
+    const granted = "openid patient/Observation.rs";
+    expect(hasReadScope(granted, "Observation")).toBe(true);
+    expect(hasScope(granted, "Observation", "c")).toBe(false);
+    expect(hasScope("user/Observation.write", "Observation", "c")).toBe(true);
+    expect(hasScope("user/*.cruds", "Encounter", "u")).toBe(true);
+  });
+
+  it("limits granular scopes to matching searches", () => {
+    const granted = "patient/Observation.rs?category=http://terminology.hl7.org/CodeSystem/observation-category|vital-signs";
+    expect(hasReadScope(granted, "Observation", { category: "vital-signs" })).toBe(true);
+    expect(hasReadScope(granted, "Observation", { category: "laboratory" })).toBe(false);
+    expect(hasReadScope(granted, "Observation")).toBe(false);
+  });
+
+  it("lets a category-restricted v2 grant open the page that searches that category", () => {
+    const granted = "openid launch patient/Patient.rs patient/Observation.rs?category=http://terminology.hl7.org/CodeSystem/observation-category|vital-signs";
+    expect(hasReadScope(granted, "Observation", { category: "vital-signs" })).toBe(true);
+    expect(hasReadScope(granted, "Observation", { category: "laboratory" })).toBe(false);
+  });
+
+  it("treats an empty grant as nothing granted", () => {
+    expect(hasReadScope("", "Patient")).toBe(false);
+  });
+});
+
+describe("requested scopes", () => {
+  it("requests v1 or v2 syntax", () => {
+    expect(buildResourceScopes("user", false)).toEqual(expect.arrayContaining(["user/Observation.read", "user/Observation.write", "user/Patient.read"]));
+    expect(buildResourceScopes("user", true)).toEqual(expect.arrayContaining(["user/Observation.crus", "user/Patient.rs"]));
+  });
+
+  it("reports what was denied and why it matters", () => {
+    const denied = getDeniedScopes("openid offline_access user/Observation.crus user/Patient.rs", "openid user/Observation.rs user/Patient.read");
+    expect(denied).toEqual([
+      { scope: "offline_access", purpose: "staying signed in when the access token expires" },
+      { scope: "user/Observation.crus", missing: ["create", "update"], purpose: "viewing, adding and correcting vitals and lab results" },
+    ]);
+    expect(getDeniedScopes("user/Observation.read", null)).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+import { EXPIRY_WARNING_MS, REFRESH_LEAD_MS, formatCountdown, getExpiryState, getIdleSettings, getIdleState, getLastActivity, shareActivity } from "@/lib/sessionLifetime";
+
+const NOW = Date.parse("2025-06-01T12:00:00Z");
+const MINUTE = 60 * 1000;
+
+describe("getIdleSettings", () => {
+  it("defaults to a 15 minute timeout with a minute of warning", () => {
+    expect(getIdleSettings(undefined, undefined)).toEqual({ timeoutMs: 15 * MINUTE, warningMs: MINUTE });
+  });
+
+  it("reads the configured values", () => {
+    expect(getIdleSettings("5", "30")).toEqual({ timeoutMs: 5 * MINUTE, warningMs: 30 * 1000 });
+  });
+
+  it("turns the timeout off with 0", () => {
+    expect(getIdleSettings("0", "60")).toEqual({ timeoutMs: 0, warningMs: 0 });
+  });
+
+  it("ignores values that are not numbers and keeps the warning within the timeout", () => {
+    expect(getIdleSettings("soon", "")).toEqual({ timeoutMs: 15 * MINUTE, warningMs: MINUTE });
+    expect(getIdleSettings("1", "300")).toEqual({ timeoutMs: MINUTE, warningMs: MINUTE });
+  });
+});
+
+describe("getIdleState", () => {
+  const settings = { timeoutMs: 15 * MINUTE, warningMs: MINUTE };
+
+  it("is active until the warning period", () => {
+    expect(getIdleState(NOW - 10 * MINUTE, NOW, settings)).toEqual({ state: "active", remainingMs: 5 * MINUTE });
+  });
+
+  it("warns in the last minute and locks when the timeout passes", () => {
+    expect(getIdleState(NOW - 14.5 * MINUTE, NOW, settings)).toEqual({ state: "warning", remainingMs: 30 * 1000 });
+    expect(getIdleState(NOW - 15 * MINUTE, NOW, settings).state).toBe("locked");
+  });
+
+  it("never locks without a timeout", () => {
+    expect(getIdleState(NOW - 24 * 60 * MINUTE, NOW, { timeoutMs: 0, warningMs: 0 })).toEqual({ state: "active", remainingMs: null });
+  });
+});
+
+describe("activity shared across tabs", () => {
+  const settings = { timeoutMs: 15 * MINUTE, warningMs: MINUTE };
+  const sharedStorage = () => {
+    const items = {};
+    return { getItem: key => (key in items ? items[key] : null), setItem: (key, value) => { items[key] = value; } };
+  };
+
+  it("keeps an untouched tab from locking while another tab is used", () => {
+    const storage = sharedStorage();
+    const backgroundTab = NOW - 20 * MINUTE;
+    expect(getIdleState(getLastActivity(backgroundTab, storage), NOW, settings).state).toBe("locked");
+    shareActivity(NOW - 2 * MINUTE, storage); // Input in the tab being worked in
+    expect(getIdleState(getLastActivity(backgroundTab, storage), NOW, settings)).toEqual({ state: "active", remainingMs: 13 * MINUTE });
+  });
+
+  it("locks once no tab has been used within the timeout", () => {
+    const storage = sharedStorage();
+    shareActivity(NOW - 16 * MINUTE, storage);
+    expect(getIdleState(getLastActivity(NOW - 20 * MINUTE, storage), NOW, settings).state).toBe("locked");
+  });
+
+  it("shares activity at most once a second and never moves it back", () => {
+    const storage = sharedStorage();
+    shareActivity(NOW, storage);
+    shareActivity(NOW + 500, storage);
+    expect(getLastActivity(0, storage)).toBe(NOW);
+    shareActivity(NOW - MINUTE, storage);
+    expect(getLastActivity(0, storage)).toBe(NOW);
+  });
+});
+
+describe("getExpiryState", () => {
+  it("refreshes a refreshable token shortly before it expires", () => {
+    expect(getExpiryState({ expiresAt: NOW + 5 * MINUTE, refreshable: true }, NOW).state).toBe("ok");
+    expect(getExpiryState({ expiresAt: NOW + REFRESH_LEAD_MS, refreshable: true }, NOW).state).toBe("refresh");
+    expect(getExpiryState({ expiresAt: NOW - 1, refreshable: true }, NOW).state).toBe("refresh");
+  });
+
+  it("warns before a token that cannot be refreshed expires, then expires it", () => {
+    expect(getExpiryState({ expiresAt: NOW + EXPIRY_WARNING_MS + 1, refreshable: false }, NOW).state).toBe("ok");
+    expect(getExpiryState({ expiresAt: NOW + 2 * MINUTE, refreshable: false }, NOW)).toEqual({ state: "warning", remainingMs: 2 * MINUTE });
+    expect(getExpiryState({ expiresAt: NOW, refreshable: false }, NOW)).toEqual({ state: "expired", remainingMs: 0 });
+  });
+
+  it("leaves a session without a known expiry alone", () => {
+    expect(getExpiryState({ expiresAt: null }, NOW).state).toBe("ok");
+    expect(getExpiryState(null, NOW).state).toBe("ok");
+  });
+});
+
+describe("formatCountdown", () => {
+  it("shows minutes and seconds, rounding up", () => {
+    expect(formatCountdown(90 * 1000)).toBe("1:30");
+    expect(formatCountdown(4200)).toBe("0:05");
+    expect(formatCountdown(-1)).toBe("0:00");
+  });
+});
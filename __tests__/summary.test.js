@@ -0,0 +1,52 @@
+import { describeAllergy, describeCondition, describeMedication, getLatestVitals } from "@/lib/summary";
+import { hasReadScope } from "@/lib/scopes";
+
+describe("hasReadScope", () => {
+  it("matches resource and wildcard read scopes", () => {
+    const granted = "openid fhirUser launch user/Patient.read user/Condition.read patient/*.read";
+    expect(hasReadScope(granted, "Condition")).toBe(true);
+    expect(hasReadScope(granted, "MedicationRequest")).toBe(true);
+    expect(hasReadScope("user/Patient.read user/Observation.write", "Observation")).toBe(false);
+    expect(hasReadScope("user/Observation.*", "Observation")).toBe(true);
+  });
+
+  it("assumes the requested scopes when the server reports none", () => {
+    expect(hasReadScope(null, "AllergyIntolerance")).toBe(true);
+  });
+});
+
+describe("summary lines", () => {
+  it("describes a condition with its onset", () => {
+    const line = describeCondition({ code: { coding: [{ code: "38341003", display: "Hypertension" }] }, onsetDateTime: "2011-09-15" });
+    expect(line.title).toBe("Hypertension");
+    expect(line.detail).toMatch(/^Onset /);
+    expect(describeCondition({ code: { text: "Asthma" } }).detail).toBeNull();
+  });
+
+  it("describes an allergy with reactions and criticality", () => {
+    const line = describeAllergy({
+      code: { text: "Penicillin" },
+      criticality: "high",
+      reaction: [{ manifestation: [{ text: "Hives" }, { coding: [{ display: "Wheezing" }] }] }],
+    });
+    expect(line).toEqual({ title: "Penicillin", detail: "Reaction: Hives, Wheezing", highRisk: true });
+  });
+
+  it("describes a medication from a code or a reference", () => {
+    expect(describeMedication({ medicationCodeableConcept: { text: "Lisinopril 10 MG" }, dosageInstruction: [{ text: "Once daily" }] }))
+      .toEqual({ title: "Lisinopril 10 MG", detail: "Once daily" });
+    expect(describeMedication({ medicationReference: { reference: "Medication/1", display: "Insulin" } }).title).toBe("Insulin");
+  });
+
+  it("picks the newest vital per category, skipping ones entered in error", () => {
+    const hr = (id, time, status = "final") => ({
+      id, status, effectiveDateTime: time,
+      code: { coding: [{ system: "http://loinc.org", code: "8867-4" }] },
+      valueQuantity: { value: 70, code: "/min" },
+    });
+    const latest = getLatestVitals([hr("1", "2024-01-01T08:00:00Z"), hr("2", "2024-01-02T08:00:00Z"), hr("3", "2024-01-03T08:00:00Z", "entered-in-error")]);
+    expect(latest).toHaveLength(1);
+    expect(latest[0].name).toBe("Heart Rate");
+    expect(latest[0].observation.id).toBe("2");
+  });
+});
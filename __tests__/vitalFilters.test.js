@@ -0,0 +1,101 @@
+import {
+  DEFAULT_FILTERS,
+  buildVitalSearchParams,
+  describeVitalFilters,
+  hasActiveFilters,
+  parseVitalFilters,
+  validateVitalFilters,
+  vitalFiltersToQuery
+} from "@/lib/vitalFilters";
+import { getVitalType } from "@/lib/vitalTypes";
+
+describe("parseVitalFilters", () => {
+  it("defaults to every vital when the URL has no filters", () => {
+    expect(parseVitalFilters({})).toEqual(DEFAULT_FILTERS);
+  });
+
+  it("reads range, vitals and statuses from the query", () => {
+    expect(parseVitalFilters({ range: "7d", vital: "heart-rate,temperature", status: "final" })).toEqual({
+      ...DEFAULT_FILTERS,
+      range: "7d",
+      vitals: ["heart-rate", "temperature"],
+      statuses: ["final"],
+    });
+  });
+
+  it("drops unknown and malformed values", () => {
+    const filters = parseVitalFilters({ range: "forever", vital: "heart-rate,pulse-ox", status: "draft", from: "2024-01-01" });
+    expect(filters).toEqual({ ...DEFAULT_FILTERS, vitals: ["heart-rate"] });
+    expect(parseVitalFilters({ range: "custom", from: "01/02/2024", to: "2024-02-01" })).toMatchObject({ from: "", to: "2024-02-01" });
+    expect(parseVitalFilters({ range: "encounter", encounter: "e1/../x" }).encounter).toBe("");
+  });
+
+  it("round-trips through the query string", () => {
+    const filters = { ...DEFAULT_FILTERS, range: "custom", from: "2024-05-01", to: "2024-05-07", statuses: ["final", "amended"] };
+    const query = vitalFiltersToQuery(filters);
+    expect(query).toEqual({ range: "custom", from: "2024-05-01", to: "2024-05-07", status: "final,amended" });
+    expect(parseVitalFilters(query)).toEqual(filters);
+  });
+});
+
+describe("validateVitalFilters", () => {
+  it("accepts the defaults and rolling windows", () => {
+    expect(validateVitalFilters(DEFAULT_FILTERS)).toBeNull();
+    expect(validateVitalFilters({ ...DEFAULT_FILTERS, range: "24h" })).toBeNull();
+  });
+
+  it("needs a bound for a custom range, in order", () => {
+    expect(validateVitalFilters({ ...DEFAULT_FILTERS, range: "custom" })).toMatch(/start or end date/);
+    expect(validateVitalFilters({ ...DEFAULT_FILTERS, range: "custom", from: "2024-05-07", to: "2024-05-01" })).toMatch(/on or before/);
+    expect(validateVitalFilters({ ...DEFAULT_FILTERS, range: "custom", to: "2024-05-01" })).toBeNull();
+  });
+
+  it("needs an encounter for the encounter range", () => {
+    expect(validateVitalFilters({ ...DEFAULT_FILTERS, range: "encounter" })).toMatch(/no encounter/);
+    expect(validateVitalFilters({ ...DEFAULT_FILTERS, range: "encounter", encounter: "enc-1" })).toBeNull();
+  });
+});
+
+describe("buildVitalSearchParams", () => {
+  const now = new Date("2024-05-08T12:00:00Z");
+
+  it("adds nothing without filters", () => {
+    expect(buildVitalSearchParams(DEFAULT_FILTERS, now)).toEqual({});
+  });
+
+  it("turns rolling windows into a lower date bound", () => {
+    expect(buildVitalSearchParams({ ...DEFAULT_FILTERS, range: "24h" }, now)).toEqual({ date: ["ge2024-05-07T12:00:00.000Z"] });
+    expect(buildVitalSearchParams({ ...DEFAULT_FILTERS, range: "7d" }, now)).toEqual({ date: ["ge2024-05-01T12:00:00.000Z"] });
+  });
+
+  it("covers whole local days for a custom range", () => {
+    const { date } = buildVitalSearchParams({ ...DEFAULT_FILTERS, range: "custom", from: "2024-05-01", to: "2024-05-07" }, now);
+    expect(date).toEqual([
+      `ge${new Date(2024, 4, 1).toISOString()}`,
+      `le${new Date(2024, 4, 7, 23, 59, 59, 999).toISOString()}`,
+    ]);
+  });
+
+  it("limits to the encounter", () => {
+    expect(buildVitalSearchParams({ ...DEFAULT_FILTERS, range: "encounter", encounter: "enc-1" }, now)).toEqual({ encounter: "Encounter/enc-1" });
+  });
+
+  it("searches every code of the chosen vitals, and the chosen statuses", () => {
+    const params = buildVitalSearchParams({ ...DEFAULT_FILTERS, vitals: ["heart-rate"], statuses: ["final", "amended"] }, now);
+    expect(params.code.split(",")).toEqual(["http://loinc.org|8867-4"]);
+    expect(params.status).toBe("final,amended");
+  });
+});
+
+describe("describeVitalFilters", () => {
+  it("describes the active filters", () => {
+    expect(describeVitalFilters(DEFAULT_FILTERS)).toBe("");
+    expect(describeVitalFilters({ ...DEFAULT_FILTERS, range: "7d", vitals: ["heart-rate"], statuses: ["final"] })).toBe("Last 7 days · Heart Rate · Final");
+    expect(describeVitalFilters({ ...DEFAULT_FILTERS, range: "custom", from: "2024-05-01" })).toBe("2024-05-01 to …");
+  });
+
+  it("knows when anything is filtered", () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, statuses: ["final"] })).toBe(true);
+  });
+});
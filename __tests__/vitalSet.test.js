@@ -0,0 +1,84 @@
+import { buildTransaction, getTransactionFailure, getTransactionResults, isVitalSetEntryBlank, isVitalSetEntryComplete, newEntryUrl } from "@/lib/vitalSet";
+
+const observation = (code) => ({ resourceType: "Observation", status: "final", code: { coding: [{ system: "http://loinc.org", code }] } });
+
+describe("vital set entries", () => {
+  it("treats rows without values as blank", () => {
+    expect(isVitalSetEntryBlank("heart-rate", { value: "", unit: "/min" })).toBe(true);
+    expect(isVitalSetEntryBlank("blood-pressure", { components: { systolic: "" } })).toBe(true);
+    expect(isVitalSetEntryBlank("blood-pressure", { components: { systolic: "120" } })).toBe(false);
+  });
+
+  it("needs every component and an allowed unit", () => {
+    expect(isVitalSetEntryComplete("blood-pressure", { components: { systolic: "120" }, unit: "mm[Hg]" })).toBe(false);
+    expect(isVitalSetEntryComplete("blood-pressure", { components: { systolic: "120", diastolic: "80" }, unit: "mm[Hg]" })).toBe(true);
+    expect(isVitalSetEntryComplete("weight", { value: "70", unit: "Cel" })).toBe(false);
+    expect(isVitalSetEntryComplete("weight", { value: "70", unit: "kg" })).toBe(true);
+  });
+});
+
+describe("buildTransaction", () => {
+  it("creates each resource under its own urn:uuid fullUrl", () => {
+    const bundle = buildTransaction([observation("8867-4"), observation("9279-1")]);
+    expect(bundle).toMatchObject({ resourceType: "Bundle", type: "transaction" });
+    expect(bundle.entry.map(entry => entry.request)).toEqual([{ method: "POST", url: "Observation" }, { method: "POST", url: "Observation" }]);
+    expect(bundle.entry[0].fullUrl).toMatch(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(bundle.entry[0].fullUrl).not.toBe(bundle.entry[1].fullUrl);
+  });
+
+  it("keeps given fullUrls so entries can refer to each other", () => {
+    const url = newEntryUrl();
+    expect(buildTransaction([observation("8867-4")], [url]).entry[0].fullUrl).toBe(url);
+  });
+});
+
+describe("transaction outcomes", () => {
+  const bundle = buildTransaction([observation("8867-4"), observation("9279-1")]);
+
+  it("reads each entry's status and new id from the response", () => {
+    const results = getTransactionResults(bundle, {
+      resourceType: "Bundle",
+      type: "transaction-response",
+      entry: [
+        { response: { status: "201 Created", location: "Observation/a1/_history/1" } },
+        { response: { status: "201", location: "https://fhir.example.org/r4/Observation/a2" } },
+      ],
+    });
+    expect(results).toEqual([
+      { ok: true, status: "201 Created", location: "Observation/a1/_history/1", id: "a1", message: "Saved (201 Created)" },
+      { ok: true, status: "201", location: "https://fhir.example.org/r4/Observation/a2", id: "a2", message: "Saved (201)" },
+    ]);
+  });
+
+  it("reports entries without an outcome as saved, since the transaction succeeded", () => {
+    expect(getTransactionResults(bundle, { resourceType: "Bundle", type: "transaction-response" })).toEqual([
+      { ok: true, status: "", location: null, id: null, message: "Saved (outcome not reported)" },
+      { ok: true, status: "", location: null, id: null, message: "Saved (outcome not reported)" },
+    ]);
+    expect(getTransactionResults(bundle, { resourceType: "Bundle", entry: [{ response: { status: "201" } }, {}] })[1]).toMatchObject({ ok: true, message: "Saved (outcome not reported)" });
+  });
+
+  it("keeps an explicit failure status as not saved", () => {
+    const results = getTransactionResults(bundle, { resourceType: "Bundle", entry: [{ response: { status: "201" } }, { response: { status: "400 Bad Request" } }] });
+    expect(results[1]).toMatchObject({ ok: false, status: "400 Bad Request", message: "Not saved (400 Bad Request)" });
+  });
+
+  it("puts issues on the entries their expression points at", () => {
+    const results = getTransactionFailure(bundle, 422, {
+      resourceType: "OperationOutcome",
+      issue: [{ severity: "error", code: "required", diagnostics: "Observation.subject is required", expression: ["Bundle.entry[1].resource.subject"] }],
+    });
+    expect(results[1]).toEqual({ ok: false, status: "422", message: "Observation.subject is required" });
+    expect(results[0]).toEqual({ ok: false, status: "422", message: "Not saved: the set was rejected." });
+  });
+
+  it("gives every entry the general reason when no entry is named", () => {
+    const results = getTransactionFailure(bundle, 400, { resourceType: "OperationOutcome", issue: [{ severity: "error", code: "invalid", diagnostics: "Bad bundle" }] });
+    expect(results.map(result => result.message)).toEqual(["Not saved: the set was rejected (Bad bundle).", "Not saved: the set was rejected (Bad bundle)."]);
+  });
+
+  it("explains the status when the server sent no OperationOutcome", () => {
+    expect(getTransactionFailure(bundle, 403, { error: "Forbidden" })[0].message)
+      .toBe("Not saved: the set was rejected (You do not have permission to do this: the app was not granted the access it needs.).");
+  });
+});
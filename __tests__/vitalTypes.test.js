@@ -0,0 +1,92 @@
+import { VITAL_TYPES, buildVitalCode, findVitalMeasure, findVitalType, getDefaultUnit, getVitalType, isAllowedUnit, toCodeToken } from "@/lib/vitalTypes";
+import { checkPlausibility, getObservationInterpretation, getPlausibilityLimits } from "@/lib/vitalRanges";
+
+const coded = (...codings) => ({ code: { coding: codings } });
+
+describe("vital type registry", () => {
+  it("finds a type by any accepted code in any coding", () => {
+    expect(findVitalType(coded({ system: "http://loinc.org", code: "8331-1" }))?.key).toBe("temperature");
+    expect(findVitalType(coded({ system: "urn:vendor", code: "X1" }, { system: "http://loinc.org", code: "2708-6" }))?.key).toBe("oxygen-saturation");
+    expect(findVitalType(coded({ system: "https://fhir.cerner.com/tenant/codeSet/72", code: "703498" }))?.key).toBe("oxygen-saturation");
+    expect(findVitalType(coded({ system: "http://loinc.org", code: "703498" }))?.key).toBe("oxygen-saturation");
+    expect(findVitalType(coded({ code: "72514-3" }))).toBeNull();
+    expect(findVitalType({})).toBeNull();
+  });
+
+  it("matches a code only in the system it is listed under", () => {
+    expect(findVitalType(coded({ system: "http://snomed.info/sct", code: "8867-4" }))).toBeNull();
+    expect(findVitalType(coded({ code: "8867-4" }))).toBeNull();
+    expect(findVitalMeasure(coded({ system: "urn:local", code: "8480-6" }))).toBeNull();
+    expect(findVitalType(coded({ system: "urn:local", code: "8867-4" }, { system: "http://loinc.org", code: "8867-4" }))?.key).toBe("heart-rate");
+  });
+
+  it("writes SpO2 with the pulse oximetry LOINC code", () => {
+    expect(buildVitalCode(getVitalType("oxygen-saturation")).coding[0]).toEqual({
+      system: "http://loinc.org",
+      code: "59408-5",
+      display: "Oxygen saturation in Arterial blood by Pulse oximetry",
+    });
+  });
+
+  it("offers BMI", () => {
+    expect(getVitalType("bmi")).toMatchObject({ loinc: "39156-5", units: ["kg/m2"] });
+  });
+
+  it("gives every type a written code it also accepts, and plausibility limits", () => {
+    VITAL_TYPES.forEach(type => {
+      expect(type.codes).toContainEqual({ system: "http://loinc.org", code: type.loinc });
+      if (type.shape === "components") {
+        type.components.forEach(comp => expect(getPlausibilityLimits(comp)).not.toBeNull());
+      } else {
+        expect(getPlausibilityLimits(type)).not.toBeNull();
+      }
+    });
+  });
+
+  it("applies a type's range and limits to every code it accepts", () => {
+    VITAL_TYPES.filter(type => type.shape === "quantity").forEach(type => {
+      type.codes.forEach(code => expect(getPlausibilityLimits(findVitalMeasure(coded(code)))).toEqual(type.limits));
+    });
+    const axillary = { ...coded({ system: "http://loinc.org", code: "8328-7" }), valueQuantity: { value: 39.5, unit: "Cel", system: "http://unitsofmeasure.org", code: "Cel" } };
+    expect(getObservationInterpretation(axillary)?.flag).toBe("high");
+    const measuredWeight = findVitalMeasure(coded({ system: "http://loinc.org", code: "3141-9" }));
+    expect(checkPlausibility(measuredWeight, { value: 900, code: "kg", system: "http://unitsofmeasure.org" }, "Weight").level).toBe("block");
+    expect(findVitalMeasure(coded({ system: "http://loinc.org", code: "8462-4" }))?.key).toBe("diastolic");
+    expect(findVitalMeasure(coded({ system: "http://loinc.org", code: "85354-9" }))).toBeNull();
+  });
+
+  it("reads limit overrides once, warning once about invalid ones", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const loadWith = (value) => {
+      process.env.NEXT_PUBLIC_VITAL_LIMITS = value;
+      let ranges;
+      jest.isolateModules(() => { ranges = require("@/lib/vitalRanges"); });
+      return ranges;
+    };
+    try {
+      const overridden = loadWith('{"heart-rate": {"confirmHigh": 200}}');
+      expect(overridden.getPlausibilityLimits(getVitalType("heart-rate"))).toMatchObject({ min: 20, confirmHigh: 200 });
+
+      const invalid = loadWith("{not json");
+      VITAL_TYPES.forEach(type => invalid.getPlausibilityLimits(type));
+      expect(invalid.getPlausibilityLimits(getVitalType("heart-rate"))).toEqual(getVitalType("heart-rate").limits);
+      expect(warn).toHaveBeenCalledTimes(1);
+    } finally {
+      delete process.env.NEXT_PUBLIC_VITAL_LIMITS;
+      warn.mockRestore();
+    }
+  });
+
+  it("accepts no code for two types", () => {
+    const codes = VITAL_TYPES.flatMap(type => type.codes.map(toCodeToken));
+    expect(new Set(codes).size).toBe(codes.length);
+  });
+
+  it("checks units per type", () => {
+    expect(isAllowedUnit("weight", "[lb_av]")).toBe(true);
+    expect(isAllowedUnit("weight", "cm")).toBe(false);
+    expect(isAllowedUnit("unknown", "kg")).toBe(false);
+    expect(getDefaultUnit("temperature", "imperial")).toBe("[degF]");
+    expect(getDefaultUnit("heart-rate", "imperial")).toBe("/min");
+  });
+});
@@ -0,0 +1,211 @@
+import { getVitalType } from "@/lib/vitalTypes";
+import { amendObservation, buildVitalObservation, checkVitalObservation, formatVitalValue, getCategoryName, getVersionTag, getVitalFormField, groupVitalsByCategory, isTrendable, mergeObservationPage, replaceObservation } from "@/lib/vitals";
+
+const observation = (id, display, effectiveDateTime, extra = {}) => ({
+  resourceType: "Observation",
+  id,
+  code: { coding: [{ system: "http://loinc.org", code: "8867-4", display }] },
+  effectiveDateTime,
+  ...extra,
+});
+
+const page = (...resources) => ({ resourceType: "Bundle", entry: resources.map(resource => ({ resource })) });
+
+describe("formatVitalValue", () => {
+  it("formats a simple quantity", () => {
+    expect(formatVitalValue({ valueQuantity: { value: 72, unit: "/min", code: "/min" } })).toBe("72 /min");
+  });
+
+  it("converts to the preferred unit system", () => {
+    const temperature = { valueQuantity: { value: 37, unit: "Cel", system: "http://unitsofmeasure.org", code: "Cel" } };
+    expect(formatVitalValue(temperature, "imperial")).toBe("98.6 °F");
+    const weight = { valueQuantity: { value: 154.3, unit: "lbs" } };
+    expect(formatVitalValue(weight, "metric")).toBe("70 kg");
+  });
+
+  it("joins blood pressure components", () => {
+    const bp = {
+      component: [
+        { code: { coding: [{ code: "8480-6" }] }, valueQuantity: { value: 120, code: "mm[Hg]" } },
+        { code: { coding: [{ code: "8462-4" }] }, valueQuantity: { value: 80, code: "mm[Hg]" } },
+      ],
+    };
+    expect(formatVitalValue(bp)).toBe("120 mmHg / 80 mmHg");
+  });
+
+  it("skips components without a value", () => {
+    const bp = { component: [{ valueQuantity: { value: 120, code: "mm[Hg]" } }, { dataAbsentReason: { text: "Unable" } }] };
+    expect(formatVitalValue(bp)).toBe("120 mmHg");
+  });
+
+  it("keeps values in units it does not know", () => {
+    expect(formatVitalValue({ valueQuantity: { value: 3, unit: "{score}" } })).toBe("3 {score}");
+  });
+
+  it("formats coded, string and boolean values", () => {
+    expect(formatVitalValue({ valueCodeableConcept: { coding: [{ display: "Regular" }] } })).toBe("Regular");
+    expect(formatVitalValue({ valueCodeableConcept: { coding: [{ code: "x" }] } })).toBe("Coded value");
+    expect(formatVitalValue({ valueString: "Irregular" })).toBe("Irregular");
+    expect(formatVitalValue({ valueBoolean: false })).toBe("No");
+    expect(formatVitalValue({})).toBe("No value available");
+  });
+
+  it("shows a zero value", () => {
+    expect(formatVitalValue({ valueQuantity: { value: 0, code: "/min" } })).toBe("0 /min");
+  });
+});
+
+describe("grouping", () => {
+  it("names categories by display, then code", () => {
+    expect(getCategoryName({ code: { coding: [{ code: "72514-3", display: "Pain severity" }] } })).toBe("Pain severity");
+    expect(getCategoryName({ code: { coding: [{ code: "72514-3" }] } })).toBe("72514-3");
+    expect(getCategoryName({})).toBe("Unknown");
+  });
+
+  it("groups by category with the newest first", () => {
+    const groups = groupVitalsByCategory([
+      observation("1", "Heart rate", "2024-01-01T08:00:00Z"),
+      observation("2", "Heart rate", "2024-01-03T08:00:00Z"),
+      observation("3", "Respiratory rate", "2024-01-02T08:00:00Z", { code: { coding: [{ system: "http://loinc.org", code: "9279-1", display: "Respiratory rate" }] } }),
+      observation("4", "Heart rate", undefined, { issued: "2024-01-02T08:00:00Z" }),
+    ]);
+    expect(groups.map(g => [g.name, g.count])).toEqual([["Heart Rate", 3], ["Respiratory Rate", 1]]);
+    expect(groups[0].vitals.map(v => v.id)).toEqual(["2", "4", "1"]);
+  });
+
+  it("groups code variants of one vital type together", () => {
+    const groups = groupVitalsByCategory([
+      { id: "1", code: { coding: [{ system: "http://loinc.org", code: "8310-5", display: "Body temperature" }] }, effectiveDateTime: "2024-01-01T08:00:00Z" },
+      { id: "2", code: { coding: [{ system: "http://loinc.org", code: "8331-1", display: "Oral temperature" }] }, effectiveDateTime: "2024-01-02T08:00:00Z" },
+      { id: "3", code: { coding: [{ system: "https://fhir.cerner.com/ec2458f2/codeSet/72", code: "4154123", display: "Temperature Oral" }, { system: "http://loinc.org", code: "8331-1" }] }, effectiveDateTime: "2024-01-03T08:00:00Z" },
+    ]);
+    expect(groups.map(g => [g.name, g.count])).toEqual([["Temperature", 3]]);
+  });
+});
+
+describe("mergeObservationPage", () => {
+  it("appends new observations and skips ones already loaded", () => {
+    const first = mergeObservationPage([], page(observation("1"), observation("2")));
+    const second = mergeObservationPage(first.observations, page(observation("2"), observation("3")));
+    expect(second.observations.map(o => o.id)).toEqual(["1", "2", "3"]);
+    expect(second.added.map(o => o.id)).toEqual(["3"]);
+  });
+
+  it("ignores included resources and OperationOutcomes", () => {
+    const { added } = mergeObservationPage([], page(observation("1"), { resourceType: "OperationOutcome" }, { resourceType: "Patient", id: "p1" }));
+    expect(added.map(o => o.id)).toEqual(["1"]);
+  });
+
+  it("handles an empty page", () => {
+    expect(mergeObservationPage([observation("1")], { resourceType: "Bundle" })).toEqual({ observations: [observation("1")], added: [] });
+  });
+});
+
+describe("corrections", () => {
+  const bp = observation("bp1", "Blood pressure", "2024-01-01T08:00:00Z", {
+    status: "final",
+    meta: { versionId: "3" },
+    component: [
+      { code: { coding: [{ code: "8480-6" }] }, valueQuantity: { value: 210, code: "mm[Hg]" } },
+      { code: { coding: [{ code: "8462-4" }] }, valueQuantity: { value: 80, code: "mm[Hg]" } },
+    ],
+  });
+
+  it("amends component values and marks the observation amended", () => {
+    const amended = amendObservation(bp, { components: { 0: 120 } });
+    expect(amended.status).toBe("amended");
+    expect(amended.component.map(c => c.valueQuantity.value)).toEqual([120, 80]);
+    expect(amended.component[0].valueQuantity.code).toBe("mm[Hg]");
+    expect(bp.component[0].valueQuantity.value).toBe(210);
+  });
+
+  it("amends a simple value and the time", () => {
+    const hr = observation("hr1", "Heart rate", "2024-01-01T08:00:00Z", { status: "final", valueQuantity: { value: 27, code: "/min" } });
+    const amended = amendObservation(hr, { value: 72, effectiveDateTime: "2024-01-01T09:00:00.000Z" });
+    expect(amended.valueQuantity).toEqual({ value: 72, code: "/min" });
+    expect(amended.effectiveDateTime).toBe("2024-01-01T09:00:00.000Z");
+  });
+
+  it("builds the If-Match tag from the version", () => {
+    expect(getVersionTag(bp)).toBe('W/"3"');
+    expect(getVersionTag({})).toBeNull();
+  });
+
+  it("keeps retracted and cancelled values out of trends, but not corrected ones", () => {
+    expect(isTrendable({ status: "final" })).toBe(true);
+    expect(isTrendable({ status: "amended" })).toBe(true);
+    expect(isTrendable({ status: "corrected" })).toBe(true);
+    expect(isTrendable({ status: "entered-in-error" })).toBe(false);
+    expect(isTrendable({ status: "cancelled" })).toBe(false);
+  });
+
+  it("replaces an updated observation in place", () => {
+    const list = [observation("1"), bp, observation("2")];
+    const updated = { ...bp, status: "entered-in-error" };
+    expect(replaceObservation(list, updated).map(o => o.status)).toEqual([undefined, "entered-in-error", undefined]);
+  });
+});
+
+describe("new observations", () => {
+  const context = { patientId: "p1", effectiveDateTime: "2024-05-01T08:00:00.000Z", encounter: "e1", performer: "Practitioner/u1" };
+
+  it("builds a simple vital with its context", () => {
+    const observation = buildVitalObservation(getVitalType("heart-rate"), { value: "72", unit: "/min" }, context);
+    expect(observation).toMatchObject({
+      resourceType: "Observation",
+      status: "final",
+      subject: { reference: "Patient/p1" },
+      encounter: { reference: "Encounter/e1" },
+      performer: [{ reference: "Practitioner/u1" }],
+      effectiveDateTime: "2024-05-01T08:00:00.000Z",
+      valueQuantity: { value: 72, code: "/min", system: "http://unitsofmeasure.org" },
+    });
+    expect(observation.category[0].coding[0].code).toBe("vital-signs");
+  });
+
+  it("builds blood pressure as components", () => {
+    const observation = buildVitalObservation(getVitalType("blood-pressure"), { components: { systolic: "120", diastolic: "80" }, unit: "mm[Hg]" }, { patientId: "p1" });
+    expect(observation.valueQuantity).toBeUndefined();
+    expect(observation.encounter).toBeUndefined();
+    expect(observation.component.map(comp => [comp.code.coding[0].code, comp.valueQuantity.value])).toEqual([["8480-6", 120], ["8462-4", 80]]);
+  });
+
+  it("refuses a unit the vital does not allow", () => {
+    expect(() => buildVitalObservation(getVitalType("weight"), { value: "70", unit: "Cel" }, context)).toThrow(/not a valid unit for Weight/);
+  });
+
+  it("blocks a diastolic pressure at or above the systolic", () => {
+    const type = getVitalType("blood-pressure");
+    const observation = buildVitalObservation(type, { components: { systolic: "80", diastolic: "90" }, unit: "mm[Hg]" }, context);
+    expect(checkVitalObservation(type, observation).some(check => check.level === "block" && /Diastolic/.test(check.message))).toBe(true);
+  });
+});
+
+describe("getVitalFormField", () => {
+  const heartRate = getVitalType("heart-rate");
+  const bloodPressure = getVitalType("blood-pressure");
+
+  it("maps value, unit, time and code to the entry form's fields", () => {
+    expect(getVitalFormField(heartRate, "Observation.valueQuantity.value")).toBe("value");
+    expect(getVitalFormField(heartRate, "Observation.value.ofType(Quantity).unit")).toBe("unit");
+    expect(getVitalFormField(heartRate, "Observation.valueQuantity.code")).toBe("unit");
+    expect(getVitalFormField(heartRate, "Observation.effective")).toBe("date");
+    expect(getVitalFormField(heartRate, "Observation.code.coding[0]")).toBe("category");
+  });
+
+  it("maps components to their own fields", () => {
+    expect(getVitalFormField(bloodPressure, "Observation.component[1].valueQuantity.value")).toBe("diastolic");
+    expect(getVitalFormField(bloodPressure, "Observation.component[0].valueQuantity.unit")).toBe("unit");
+    expect(getVitalFormField(bloodPressure, "Observation.component[5].valueQuantity.value")).toBeNull();
+  });
+
+  it("reads expressions within a transaction entry", () => {
+    expect(getVitalFormField(heartRate, "Bundle.entry[0].resource.valueQuantity.value", "Bundle.entry[0].resource")).toBe("value");
+    expect(getVitalFormField(heartRate, "Bundle.entry[1].resource.valueQuantity.value", "Bundle.entry[0].resource")).toBeNull();
+  });
+
+  it("leaves elements the form has no field for", () => {
+    expect(getVitalFormField(heartRate, "Observation.subject")).toBeNull();
+    expect(getVitalFormField(heartRate, "Patient.name")).toBeNull();
+  });
+});
@@ -0,0 +1,12 @@
+const nextJest = require("next/jest");
+
+// Uses Next's SWC transform so tests see the same JSX and import aliases as the app
+const createJestConfig = nextJest({ dir: "./" });
+
+module.exports = createJestConfig({
+  testEnvironment: "node",
+  moduleNameMapper: {
+    "^@/(.*)$": "<rootDir>/src/$1",
+  },
+  testMatch: ["<rootDir>/__tests__/**/*.test.js"],
+});
@@ -0,0 +1,41 @@
+import { FLAG_LABELS, isCriticalFlag } from "@/lib/vitalRanges";
+
+const BADGE_COLORS = {
+  'high': '#ff9800',
+  'low': '#ff9800',
+  'abnormal': '#ff9800',
+  'critical': '#d32f2f',
+  'critical-high': '#d32f2f',
+  'critical-low': '#d32f2f',
+};
+
+/**
+ * Small high/low/critical badge for an interpretation flag. Renders nothing for normal values.
+ * @param {object} interpretation - { flag, source } from getObservationInterpretation()
+ */
+export default function InterpretationBadge({ interpretation }) {
+  if (!interpretation || !BADGE_COLORS[interpretation.flag]) return null;
+  const sourceText = {
+    interpretation: 'Flagged by the EHR',
+    referenceRange: "Outside the observation's reference range",
+    default: 'Outside the default adult range',
+  }[interpretation.source];
+  return (
+    <span
+      title={sourceText}
+      style={{
+        display: 'inline-block',
+        marginLeft: '8px',
+        padding: '1px 6px',
+        borderRadius: '10px',
+        fontSize: '11px',
+        fontWeight: isCriticalFlag(interpretation.flag) ? 'bold' : 'normal',
+        color: 'white',
+        background: BADGE_COLORS[interpretation.flag],
+        verticalAlign: 'middle'
+      }}
+    >
+      {FLAG_LABELS[interpretation.flag]}
+    </span>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState } from "react";
+import styles from "@/styles/Home.module.css";
+import { search } from "@/lib/fhirClient";
+
+/**
+ * Patient search for standalone launches where the token carries no patient context.
+ * Searches Patient by name, birth date and/or MRN and hands the chosen patient to onSelect.
+ * @param {function} onSelect - Called with the selected Patient resource
+ */
+export default function PatientPicker({ onSelect }) {
+  const [criteria, setCriteria] = useState({ name: '', birthdate: '', mrn: '' });
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState("");
+
+  const searchPatients = async (e) => {
+    e.preventDefault();
+    try {
+      setSearching(true);
+      setError("");
+      const params = new URLSearchParams();
+      if (criteria.name.trim()) params.set('name', criteria.name.trim());
+      if (criteria.birthdate) params.set('birthdate', criteria.birthdate);
+      if (criteria.mrn.trim()) params.set('identifier', criteria.mrn.trim());
+      if ([...params.keys()].length === 0) {
+        throw new Error("Enter a name, birth date or MRN to search");
+      }
+      params.set('_count', '20');
+
+      const bundle = await search('Patient', params);
+      setResults((bundle.entry || []).map(entry => entry.resource).filter(r => r?.resourceType === 'Patient'));
+    } catch (error) {
+      setError(error.message);
+      setResults(null);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const getMrn = (patient) => {
+    const mrn = patient.identifier?.find(id => id.type?.coding?.some(c => c.code === 'MR'));
+    return (mrn || patient.identifier?.[0])?.value || '';
+  };
+
+  const inputStyle = { width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' };
+  const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: 'bold' };
+
+  return (
+    <div className={styles.patientInfo}>
+      <h2>Find Patient</h2>
+      <form onSubmit={searchPatients} style={{ display: 'grid', gap: '15px', marginTop: '15px' }}>
+        <div>
+          <label style={labelStyle} htmlFor="patient-name">Name:</label>
+          <input
+            id="patient-name"
+            type="text"
+            value={criteria.name}
+            onChange={(e) => setCriteria({...criteria, name: e.target.value})}
+            placeholder="Family or given name"
+            style={inputStyle}
+          />
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px' }}>
+          <div>
+            <label style={labelStyle} htmlFor="patient-birthdate">Date of Birth:</label>
+            <input
+              id="patient-birthdate"
+              type="date"
+              value={criteria.birthdate}
+              onChange={(e) => setCriteria({...criteria, birthdate: e.target.value})}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle} htmlFor="patient-mrn">MRN:</label>
+            <input
+              id="patient-mrn"
+              type="text"
+              value={criteria.mrn}
+              onChange={(e) => setCriteria({...criteria, mrn: e.target.value})}
+              placeholder="Medical record number"
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={searching}
+          style={{
+            background: searching ? '#ccc' : '#2196f3',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '4px',
+            cursor: searching ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {error && <p style={{ color: '#f44336', marginTop: '15px' }}>{error}</p>}
+
+      {results && (
+        <div className={styles.info}>
+          {results.length === 0 ? (
+            <div>No matching patients found.</div>
+          ) : results.map(patient => (
+            <div key={patient.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <div>
+                <div><strong>{patient.name?.[0]?.given?.join(' ')} {patient.name?.[0]?.family}</strong></div>
+                <div style={{ fontSize: '0.9em', color: '#666' }}>
+                  DOB: {patient.birthDate || 'Unknown'} · Gender: {patient.gender || 'Unknown'}{getMrn(patient) && ` · MRN: ${getMrn(patient)}`}
+                </div>
+              </div>
+              <button
+                onClick={() => onSelect(patient)}
+                style={{ background: '#4CAF50', color: 'white', border: 'none', padding: '8px 16px', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                Select
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import { useEffect, useRef, useState } from "react";
+import { useRouter } from "next/router";
+import styles from "@/styles/Home.module.css";
+import { refreshSession, SessionExpiredError } from "@/lib/fhirClient";
+import { formatCountdown, getExpiryState, getIdleSettings, getIdleState, getLastActivity, onActivityElsewhere, onSignOutElsewhere, shareActivity, signOut } from "@/lib/sessionLifetime";
+
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'];
+const REFRESH_RETRY_MS = 15 * 1000;
+
+const LOCK_MESSAGES = {
+  idle: 'You were signed out after a period of inactivity.',
+  expired: 'Your session has expired.',
+  'signed-out': 'You signed out in another window.',
+};
+
+/**
+ * Keeps the signed-in session alive while it is used and ends it when it is not.
+ * Refreshes the access token shortly before it expires; warns before an idle
+ * timeout and then signs out and locks the screen. A locked screen unmounts the
+ * page, so no patient information stays on screen or in memory.
+ * Does nothing until there is an authenticated session.
+ * @param {ReactNode} children - The page
+ */
+export default function SessionGuard({ children }) {
+  const router = useRouter();
+  const [session, setSession] = useState(null); // From /api/auth/session, while authenticated
+  const [idle, setIdle] = useState({ state: 'active', remainingMs: null });
+  const [expiry, setExpiry] = useState({ state: 'ok', remainingMs: null });
+  const [locked, setLocked] = useState(null); // Why the screen is locked: a LOCK_MESSAGES key
+  const lastActivityRef = useRef(Date.now()); // Latest input in this tab or, via storage events, any other
+  const nextRefreshRef = useRef(0); // No proactive refresh before this time (ms)
+  const settings = getIdleSettings();
+
+  useEffect(() => {
+    if (!locked) loadSession();
+  }, [router.asPath]);
+
+  const loadSession = async () => {
+    try {
+      const response = await fetch('/api/auth/session');
+      const info = response.ok ? await response.json() : null;
+      setSession(info?.authenticated ? info : null);
+    } catch (error) {
+      console.log("Could not load session lifetime:", error);
+    }
+  };
+
+  const lock = async (reason) => {
+    setLocked(reason);
+    setSession(null);
+    if (reason === 'signed-out') {
+      sessionStorage.clear();
+    } else {
+      await signOut();
+    }
+  };
+
+  const recordActivity = () => {
+    lastActivityRef.current = Date.now();
+    shareActivity(lastActivityRef.current);
+  };
+
+  // Keyboard, mouse and touch input count as activity, except once the idle warning is up
+  useEffect(() => {
+    if (!session) return;
+    recordActivity();
+    const onActivity = () => {
+      if (getIdleState(lastActivityRef.current, Date.now(), settings).state === 'active') {
+        recordActivity();
+      }
+    };
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, onActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, onActivity));
+  }, [!!session]);
+
+  // The session is shared, so input in another tab keeps this one from timing out
+  useEffect(() => {
+    if (!session) return;
+    lastActivityRef.current = getLastActivity(lastActivityRef.current);
+    return onActivityElsewhere(time => {
+      lastActivityRef.current = Math.max(lastActivityRef.current, time);
+    });
+  }, [!!session]);
+
+  useEffect(() => {
+    if (!session) return;
+    return onSignOutElsewhere(() => lock('signed-out'));
+  }, [!!session]);
+
+  // One clock for idle time and token expiry; it works from timestamps, so a throttled background tab catches up
+  useEffect(() => {
+    if (!session) return;
+    const tick = () => {
+      const now = Date.now();
+      const nextIdle = getIdleState(lastActivityRef.current, now, settings);
+      if (nextIdle.state === 'locked') {
+        lock('idle');
+        return;
+      }
+      const nextExpiry = getExpiryState(session, now);
+      if (nextExpiry.state === 'expired') {
+        lock('expired');
+        return;
+      }
+      if (nextExpiry.state === 'refresh' && now >= nextRefreshRef.current) {
+        nextRefreshRef.current = now + REFRESH_RETRY_MS;
+        refreshSession()
+          .then(info => setSession(current => (current ? { ...current, ...info } : current)))
+          .catch(error => {
+            if (error instanceof SessionExpiredError) {
+              lock('expired');
+            } else {
+              console.log("Proactive token refresh failed, will retry:", error);
+            }
+          });
+      }
+      // Only re-render when something on screen changes: a state, or a countdown that is showing
+      setIdle(current => (current.state === nextIdle.state && nextIdle.state === 'active' ? current : nextIdle));
+      setExpiry(current => (current.state === nextExpiry.state && nextExpiry.state !== 'warning' ? current : nextExpiry));
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [session]);
+
+  const signOutNow = async () => {
+    await signOut();
+    window.location.href = window.location.origin;
+  };
+
+  const staySignedIn = () => {
+    recordActivity();
+    setIdle({ state: 'active', remainingMs: null });
+  };
+
+  if (locked) {
+    return (
+      <div className={styles.container}>
+        <div className={styles.patientInfo} style={{ textAlign: 'center', marginTop: '80px' }}>
+          <h2>Session locked</h2>
+          <p>{LOCK_MESSAGES[locked]}</p>
+          <p style={{ color: '#666' }}>Patient information has been cleared from this screen.</p>
+          <button onClick={() => { window.location.href = window.location.origin; }} style={{ marginTop: '20px' }}>
+            Sign in again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {session && expiry.state === 'warning' && (
+        <div role="alert" style={{ padding: '8px 20px', background: '#fff3e0', color: '#e65100', fontSize: '0.9em', textAlign: 'center' }}>
+          Your session ends in {formatCountdown(expiry.remainingMs)} and cannot be renewed. Save your work, then sign in again.
+        </div>
+      )}
+      {children}
+      {session && idle.state === 'warning' && (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }}>
+          <div role="alertdialog" aria-labelledby="idle-warning-title" style={{ background: 'white', padding: '24px', borderRadius: '8px', maxWidth: '400px', textAlign: 'center' }}>
+            <h2 id="idle-warning-title" style={{ marginTop: 0 }}>Are you still there?</h2>
+            <p>
+              For patient privacy you will be signed out in <strong>{formatCountdown(idle.remainingMs)}</strong> unless you continue.
+            </p>
+            <button onClick={staySignedIn} autoFocus>Stay signed in</button>
+            <button onClick={signOutNow} style={{ marginLeft: '10px' }}>Sign out now</button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
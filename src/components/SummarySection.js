@@ -0,0 +1,38 @@
+/**
+ * One list on the clinical summary, showing its loading, denied and error states.
+ * @param {string} title - Section heading
+ * @param {object} section - { status: 'loading' | 'ready' | 'denied' | 'error', items, message }
+ * @param {string} emptyText - Shown when the list loaded but is empty
+ * @param {Function} renderItem - Renders one item
+ */
+export default function SummarySection({ title, section, emptyText, renderItem }) {
+  let content;
+  if (section.status === 'loading') {
+    content = <p style={{ color: '#666' }}>Loading...</p>;
+  } else if (section.status === 'denied' || section.status === 'error') {
+    content = (
+      <p style={{ color: section.status === 'denied' ? '#666' : '#d32f2f', fontStyle: section.status === 'denied' ? 'italic' : 'normal' }}>
+        {section.message}
+      </p>
+    );
+  } else if (section.items.length === 0) {
+    content = <p style={{ color: '#666' }}>{emptyText}</p>;
+  } else {
+    content = (
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {section.items.map((item, index) => (
+          <li key={item.id || index} style={{ borderBottom: '1px solid #eee', padding: '8px 0' }}>
+            {renderItem(item)}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '15px' }}>
+      <h3 style={{ marginTop: 0 }}>{title}</h3>
+      {content}
+    </div>
+  );
+}
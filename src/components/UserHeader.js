@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { read } from "@/lib/fhirClient";
+import { getReferenceLabel, parseReference, toRelativeReference } from "@/lib/references";
+import { signOut } from "@/lib/sessionLifetime";
+
+/**
+ * Bar across the top of every page naming the signed-in clinician: the fhirUser
+ * from the verified id_token, resolved to its Practitioner (or other) resource.
+ * The resolved name is cached in sessionStorage for the rest of the launch.
+ * Sign out ends the session everywhere (see signOut in lib/sessionLifetime).
+ */
+export default function UserHeader() {
+  const router = useRouter();
+  const [user, setUser] = useState(null); // { fhirUser, label, resourceType } or { fhirUser: null } when not identified
+
+  useEffect(() => {
+    loadUser();
+  }, [router.asPath]);
+
+  const loadUser = async () => {
+    try {
+      const response = await fetch('/api/auth/session');
+      const session = response.ok ? await response.json() : null;
+      if (!session?.authenticated) {
+        setUser(null);
+        return;
+      }
+      if (!session.fhirUser) {
+        setUser({ fhirUser: null });
+        return;
+      }
+
+      const cached = JSON.parse(sessionStorage.getItem('user_data') || 'null');
+      if (cached?.fhirUser === session.fhirUser) {
+        setUser(cached);
+        return;
+      }
+
+      const reference = toRelativeReference(session.fhirUser, session.issuer);
+      const target = parseReference(reference);
+      let resolved = { fhirUser: session.fhirUser, label: reference, resourceType: target?.resourceType || null };
+      if (target) {
+        try {
+          resolved = { ...resolved, label: getReferenceLabel(await read(target.resourceType, target.id)) };
+        } catch (error) {
+          console.log("Could not resolve signed-in user:", error.message);
+        }
+      }
+      sessionStorage.setItem('user_data', JSON.stringify(resolved));
+      setUser(resolved);
+    } catch (error) {
+      console.log("Could not load signed-in user:", error);
+      setUser(null);
+    }
+  };
+
+  const signOutUser = async () => {
+    await signOut();
+    window.location.href = window.location.origin;
+  };
+
+  if (!user) return null;
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 20px', background: '#263238', color: 'white', fontSize: '0.9em' }}>
+      <span style={{ fontWeight: 'bold' }}>FHIR EHR App</span>
+      <span>
+        {user.fhirUser ? (
+          <>
+            Signed in as <strong>{user.label}</strong>
+            {user.resourceType && user.resourceType !== 'Practitioner' && ` (${user.resourceType})`}
+          </>
+        ) : (
+          'Signed in (user not identified by the server)'
+        )}
+        <button
+          onClick={signOutUser}
+          style={{ marginLeft: '15px', padding: '4px 10px', background: 'transparent', color: 'white', border: '1px solid white', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          Sign out
+        </button>
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useEffect, useRef } from "react";
+import { buildFlowsheet } from "@/lib/flowsheet";
+import { formatVitalValue } from "@/lib/vitals";
+import { FLAG_LABELS, getObservationInterpretation, isAbnormalFlag, isCriticalFlag } from "@/lib/vitalRanges";
+
+const CELL = { padding: '6px 10px', borderBottom: '1px solid #eee', borderRight: '1px solid #eee', whiteSpace: 'nowrap', textAlign: 'center' };
+const LABEL_WIDTH = 150;
+
+const cellColors = (flag) => {
+  if (isCriticalFlag(flag)) return { background: '#ffebee', color: '#c62828', fontWeight: 'bold' };
+  if (isAbnormalFlag(flag)) return { background: '#fff3e0', color: '#e65100', fontWeight: 'bold' };
+  return {};
+};
+
+/**
+ * Flowsheet grid of vitals over time: vital categories down the side, charting
+ * times across. History scrolls horizontally; the newest column stays pinned at
+ * the right edge and is scrolled into view when the grid changes.
+ * @param {Array} categories - From groupVitalsByCategory()
+ * @param {number} intervalMinutes - Length of each column's time bucket
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export default function VitalFlowsheet({ categories, intervalMinutes, unitSystem = 'metric' }) {
+  const scrollRef = useRef(null);
+  const { columns, rows } = buildFlowsheet(categories, intervalMinutes);
+  const newestKey = columns[columns.length - 1]?.key;
+
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
+    }
+  }, [newestKey, columns.length, intervalMinutes]);
+
+  if (columns.length === 0) {
+    return <p style={{ color: '#666' }}>No vitals to show in the flowsheet.</p>;
+  }
+
+  const showTime = intervalMinutes < 24 * 60;
+  const pinned = (key) => (key === newestKey ? { position: 'sticky', right: 0, zIndex: 1, boxShadow: '-2px 0 4px rgba(0,0,0,0.08)' } : {});
+
+  return (
+    <div ref={scrollRef} style={{ overflowX: 'auto', border: '1px solid #ddd', borderRadius: '4px' }}>
+      <table style={{ borderCollapse: 'separate', borderSpacing: 0, fontSize: '0.9em', minWidth: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...CELL, position: 'sticky', left: 0, zIndex: 2, background: '#f5f5f5', textAlign: 'left', minWidth: LABEL_WIDTH }}>
+              Vital
+            </th>
+            {columns.map((column, index) => {
+              // Show the date on the first column of each day
+              const newDay = index === 0 || column.start.toDateString() !== columns[index - 1].start.toDateString();
+              return (
+                <th key={column.key} style={{ ...CELL, background: '#f5f5f5', ...pinned(column.key) }}>
+                  <div style={{ fontSize: '11px', color: '#666', fontWeight: 'normal', visibility: newDay || column.key === newestKey ? 'visible' : 'hidden' }}>
+                    {column.start.toLocaleDateString()}
+                  </div>
+                  {showTime && column.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.name}>
+              <th style={{ ...CELL, position: 'sticky', left: 0, zIndex: 1, background: 'white', textAlign: 'left', minWidth: LABEL_WIDTH }}>
+                {row.name}
+              </th>
+              {columns.map(column => {
+                const vitals = row.cells[column.key] || [];
+                const latest = vitals[0];
+                const interpretation = latest ? getObservationInterpretation(latest) : null;
+                // Every value charted in the bucket, for the tooltip
+                const title = vitals.map(vital => {
+                  const flag = getObservationInterpretation(vital)?.flag;
+                  const time = new Date(vital.effectiveDateTime || vital.effectivePeriod?.start || vital.issued).toLocaleString();
+                  return `${time}: ${formatVitalValue(vital, unitSystem)}${isAbnormalFlag(flag) ? ` (${FLAG_LABELS[flag]})` : ''}`;
+                }).join('\n');
+                return (
+                  <td
+                    key={column.key}
+                    title={title || undefined}
+                    style={{ ...CELL, background: 'white', ...pinned(column.key), ...cellColors(interpretation?.flag) }}
+                  >
+                    {latest ? formatVitalValue(latest, unitSystem) : ''}
+                    {vitals.length > 1 && (
+                      <sup style={{ color: '#666', fontWeight: 'normal', marginLeft: '2px' }}>+{vitals.length - 1}</sup>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import { useState } from "react";
+import { getNormalRange } from "@/lib/vitalRanges";
+import { convert, toPreferred } from "@/lib/units";
+import { findVitalMeasure, findVitalType } from "@/lib/vitalTypes";
+import { isAmended } from "@/lib/vitals";
+
+const WIDTH = 560;
+const HEIGHT = 240;
+const PADDING = { top: 15, right: 15, bottom: 30, left: 45 };
+const SERIES_COLORS = ['#2196f3', '#e91e63', '#4CAF50', '#ff9800'];
+
+const TIME_WINDOWS = [
+  { key: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { key: '7d', label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { key: '30d', label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { key: '1y', label: '1 year', ms: 365 * 24 * 60 * 60 * 1000 },
+  { key: 'all', label: 'All', ms: null },
+];
+
+/**
+ * Split a category's observations into plottable series.
+ * Simple vitals give one series; component vitals (blood pressure) give one per component code.
+ * Values are converted to the preferred unit system so mixed °C/°F or kg/lb entries plot together.
+ * @param {Array} vitals - Observations of one category
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export const getSeries = (vitals, unitSystem = 'metric') => {
+  const series = {};
+  const addPoint = (coding, fallbackLabel, quantity, observation, measure) => {
+    if (!quantity || typeof quantity.value !== 'number') return;
+    const time = new Date(observation.effectiveDateTime || observation.issued).getTime();
+    if (Number.isNaN(time)) return;
+    const preferred = toPreferred(quantity, unitSystem);
+    const key = coding?.code || fallbackLabel;
+    if (!series[key]) {
+      series[key] = {
+        key,
+        label: coding?.display || fallbackLabel,
+        measure, // Registry entry with the normal range, or null
+        unit: preferred.label,
+        ucum: preferred.ucum,
+        points: []
+      };
+    }
+    series[key].points.push({ time, value: preferred.value, observation });
+  };
+
+  vitals.forEach(observation => {
+    // Code variants of one vital type (oral vs. body temperature) plot as a single series
+    const type = findVitalType(observation);
+    const coding = type ? { code: type.loinc, display: type.label } : observation.code?.coding?.[0];
+    if (observation.valueQuantity) {
+      addPoint(coding, observation.code?.text || 'Value', observation.valueQuantity, observation, findVitalMeasure(observation));
+    }
+    observation.component?.forEach(comp => {
+      addPoint(comp.code?.coding?.[0], comp.code?.text || 'Component', comp.valueQuantity, observation, findVitalMeasure(comp));
+    });
+  });
+
+  return Object.values(series).map(s => ({ ...s, points: s.points.sort((a, b) => a.time - b.time) }));
+};
+
+/**
+ * Time-series chart for one vital category with selectable time windows,
+ * hover details per point and shading for the normal range.
+ * Also used for single lab analytes, whose range comes from the results themselves.
+ * @param {Array} vitals - Observations of one category, as grouped by getVitalCategories()
+ * @param {string} unitSystem - "metric" or "imperial"
+ * @param {object} referenceRange - Optional { low, high } in the values' own unit, shaded when no default range is known
+ */
+export default function VitalTrendChart({ vitals, unitSystem = 'metric', referenceRange = null }) {
+  const [windowKey, setWindowKey] = useState('all');
+  const [hovered, setHovered] = useState(null);
+
+  const timeWindow = TIME_WINDOWS.find(w => w.key === windowKey);
+  const now = Date.now();
+  const since = timeWindow.ms ? now - timeWindow.ms : -Infinity;
+  const series = getSeries(vitals, unitSystem)
+    .map(s => ({ ...s, points: s.points.filter(p => p.time >= since) }))
+    .filter(s => s.points.length > 0);
+
+  const windowButtons = (
+    <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
+      {TIME_WINDOWS.map(w => (
+        <button
+          key={w.key}
+          onClick={() => { setWindowKey(w.key); setHovered(null); }}
+          style={{
+            background: windowKey === w.key ? '#2196f3' : '#f0f0f0',
+            color: windowKey === w.key ? 'white' : 'black',
+            border: 'none',
+            padding: '4px 10px',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '12px'
+          }}
+        >
+          {w.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (series.length === 0) {
+    return (
+      <div style={{ marginBottom: '20px' }}>
+        {windowButtons}
+        <p style={{ color: '#666', fontSize: '0.9em' }}>No numeric values to chart in this time window.</p>
+      </div>
+    );
+  }
+
+  // Normal ranges are shaded in the series' unit, when the range can be converted to it
+  const ranges = series.map(s => {
+    const range = getNormalRange(s.measure);
+    if (!range && referenceRange && series.length === 1 && referenceRange.low !== null && referenceRange.high !== null) {
+      return { low: referenceRange.low, high: referenceRange.high };
+    }
+    if (!range || !s.ucum) return null;
+    const low = convert(range.low, range.unit, s.ucum);
+    const high = convert(range.high, range.unit, s.ucum);
+    return low === null || high === null ? null : { low: Math.round(low * 10) / 10, high: Math.round(high * 10) / 10 };
+  });
+
+  const times = series.flatMap(s => s.points.map(p => p.time));
+  const values = [
+    ...series.flatMap(s => s.points.map(p => p.value)),
+    ...ranges.filter(Boolean).flatMap(r => [r.low, r.high])
+  ];
+  let minTime = timeWindow.ms ? since : Math.min(...times);
+  let maxTime = timeWindow.ms ? now : Math.max(...times);
+  if (minTime === maxTime) {
+    minTime -= 60 * 60 * 1000;
+    maxTime += 60 * 60 * 1000;
+  }
+  const spread = Math.max(...values) - Math.min(...values) || 1;
+  const minValue = Math.min(...values) - spread * 0.1;
+  const maxValue = Math.max(...values) + spread * 0.1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => minValue + f * (maxValue - minValue));
+  const xTicks = [0, 0.5, 1].map(f => minTime + f * (maxTime - minTime));
+  const formatTick = (time) => {
+    const date = new Date(time);
+    return maxTime - minTime <= 2 * 24 * 60 * 60 * 1000
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString();
+  };
+
+  return (
+    <div style={{ marginBottom: '20px', position: 'relative' }}>
+      {windowButtons}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label="Vital sign trend">
+        {/* Normal range shading */}
+        {ranges.map((range, i) => range && (
+          <rect
+            key={`range-${series[i].key}`}
+            x={PADDING.left}
+            width={plotWidth}
+            y={y(range.high)}
+            height={Math.max(0, y(range.low) - y(range.high))}
+            fill={SERIES_COLORS[i % SERIES_COLORS.length]}
+            opacity={0.08}
+          />
+        ))}
+
+        {/* Axes */}
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="#ccc" />
+        <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="#ccc" />
+        {yTicks.map(value => (
+          <text key={`y-${value}`} x={PADDING.left - 5} y={y(value) + 4} fontSize="10" textAnchor="end" fill="#666">
+            {Math.round(value * 10) / 10}
+          </text>
+        ))}
+        {xTicks.map((time, i) => (
+          <text
+            key={`x-${time}`}
+            x={x(time)}
+            y={HEIGHT - PADDING.bottom + 15}
+            fontSize="10"
+            textAnchor={i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle'}
+            fill="#666"
+          >
+            {formatTick(time)}
+          </text>
+        ))}
+
+        {/* One line per series (two for blood pressure) */}
+        {series.map((s, i) => (
+          <g key={s.key}>
+            <polyline
+              points={s.points.map(p => `${x(p.time)},${y(p.value)}`).join(' ')}
+              fill="none"
+              stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+              strokeWidth="2"
+            />
+            {/* Amended values are drawn hollow */}
+            {s.points.map(p => (
+              <circle
+                key={`${s.key}-${p.time}-${p.observation.id}`}
+                cx={x(p.time)}
+                cy={y(p.value)}
+                r={hovered?.point === p ? 5 : 3}
+                fill={isAmended(p.observation) ? 'white' : SERIES_COLORS[i % SERIES_COLORS.length]}
+                stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+                strokeWidth="1.5"
+                onMouseEnter={() => setHovered({ series: s, point: p })}
+                onMouseLeave={() => setHovered(null)}
+                style={{ cursor: 'pointer' }}
+              />
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      {/* Legend */}
+      <div style={{ display: 'flex', gap: '15px', fontSize: '0.85em', color: '#666' }}>
+        {series.map((s, i) => (
+          <span key={s.key}>
+            <span style={{ color: SERIES_COLORS[i % SERIES_COLORS.length] }}>■</span> {s.label}
+            {ranges[i] && ` (normal ${ranges[i].low}–${ranges[i].high} ${s.unit})`}
+          </span>
+        ))}
+        {series.some(s => s.points.some(p => isAmended(p.observation))) && <span>○ Amended value</span>}
+      </div>
+
+      {/* Hover details */}
+      {hovered && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '40px',
+            right: '10px',
+            background: 'white',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            padding: '8px',
+            fontSize: '0.85em',
+            boxShadow: '0 2px 6px rgba(0,0,0,0.15)',
+            pointerEvents: 'none'
+          }}
+        >
+          <div><strong>{hovered.series.label}:</strong> {hovered.point.value} {hovered.series.unit}</div>
+          <div style={{ color: '#666' }}>{new Date(hovered.point.time).toLocaleString()}</div>
+          {hovered.point.observation.status && <div style={{ color: '#666' }}>Status: {hovered.point.observation.status}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
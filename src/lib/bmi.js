@@ -0,0 +1,67 @@
+import { convert, getQuantityUcum } from "@/lib/units";
+import { findVitalType, getVitalType } from "@/lib/vitalTypes";
+import { buildVitalObservation, isRetracted } from "@/lib/vitals";
+
+/**
+ * Body mass index derived from a weight and a height: BMI = kg / m².
+ * The derived Observation points at its sources with derivedFrom, so a reader
+ * can see which measurements it came from.
+ */
+
+// A height older than this is not used for a new BMI (adults' height rarely changes within a year)
+export const HEIGHT_MAX_AGE_DAYS = 365;
+
+const effectiveTime = (observation) => new Date(observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued || 0).getTime();
+
+/**
+ * A quantity's value in another unit, or null when it has none or cannot be converted.
+ * @param {object} quantity - A FHIR Quantity
+ * @param {string} ucum - The unit wanted
+ */
+const valueIn = (quantity, ucum) => {
+  const from = getQuantityUcum(quantity);
+  if (typeof quantity?.value !== 'number' || !from) return null;
+  return convert(quantity.value, from, ucum);
+};
+
+/**
+ * BMI in kg/m², to one decimal, or null when either value is missing, not convertible or not positive.
+ * @param {object} weight - Weight as a FHIR Quantity (any mass unit)
+ * @param {object} height - Height as a FHIR Quantity (any length unit)
+ */
+export const calculateBmi = (weight, height) => {
+  const kg = valueIn(weight, 'kg');
+  const metres = valueIn(height, 'm');
+  if (!(kg > 0) || !(metres > 0)) return null;
+  return Math.round((kg / (metres * metres)) * 10) / 10;
+};
+
+/**
+ * The latest height measured at most maxAgeDays before a time, ignoring retracted entries; null if there is none.
+ * @param {Array} observations - Loaded vital-sign Observations
+ * @param {Date|string} at - When the weight was taken
+ * @param {number} maxAgeDays - How old a height may be
+ */
+export const findRecentHeight = (observations, at, maxAgeDays = HEIGHT_MAX_AGE_DAYS) => {
+  const time = new Date(at).getTime();
+  const earliest = time - maxAgeDays * 24 * 60 * 60 * 1000;
+  return observations
+    .filter(observation => findVitalType(observation)?.key === 'height' && !isRetracted(observation) && observation.valueQuantity)
+    .filter(observation => effectiveTime(observation) <= time && effectiveTime(observation) >= earliest)
+    .sort((a, b) => effectiveTime(b) - effectiveTime(a))[0] || null;
+};
+
+/**
+ * A new BMI Observation derived from a weight and a height Observation.
+ * Sources may be new (referenced by their transaction fullUrl) or already saved (Observation/id).
+ * @param {number} bmi - From calculateBmi()
+ * @param {object} sources - weight and height: references to the source Observations
+ * @param {object} context - As for buildVitalObservation()
+ */
+export const buildBmiObservation = (bmi, { weight, height }, context) => ({
+  ...buildVitalObservation(getVitalType('bmi'), { value: String(bmi), unit: 'kg/m2' }, context),
+  derivedFrom: [
+    { reference: weight, display: 'Body weight' },
+    { reference: height, display: 'Body height' },
+  ],
+});
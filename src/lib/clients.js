@@ -0,0 +1,154 @@
+import { isMockMode, MOCK_CLIENT_ID } from "@/lib/mock/config";
+
+/**
+ * Registry of the EHRs this app is registered with, one client registration per
+ * issuer (or per family of tenant issuers). The issuer received at launch picks
+ * the registration; issuers without one are refused before any request is sent
+ * to them.
+ *
+ * Registrations come from SMART_CLIENTS, a JSON array of entries like
+ *   { "issuer": "https://fhir-ehr-code.cerner.com/r4/*", "vendor": "cerner",
+ *     "clientId": "...", "redirectUri": "https://app.example.org/api/auth/callback" }
+ * An issuer ending in "/*" matches every tenant under that path. Entries may also
+ * set clientSecret, scopes (resource scopes to request instead of the defaults)
+ * and any vendor setting below.
+ */
+
+/**
+ * Per-vendor defaults for how the authorization request and token requests are made.
+ * - scopeVersion: 'v1', 'v2', or 'auto' to follow the server's permission-v2 capability
+ * - scopeContext: 'user' for practitioner-facing launches, 'patient' for patient-facing ones
+ * - refreshScope: the scope that asks for a refresh token, or null to not ask for one
+ * - tokenAuth: how a confidential client sends its secret: 'basic' (client_secret_basic) or 'post' (client_secret_post)
+ */
+export const VENDORS = {
+  // Millennium takes v1 scopes; online_access gives a refresh token that ends with the user's EHR session
+  cerner: { label: 'Oracle Health (Cerner)', scopeVersion: 'v1', scopeContext: 'user', refreshScope: 'online_access', tokenAuth: 'basic' },
+  // Epic advertises permission-v2 on versions that take v2 scopes, and issues refresh
+  // tokens from the app's registration rather than for a requested scope
+  epic: { label: 'Epic', scopeVersion: 'auto', scopeContext: 'user', refreshScope: null, tokenAuth: 'basic' },
+  smarthealthit: { label: 'SMART Health IT sandbox', scopeVersion: 'auto', scopeContext: 'user', refreshScope: 'offline_access', tokenAuth: 'basic' },
+  generic: { label: 'SMART on FHIR server', scopeVersion: 'auto', scopeContext: 'user', refreshScope: 'offline_access', tokenAuth: 'basic' },
+};
+
+const normalizeIssuer = (issuer) => (issuer || '').trim().replace(/\/+$/, '');
+
+const parseRegistrations = () => {
+  if (!process.env.SMART_CLIENTS) return [];
+  let entries;
+  try {
+    entries = JSON.parse(process.env.SMART_CLIENTS);
+  } catch (error) {
+    throw new Error(`SMART_CLIENTS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error("SMART_CLIENTS must be a JSON array of client registrations");
+  }
+  entries.forEach((entry, index) => {
+    if (!entry?.issuer || !entry.clientId || !entry.redirectUri) {
+      throw new Error(`SMART_CLIENTS entry ${index} needs issuer, clientId and redirectUri`);
+    }
+    if (entry.vendor && !VENDORS[entry.vendor]) {
+      throw new Error(`SMART_CLIENTS entry ${index} has unknown vendor "${entry.vendor}"`);
+    }
+  });
+  return entries;
+};
+
+/**
+ * Every registration: SMART_CLIENTS, then the older single-client variables
+ * (NEXT_PUBLIC_CERNER_CLIENT_ID and NEXT_PUBLIC_CERNER_REDIRECT_URI, registered
+ * for NEXT_PUBLIC_DEFAULT_ISSUER), then the local sandbox in mock mode.
+ */
+export const getRegistrations = () => {
+  const registrations = parseRegistrations();
+  const legacyClientId = process.env.NEXT_PUBLIC_CERNER_CLIENT_ID;
+  const legacyRedirectUri = process.env.NEXT_PUBLIC_CERNER_REDIRECT_URI;
+  if (legacyClientId && legacyRedirectUri && process.env.NEXT_PUBLIC_DEFAULT_ISSUER) {
+    registrations.push({
+      issuer: process.env.NEXT_PUBLIC_DEFAULT_ISSUER,
+      vendor: 'cerner',
+      clientId: legacyClientId,
+      redirectUri: legacyRedirectUri,
+      clientSecret: process.env.SMART_CLIENT_SECRET || null,
+    });
+  }
+  if (isMockMode()) {
+    // The sandbox is served by this app, so it lives on the same origin as the redirect URI
+    const redirectUri = legacyRedirectUri || 'http://localhost:3000/api/auth/callback';
+    registrations.push({
+      issuer: `${new URL(redirectUri).origin}/api/mock/fhir`,
+      vendor: 'generic',
+      clientId: legacyClientId || MOCK_CLIENT_ID,
+      redirectUri,
+    });
+  }
+  return registrations;
+};
+
+// An issuer as it will be requested: new URL() resolves dot segments, percent-encoded
+// ones (%2e%2e) included. Null when it is not a URL or has a query or fragment.
+const resolveIssuer = (issuer) => {
+  try {
+    const url = new URL(issuer);
+    return url.search || url.hash ? null : normalizeIssuer(`${url.origin}${url.pathname}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+const decodeTenant = (tenant) => {
+  try {
+    return decodeURIComponent(tenant);
+  } catch (error) {
+    return null;
+  }
+};
+
+const matches = (pattern, issuer) => {
+  const normalized = normalizeIssuer(pattern);
+  if (normalized.endsWith('/*')) {
+    const prefix = normalized.slice(0, -1);
+    // The tenant part must stay below the registered path once resolved, and must not
+    // hide dot segments or backslashes behind percent-encoding for the server to resolve
+    const tenant = decodeTenant(issuer.slice(prefix.length));
+    return resolveIssuer(issuer) === issuer && issuer.startsWith(prefix) && !!tenant && !/(^|\/)\.\.?(\/|$)|\\/.test(tenant);
+  }
+  return normalized === issuer;
+};
+
+/**
+ * The client registration for an issuer, merged with its vendor's defaults,
+ * or null when the app is not registered with that issuer.
+ * Exact issuers win over tenant wildcards.
+ * @param {string} issuer - The FHIR server base URL (iss)
+ */
+export const findClient = (issuer) => {
+  const target = normalizeIssuer(issuer);
+  if (!target) return null;
+  const registrations = getRegistrations();
+  const entry = registrations.find(r => !normalizeIssuer(r.issuer).endsWith('/*') && matches(r.issuer, target)) ||
+    registrations.find(r => matches(r.issuer, target));
+  if (!entry) return null;
+  const vendor = VENDORS[entry.vendor || 'generic'];
+  return {
+    ...vendor,
+    ...entry,
+    vendor: entry.vendor || 'generic',
+    issuer: target,
+    clientSecret: entry.clientSecret || null,
+    scopes: entry.scopes || null,
+  };
+};
+
+/**
+ * Like findClient(), but throws when the issuer is not registered.
+ * @param {string} issuer - The FHIR server base URL (iss)
+ */
+export const getClient = (issuer) => {
+  const client = findClient(issuer);
+  if (!client) {
+    throw new Error(`This app is not registered with ${issuer}`);
+  }
+  return client;
+};
@@ -0,0 +1,161 @@
+import { getQuantityUcum } from "@/lib/units";
+import { FLAG_LABELS, getObservationInterpretation, interpretElement, isAbnormalFlag } from "@/lib/vitalRanges";
+import { formatVitalValue, getCategoryName } from "@/lib/vitals";
+
+/**
+ * Exports of the vitals page: CSV, a printable report and a FHIR collection Bundle.
+ * Each export takes the observations that match the page's active filters,
+ * so what is exported is what the user is looking at.
+ */
+
+const effectiveTime = (observation) => observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued || '';
+
+const patientName = (patient) => [patient?.name?.[0]?.given?.join(' '), patient?.name?.[0]?.family].filter(Boolean).join(' ');
+
+/**
+ * The observations an export covers: those in the selected category (all
+ * categories when none is selected), newest first.
+ * @param {Array} observations - Every loaded vital-sign Observation
+ * @param {object} filters - category: the selected category name, or null
+ */
+export const selectExportVitals = (observations, { category = null } = {}) => (
+  observations
+    .filter(observation => !category || getCategoryName(observation) === category)
+    .sort((a, b) => new Date(effectiveTime(b)) - new Date(effectiveTime(a)))
+);
+
+/**
+ * Short description of the active filters, for report headers.
+ * @param {object} filters - category as for selectExportVitals(); search: the search filters, described
+ */
+export const describeExportFilters = ({ category = null, search = '' } = {}) => [category || 'All vitals', search].filter(Boolean).join(' · ');
+
+// RFC 4180: quote fields containing separators, quotes or line breaks.
+// Text that a spreadsheet would run as a formula (CSV injection) gets a leading
+// apostrophe; numbers are written as they are.
+const csvField = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = typeof value !== 'number' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['observation_id', 'effective', 'vital', 'component', 'loinc', 'value', 'unit', 'interpretation', 'status', 'performer', 'encounter'];
+
+/**
+ * CSV with one row per value: one per observation, or one per component for
+ * panel vitals such as blood pressure. Values are exported as recorded, in their UCUM units.
+ * @param {Array} observations - From selectExportVitals()
+ */
+export const vitalsToCsv = (observations) => {
+  const rows = observations.flatMap(observation => {
+    const shared = {
+      observation_id: observation.id,
+      effective: effectiveTime(observation),
+      vital: getCategoryName(observation),
+      status: observation.status,
+      performer: observation.performer?.[0]?.display || observation.performer?.[0]?.reference || '',
+      encounter: observation.encounter?.reference || '',
+    };
+    const elements = observation.component?.length ? observation.component : [observation];
+    return elements.map(element => {
+      const quantity = element.valueQuantity;
+      const flag = interpretElement(element)?.flag;
+      return {
+        ...shared,
+        component: element === observation ? '' : element.code?.text || element.code?.coding?.[0]?.display || '',
+        loinc: element.code?.coding?.find(c => c.system === 'http://loinc.org')?.code || element.code?.coding?.[0]?.code || '',
+        value: quantity?.value ?? element.valueString ?? element.valueCodeableConcept?.text ?? '',
+        unit: quantity ? getQuantityUcum(quantity) || quantity.unit || '' : '',
+        interpretation: flag ? FLAG_LABELS[flag] : '',
+      };
+    });
+  });
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * A FHIR Bundle of type collection holding the patient and the exported observations.
+ * @param {Array} observations - From selectExportVitals()
+ * @param {object} patient - The Patient resource, if loaded
+ * @param {string} issuer - The FHIR server base URL, used for fullUrl
+ */
+export const vitalsToBundle = (observations, patient, issuer) => {
+  const fullUrl = (resource) => (issuer && resource.id ? `${issuer.replace(/\/+$/, '')}/${resource.resourceType}/${resource.id}` : undefined);
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: [...(patient ? [patient] : []), ...observations].map(resource => ({ fullUrl: fullUrl(resource), resource })),
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * A standalone HTML report for printing (or saving as PDF from the print dialog):
+ * the patient header, the active filters and a table of the exported vitals.
+ * @param {object} options - patient, observations (from selectExportVitals()), filters, unitSystem
+ */
+export const buildVitalsReportHtml = ({ patient, observations, filters = {}, unitSystem = 'metric' }) => {
+  const generated = new Date().toLocaleString();
+  const rows = observations.map(observation => {
+    const interpretation = observation.status === 'entered-in-error' ? null : getObservationInterpretation(observation);
+    return `<tr${observation.status === 'entered-in-error' ? ' class="retracted"' : ''}>
+      <td>${escapeHtml(new Date(effectiveTime(observation)).toLocaleString())}</td>
+      <td>${escapeHtml(getCategoryName(observation))}</td>
+      <td class="value">${escapeHtml(formatVitalValue(observation, unitSystem))}</td>
+      <td>${escapeHtml(isAbnormalFlag(interpretation?.flag) ? interpretation.label : '')}</td>
+      <td>${escapeHtml(observation.status)}</td>
+    </tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Vital Signs - ${escapeHtml(patientName(patient))}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .patient { border: 1px solid #ccc; border-radius: 4px; padding: 10px 14px; margin: 12px 0; }
+  .patient div { margin: 2px 0; }
+  .meta { color: #666; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+  th { border-bottom: 2px solid #999; }
+  tr.retracted td { color: #999; }
+  tr.retracted td.value { text-decoration: line-through; }
+  @media print { body { margin: 0; } thead { display: table-header-group; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Vital Signs Report</h1>
+<div class="meta">${escapeHtml(describeExportFilters(filters))} · ${observations.length} observation${observations.length === 1 ? '' : 's'} · Generated ${escapeHtml(generated)}</div>
+<div class="patient">
+  <div><strong>Patient:</strong> ${escapeHtml(patientName(patient) || 'Unknown')}</div>
+  <div><strong>ID:</strong> ${escapeHtml(patient?.id || '')}</div>
+  <div><strong>Gender:</strong> ${escapeHtml(patient?.gender || '')} &nbsp; <strong>Birth Date:</strong> ${escapeHtml(patient?.birthDate || '')}</div>
+</div>
+<table>
+  <thead><tr><th>Date</th><th>Vital</th><th>Value</th><th>Flag</th><th>Status</th></tr></thead>
+  <tbody>
+${rows || '<tr><td colspan="5">No vitals match the active filters.</td></tr>'}
+  </tbody>
+</table>
+</body>
+</html>`;
+};
+
+/**
+ * File name for an export, e.g. "vitals-mock-patient-1-heart-rate-2024-05-01.csv".
+ * @param {object} patient - The Patient resource
+ * @param {object} filters - As for selectExportVitals()
+ * @param {string} extension - "csv" or "json"
+ */
+export const getExportFileName = (patient, filters, extension) => {
+  const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const parts = ['vitals', patient?.id, filters?.category && slug(filters.category), new Date().toISOString().slice(0, 10)];
+  return `${parts.filter(Boolean).join('-')}.${extension}`;
+};
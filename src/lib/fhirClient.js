@@ -0,0 +1,207 @@
+/**
+ * Browser FHIR client used by every page.
+ * Requests go through the /api/fhir proxy, which attaches the server-held token.
+ * On a 401 the client refreshes the session once and retries; concurrent
+ * requests that hit a 401 together share the same refresh.
+ */
+
+import { describeFhirError, parseOperationOutcome } from "@/lib/operationOutcome";
+
+const FHIR_BASE = "/api/fhir";
+
+/**
+ * A FHIR request that came back with an error status.
+ * `body` holds the parsed response (often an OperationOutcome) when there was one,
+ * and `issues` its issues as from parseOperationOutcome().
+ */
+export class FhirError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = "FhirError";
+    this.status = status;
+    this.body = body;
+    this.issues = parseOperationOutcome(body);
+  }
+}
+
+/**
+ * The session could not be refreshed; the user has to launch again.
+ */
+export class SessionExpiredError extends FhirError {
+  constructor(message = "Your session has expired. Please launch the app again.") {
+    super(message, 401, null);
+    this.name = "SessionExpiredError";
+  }
+}
+
+/**
+ * The proxy or FHIR server could not be reached at all.
+ */
+export class NetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NetworkError";
+  }
+}
+
+let refreshPromise = null;
+
+/**
+ * Refresh the server-side access token. Concurrent callers share one request.
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await fetch("/api/auth/refresh", { method: "POST" });
+      if (!response.ok) {
+        throw new SessionExpiredError();
+      }
+      return response.json();
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text.trim()) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const send = async (path, { method = "GET", body, headers = {} }) => {
+  try {
+    const relative = path.replace(/^\/+/, "");
+    return await fetch(relative ? `${FHIR_BASE}/${relative}` : FHIR_BASE, {
+      method,
+      headers: {
+        'Accept': 'application/fhir+json',
+        ...(body !== undefined ? { 'Content-Type': 'application/fhir+json' } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new NetworkError(`FHIR server unreachable: ${error.message}`);
+  }
+};
+
+/**
+ * Send a FHIR request, refreshing the session once if it comes back 401.
+ * Resolves to the parsed response body, or null for an empty body; an error
+ * status rejects with a FhirError whose message is readable (see lib/operationOutcome).
+ * @param {string} path - Path relative to the FHIR base, e.g. "Patient/123"; "" for the base itself
+ * @param {object} options - method, body (a resource) and extra headers
+ */
+export const request = async (path, options = {}) => {
+  let response = await send(path, options);
+  if (response.status === 401) {
+    await refreshSession();
+    response = await send(path, options);
+    if (response.status === 401) {
+      throw new SessionExpiredError();
+    }
+  }
+  const body = await parseBody(response);
+  if (!response.ok) {
+    throw new FhirError(describeFhirError(response.status, body), response.status, body);
+  }
+  return body;
+};
+
+/**
+ * Read a single resource by id.
+ * @param {string} resourceType - e.g. "Patient"
+ * @param {string} id - The resource id
+ */
+export const read = (resourceType, id) => request(`${resourceType}/${encodeURIComponent(id)}`);
+
+/**
+ * Search for resources. Array values become repeated parameters (date=ge..&date=le..).
+ * @param {string} resourceType - e.g. "Observation"
+ * @param {object|URLSearchParams} params - Search parameters
+ */
+export const search = (resourceType, params = {}) => {
+  const query = params instanceof URLSearchParams ? new URLSearchParams(params) : new URLSearchParams();
+  if (!(params instanceof URLSearchParams)) {
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      [].concat(value).forEach(v => query.append(key, v));
+    });
+  }
+  const queryString = query.toString();
+  return request(queryString ? `${resourceType}?${queryString}` : resourceType);
+};
+
+/**
+ * The URL of a Bundle's link[relation=next], or null on the last page.
+ * @param {object} bundle - A searchset Bundle
+ */
+export const getNextLink = (bundle) => bundle?.link?.find(link => link.relation === 'next')?.url || null;
+
+/**
+ * Fetch the page after this one. Resolves to null when there is no next page.
+ * The proxy rewrites paging links to /api/fhir/..., so they can be requested as-is.
+ * @param {object} bundle - A searchset Bundle
+ */
+export const nextPage = (bundle) => {
+  const next = getNextLink(bundle);
+  if (!next) return Promise.resolve(null);
+  return request(next.startsWith(`${FHIR_BASE}/`) ? next.slice(FHIR_BASE.length) : next);
+};
+
+/**
+ * Search and follow every next link, resolving to the resources of the requested type
+ * followed by any resources the search included (_include, search.mode "include"),
+ * once each. OperationOutcomes are dropped. Stops after maxPages pages.
+ * @param {string} resourceType - e.g. "DiagnosticReport"
+ * @param {object|URLSearchParams} params - Search parameters
+ * @param {number} maxPages - Upper bound on pages fetched
+ */
+export const searchAll = async (resourceType, params = {}, maxPages = 20) => {
+  const resources = [];
+  const included = new Map(); // By type/id: the same resource may be included from several pages
+  let bundle = await search(resourceType, params);
+  for (let page = 1; bundle; page++) {
+    (bundle.entry || []).forEach(entry => {
+      const resource = entry.resource;
+      if (!resource || resource.resourceType === "OperationOutcome") return;
+      if (entry.search?.mode === "include") {
+        included.set(`${resource.resourceType}/${resource.id}`, resource);
+      } else if (resource.resourceType === resourceType) {
+        resources.push(resource);
+      }
+    });
+    bundle = page < maxPages ? await nextPage(bundle) : null;
+  }
+  return [...resources, ...included.values()];
+};
+
+/**
+ * Create a resource. Resolves to the created resource, or null when the server returns no body.
+ * @param {object} resource - The resource to POST
+ */
+export const create = (resource) => request(resource.resourceType, { method: "POST", body: resource });
+
+/**
+ * Update a resource in place.
+ * @param {object} resource - The resource to PUT; must have an id
+ * @param {object} options - ifMatch: the version ETag for optimistic locking
+ */
+export const update = (resource, { ifMatch } = {}) => request(`${resource.resourceType}/${encodeURIComponent(resource.id)}`, {
+  method: "PUT",
+  body: resource,
+  headers: ifMatch ? { 'If-Match': ifMatch } : {},
+});
+
+/**
+ * Submit a transaction Bundle to the server base. Resolves to the transaction-response
+ * Bundle; when the server rejects the transaction nothing was saved and a FhirError is thrown.
+ * @param {object} bundle - A Bundle of type transaction
+ */
+export const transaction = (bundle) => request("", { method: "POST", body: bundle });
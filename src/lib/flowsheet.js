@@ -0,0 +1,87 @@
+import { isRetracted } from "@/lib/vitals";
+import { VITAL_TYPES } from "@/lib/vitalTypes";
+
+/**
+ * Flowsheet layout of the vitals page: one row per vital category, one column
+ * per charting time. Charting times are bucketed by an interval (e.g. hourly),
+ * aligned to local midnight so columns read as clock times.
+ */
+
+export const FLOWSHEET_INTERVALS = [
+  { key: '15m', label: '15 minutes', minutes: 15 },
+  { key: '1h', label: '1 hour', minutes: 60 },
+  { key: '4h', label: '4 hours', minutes: 4 * 60 },
+  { key: '8h', label: '8 hours (shift)', minutes: 8 * 60 },
+  { key: '1d', label: '1 day', minutes: 24 * 60 },
+];
+
+const DEFAULT_INTERVAL = '1h';
+const INTERVAL_KEY = 'flowsheet_interval';
+
+/**
+ * The user's flowsheet interval, remembered across sessions in localStorage.
+ */
+export const getFlowsheetInterval = () => {
+  if (typeof window === 'undefined') return DEFAULT_INTERVAL;
+  const stored = localStorage.getItem(INTERVAL_KEY);
+  return FLOWSHEET_INTERVALS.some(interval => interval.key === stored) ? stored : DEFAULT_INTERVAL;
+};
+
+/**
+ * Save the user's flowsheet interval.
+ * @param {string} key - An interval key from FLOWSHEET_INTERVALS
+ */
+export const setFlowsheetInterval = (key) => {
+  localStorage.setItem(INTERVAL_KEY, FLOWSHEET_INTERVALS.some(interval => interval.key === key) ? key : DEFAULT_INTERVAL);
+};
+
+const effectiveTime = (observation) => observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued;
+
+/**
+ * Start of the bucket a time falls in, counted in whole intervals from local midnight.
+ * @param {Date|string|number} time - A charting time
+ * @param {number} minutes - The interval length
+ */
+export const getBucketStart = (time, minutes) => {
+  const date = new Date(time);
+  const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const size = minutes * 60 * 1000;
+  return new Date(midnight.getTime() + Math.floor((date - midnight) / size) * size);
+};
+
+// Registry order (blood pressure, temperature, heart rate, ...) reads like a paper flowsheet; other vitals follow by name
+const rowOrder = (name) => {
+  const index = VITAL_TYPES.findIndex(type => type.label === name);
+  return index === -1 ? VITAL_TYPES.length : index;
+};
+
+/**
+ * The flowsheet grid for grouped vitals. Columns run oldest to newest and only
+ * exist where something was charted. Each cell holds the observations of that
+ * row and bucket, newest first; retracted (entered-in-error) values are left out.
+ * Returns { columns: [{ key, start }], rows: [{ name, cells: { [key]: observations } }] }.
+ * @param {Array} categories - From groupVitalsByCategory()
+ * @param {number} minutes - The interval length
+ */
+export const buildFlowsheet = (categories, minutes) => {
+  const columns = new Map();
+  const rows = categories
+    .map(category => {
+      const cells = {};
+      category.vitals.filter(vital => !isRetracted(vital) && effectiveTime(vital)).forEach(vital => {
+        const start = getBucketStart(effectiveTime(vital), minutes);
+        const key = String(start.getTime());
+        columns.set(key, start);
+        (cells[key] = cells[key] || []).push(vital);
+      });
+      Object.values(cells).forEach(vitals => vitals.sort((a, b) => new Date(effectiveTime(b)) - new Date(effectiveTime(a))));
+      return { name: category.name, cells };
+    })
+    .filter(row => Object.keys(row.cells).length > 0)
+    .sort((a, b) => rowOrder(a.name) - rowOrder(b.name) || a.name.localeCompare(b.name));
+
+  return {
+    columns: [...columns.entries()].sort(([a], [b]) => Number(a) - Number(b)).map(([key, start]) => ({ key, start })),
+    rows,
+  };
+};
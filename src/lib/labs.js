@@ -0,0 +1,149 @@
+import { getQuantityUcum, getUnitLabel } from "@/lib/units";
+
+/**
+ * Helpers for the labs page: matching DiagnosticReports to their result
+ * Observations, grouping reports by panel and describing reference ranges.
+ */
+
+/**
+ * Panels grouped together on the labs page, keyed by the LOINC codes that identify them.
+ * Reports with other codes are grouped by their own code.
+ */
+export const LAB_PANELS = [
+  { key: 'cbc', label: 'Complete Blood Count (CBC)', codes: ['58410-2', '57021-8', '57782-5', '69742-5'] },
+  { key: 'bmp', label: 'Basic Metabolic Panel (BMP)', codes: ['51990-0', '24321-2', '24320-4'] },
+  { key: 'cmp', label: 'Comprehensive Metabolic Panel (CMP)', codes: ['24323-8', '24322-0'] },
+  { key: 'lipid', label: 'Lipid Panel', codes: ['57698-3', '24331-1'] },
+];
+
+const conceptText = (concept) => concept?.text || concept?.coding?.find(c => c.display)?.display || concept?.coding?.[0]?.code || 'Unnamed';
+
+const effectiveTime = (resource) => new Date(resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued || 0).getTime();
+
+/**
+ * The panel a report belongs to: a known panel, or one made from the report's own code.
+ * @param {object} report - A FHIR DiagnosticReport
+ */
+export const getReportPanel = (report) => {
+  const codes = (report.code?.coding || []).map(c => c.code);
+  const known = LAB_PANELS.find(panel => panel.codes.some(code => codes.includes(code)));
+  if (known) return { key: known.key, label: known.label };
+  return { key: `code:${codes[0] || conceptText(report.code)}`, label: conceptText(report.code) };
+};
+
+const resultId = (ref) => ref.reference?.split('/').pop();
+
+/**
+ * Attach each report's result Observations, in the order the report lists them.
+ * A report's results need not be in the laboratory category, so they are looked
+ * up among the results fetched with the reports as well.
+ * Lab results that no report references are returned separately.
+ * Returns { reports: [{ report, results }], unreported }.
+ * @param {Array} reports - DiagnosticReports
+ * @param {Array} observations - Lab Observations
+ * @param {Array} reportResults - Observations fetched as results of the reports (_include or read)
+ */
+export const linkReportResults = (reports, observations, reportResults = []) => {
+  const byId = Object.fromEntries([...reportResults, ...observations].map(observation => [observation.id, observation]));
+  const used = new Set();
+  const linked = reports.map(report => {
+    const results = (report.result || [])
+      .map(resultId)
+      .filter(id => byId[id])
+      .map(id => {
+        used.add(id);
+        return byId[id];
+      });
+    return { report, results };
+  });
+  return {
+    reports: linked,
+    unreported: observations.filter(observation => !used.has(observation.id)),
+  };
+};
+
+/**
+ * Ids of report results that are not among the loaded Observations, e.g. when
+ * the server ignored _include; these have to be read one by one.
+ * @param {Array} reports - DiagnosticReports
+ * @param {Array} observations - Every Observation loaded so far
+ */
+export const getMissingResultIds = (reports, observations) => {
+  const loaded = new Set(observations.map(observation => observation.id));
+  return [...new Set(reports.flatMap(report => (report.result || []).map(resultId)))].filter(id => id && !loaded.has(id));
+};
+
+/**
+ * Group linked reports by panel, newest report first, panels ordered by their newest report.
+ * @param {Array} linkedReports - The reports from linkReportResults()
+ */
+export const groupReportsByPanel = (linkedReports) => {
+  const panels = {};
+  linkedReports.forEach(linked => {
+    const panel = getReportPanel(linked.report);
+    if (!panels[panel.key]) {
+      panels[panel.key] = { ...panel, reports: [] };
+    }
+    panels[panel.key].reports.push(linked);
+  });
+  return Object.values(panels)
+    .map(panel => ({ ...panel, reports: panel.reports.sort((a, b) => effectiveTime(b.report) - effectiveTime(a.report)) }))
+    .sort((a, b) => effectiveTime(b.reports[0].report) - effectiveTime(a.reports[0].report));
+};
+
+/**
+ * Name of an analyte for display.
+ * @param {object} observation - A lab Observation
+ */
+export const getAnalyteName = (observation) => conceptText(observation.code);
+
+/**
+ * Key identifying an analyte across reports: its first code, or its name.
+ * @param {object} observation - A lab Observation
+ */
+export const getAnalyteKey = (observation) => {
+  const coding = observation.code?.coding?.[0];
+  return coding?.code ? `${coding.system || ''}|${coding.code}` : getAnalyteName(observation);
+};
+
+/**
+ * Every loaded result for one analyte, oldest first.
+ * @param {Array} observations - Lab Observations
+ * @param {string} analyteKey - From getAnalyteKey()
+ */
+export const getAnalyteHistory = (observations, analyteKey) => (
+  observations
+    .filter(observation => getAnalyteKey(observation) === analyteKey && observation.status !== 'entered-in-error')
+    .sort((a, b) => effectiveTime(a) - effectiveTime(b))
+);
+
+/**
+ * Text for an observation's reference range, e.g. "4.0–11.0 10*3/uL", "> 60 mL/min" or the range's own text.
+ * @param {object} observation - A lab Observation
+ */
+export const formatReferenceRange = (observation) => {
+  const range = observation.referenceRange?.[0];
+  if (!range) return '';
+  if (range.text && !range.low && !range.high) return range.text;
+  const unitOf = (q) => {
+    const ucum = getQuantityUcum(q);
+    return ucum ? getUnitLabel(ucum) : q.unit || q.code || '';
+  };
+  const unit = unitOf(range.low || range.high);
+  const low = range.low?.value;
+  const high = range.high?.value;
+  if (low !== undefined && high !== undefined) return `${low}–${high} ${unit}`.trim();
+  if (low !== undefined) return `≥ ${low} ${unit}`.trim();
+  if (high !== undefined) return `≤ ${high} ${unit}`.trim();
+  return range.text || '';
+};
+
+/**
+ * The reference range as numbers, for shading a trend, or null when it has no bounds.
+ * @param {object} observation - A lab Observation
+ */
+export const getReferenceBounds = (observation) => {
+  const range = observation.referenceRange?.[0];
+  if (!range || (range.low?.value === undefined && range.high?.value === undefined)) return null;
+  return { low: range.low?.value ?? null, high: range.high?.value ?? null };
+};
@@ -0,0 +1,32 @@
+/**
+ * Decide where the launch flow goes once the session has been loaded.
+ * Returns { step, patientId, error }:
+ * - "standalone" when there is no session yet
+ * - "success" when the stored patient data is for the session's patient
+ * - "fetch-patient" when the token carried a patient to load
+ * - "select-patient" for a standalone launch without a patient
+ * - "error" when an EHR launch gave no patient context
+ * @param {object} session - The response of /api/auth/session
+ * @param {object|null} storedPatient - Patient data kept in sessionStorage, if any
+ */
+export const getLaunchStep = (session, storedPatient) => {
+  if (!session?.authenticated) {
+    return { step: 'standalone', patientId: null, error: null };
+  }
+  // User navigating back from the vitals page with the same patient
+  if (storedPatient && session.patient && storedPatient.id === session.patient) {
+    return { step: 'success', patientId: session.patient, error: null };
+  }
+  if (session.patient) {
+    return { step: 'fetch-patient', patientId: session.patient, error: null };
+  }
+  // The server did not pick a patient for us, so let the user search for one
+  if (session.launchMode === 'standalone') {
+    return { step: 'select-patient', patientId: null, error: null };
+  }
+  return {
+    step: 'error',
+    patientId: null,
+    error: "No patient context found in token. This app must be launched with a patient context."
+  };
+};
@@ -0,0 +1,38 @@
+/**
+ * Mock mode: a local SMART authorization server and FHIR sandbox for offline
+ * development and demos. Enabled with NEXT_PUBLIC_MOCK_FHIR=true; every mock
+ * route answers 404 otherwise.
+ */
+
+export const MOCK_CLIENT_ID = "mock-client";
+
+export const isMockMode = () => process.env.NEXT_PUBLIC_MOCK_FHIR === "true";
+
+/**
+ * Origin of the running app, from the request.
+ * @param {object} req - The Next.js request
+ */
+export const getOrigin = (req) => {
+  const proto = req.headers["x-forwarded-proto"] || (req.socket?.encrypted ? "https" : "http");
+  return `${proto}://${req.headers["x-forwarded-host"] || req.headers.host}`;
+};
+
+/**
+ * FHIR base URL (the issuer) of the mock sandbox.
+ * @param {object} req - The Next.js request
+ */
+export const getMockIssuer = (req) => `${getOrigin(req)}/api/mock/fhir`;
+
+/**
+ * Client ID of a request to the mock authorization server, from HTTP Basic
+ * auth (confidential clients) or the form body (public clients).
+ * @param {object} req - The Next.js request
+ */
+export const getClientId = (req) => {
+  const basic = (req.headers.authorization || "").match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const [id] = Buffer.from(basic[1], "base64").toString("utf8").split(":");
+    return decodeURIComponent(id);
+  }
+  return req.body?.client_id;
+};
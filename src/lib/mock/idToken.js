@@ -0,0 +1,42 @@
+import crypto from "crypto";
+
+/**
+ * OpenID Connect id_tokens for the mock authorization server.
+ * Signed RS256 with a key pair generated on first use and kept on globalThis
+ * alongside the mock store, so tokens stay valid across hot reloads.
+ */
+
+const getSigningKey = () => {
+  if (!globalThis.__mockSigningKey) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    globalThis.__mockSigningKey = {
+      kid: crypto.randomBytes(8).toString("hex"),
+      privateKey,
+      publicKey,
+    };
+  }
+  return globalThis.__mockSigningKey;
+};
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Sign an id_token with the given claims. iat and exp are added.
+ * @param {object} claims - iss, sub, aud, fhirUser, ...
+ * @param {number} lifetime - Seconds until the token expires
+ */
+export const signIdToken = (claims, lifetime = 3600) => {
+  const { kid, privateKey } = getSigningKey();
+  const now = Math.floor(Date.now() / 1000);
+  const signingInput = `${encodeSegment({ alg: "RS256", typ: "JWT", kid })}.${encodeSegment({ ...claims, iat: now, exp: now + lifetime })}`;
+  const signature = crypto.sign("sha256", Buffer.from(signingInput), privateKey).toString("base64url");
+  return `${signingInput}.${signature}`;
+};
+
+/**
+ * The public signing key as a JSON Web Key Set, served at the mock jwks_uri.
+ */
+export const getPublicJwks = () => {
+  const { kid, publicKey } = getSigningKey();
+  return { keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" }] };
+};
@@ -0,0 +1,478 @@
+import crypto from "crypto";
+
+/**
+ * In-memory FHIR store and authorization state for mock mode.
+ * Seeded with synthetic patients, a few weeks of vitals and lab panels, and a
+ * short problem, allergy and medication list for each. Everything lives on
+ * globalThis so it survives hot reloads in development, and is lost when the
+ * server restarts.
+ */
+
+const LOINC = "http://loinc.org";
+const UCUM = "http://unitsofmeasure.org";
+const HOUR = 60 * 60 * 1000;
+
+// Small deterministic PRNG so the seeded data is the same on every start
+const createRandom = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const SNOMED = "http://snomed.info/sct";
+const RXNORM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+
+const SEED_PATIENTS = [
+  {
+    id: "mock-patient-1", given: ["Amy", "V."], family: "Shaw", gender: "female", birthDate: "1987-02-20", mrn: "10000001", weight: 68, height: 165,
+    conditions: [{ code: "195967001", display: "Asthma", onset: "2009-04-01" }],
+    allergies: [{ code: "91936005", display: "Allergy to penicillin", criticality: "high", reaction: "Hives" }],
+    medications: [{ code: "746763", display: "Albuterol 0.09 MG/ACTUAT Inhaler", dosage: "2 puffs every 4 hours as needed for wheezing" }],
+  },
+  {
+    id: "mock-patient-2", given: ["Carlos"], family: "Mendez", gender: "male", birthDate: "1954-11-03", mrn: "10000002", weight: 91, height: 178,
+    conditions: [
+      { code: "38341003", display: "Hypertension", onset: "2011-09-15" },
+      { code: "44054006", display: "Type 2 diabetes mellitus", onset: "2015-02-10" },
+      { code: "233604007", display: "Pneumonia", onset: null, resolved: true },
+    ],
+    allergies: [],
+    medications: [
+      { code: "314076", display: "Lisinopril 10 MG Oral Tablet", dosage: "1 tablet by mouth once daily" },
+      { code: "861007", display: "Metformin hydrochloride 500 MG Oral Tablet", dosage: "1 tablet by mouth twice daily with meals" },
+      { code: "308182", display: "Amoxicillin 250 MG Oral Capsule", dosage: "1 capsule three times daily", stopped: true },
+    ],
+  },
+  {
+    id: "mock-patient-3", given: ["Lena"], family: "Okafor", gender: "female", birthDate: "2001-06-14", mrn: "10000003", weight: 57, height: 170,
+    conditions: [],
+    allergies: [
+      { code: "300913006", display: "Shellfish allergy", criticality: "low", reaction: "Itching of mouth" },
+      { code: "294505008", display: "Allergy to sulfonamide", criticality: "unable-to-assess", reaction: "Rash" },
+    ],
+    medications: [],
+  },
+];
+
+export const MOCK_PRACTITIONER_ID = "mock-practitioner-1";
+
+const vitalCategory = [{
+  coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "vital-signs", display: "Vital Signs" }],
+  text: "Vital Signs"
+}];
+
+const quantity = (value, unit, code) => ({ value, unit, system: UCUM, code });
+
+const buildObservation = (id, patientId, encounterId, time, code, display, value) => ({
+  resourceType: "Observation",
+  id,
+  status: "final",
+  category: vitalCategory,
+  code: { coding: [{ system: LOINC, code, display }], text: display },
+  subject: { reference: `Patient/${patientId}` },
+  encounter: { reference: `Encounter/${encounterId}` },
+  performer: [{ reference: `Practitioner/${MOCK_PRACTITIONER_ID}` }],
+  effectiveDateTime: new Date(time).toISOString(),
+  ...value,
+});
+
+const seedVitals = (patient, encounterId, now, random) => {
+  const observations = [];
+  const jitter = (base, spread) => Math.round((base + (random() - 0.5) * 2 * spread) * 10) / 10;
+  let n = 0;
+  const nextId = () => `${patient.id}-obs-${++n}`;
+
+  // A vital set every 8 hours for three weeks, plus a daily weight and one height
+  for (let hoursAgo = 21 * 24; hoursAgo >= 0; hoursAgo -= 8) {
+    const time = now - hoursAgo * HOUR;
+    const feverish = hoursAgo < 72 && patient.id === "mock-patient-2";
+    observations.push(buildObservation(nextId(), patient.id, encounterId, time, "85354-9", "Blood pressure panel with all children optional", {
+      component: [
+        { code: { coding: [{ system: LOINC, code: "8480-6", display: "Systolic blood pressure" }] }, valueQuantity: quantity(Math.round(jitter(122, 14)), "mmHg", "mm[Hg]") },
+        { code: { coding: [{ system: LOINC, code: "8462-4", display: "Diastolic blood pressure" }] }, valueQuantity: quantity(Math.round(jitter(78, 9)), "mmHg", "mm[Hg]") },
+      ]
+    }));
+    observations.push(buildObservation(nextId(), patient.id, encounterId, time, "8867-4", "Heart rate", {
+      valueQuantity: quantity(Math.round(jitter(feverish ? 104 : 76, 10)), "/min", "/min")
+    }));
+    observations.push(buildObservation(nextId(), patient.id, encounterId, time, "9279-1", "Respiratory rate", {
+      valueQuantity: quantity(Math.round(jitter(16, 3)), "/min", "/min")
+    }));
+    observations.push(buildObservation(nextId(), patient.id, encounterId, time, "8310-5", "Body temperature", {
+      valueQuantity: quantity(jitter(feverish ? 38.6 : 36.8, 0.4), "Cel", "Cel")
+    }));
+    observations.push(buildObservation(nextId(), patient.id, encounterId, time, "59408-5", "Oxygen saturation in Arterial blood by Pulse oximetry", {
+      valueQuantity: quantity(Math.min(100, Math.round(jitter(97, 2))), "%", "%")
+    }));
+    if (hoursAgo % 24 === 0) {
+      observations.push(buildObservation(nextId(), patient.id, encounterId, time, "29463-7", "Body weight", {
+        valueQuantity: quantity(jitter(patient.weight - hoursAgo / 24 * 0.05, 0.4), "kg", "kg")
+      }));
+    }
+  }
+  observations.push(buildObservation(nextId(), patient.id, encounterId, now - 21 * 24 * HOUR, "8302-2", "Body height", {
+    valueQuantity: quantity(patient.height, "cm", "cm")
+  }));
+  return observations;
+};
+
+const labCategory = [{
+  coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" }],
+  text: "Laboratory"
+}];
+
+// Lab panels drawn for every patient: analyte LOINC, name, UCUM unit, reference range and typical value
+const LAB_PANELS = [
+  {
+    code: "58410-2", display: "CBC panel - Blood by Automated count", analytes: [
+      { code: "6690-2", display: "Leukocytes [#/volume] in Blood by Automated count", unit: "10*3/uL", low: 4.0, high: 11.0, typical: 7.0, spread: 1.5 },
+      { code: "718-7", display: "Hemoglobin [Mass/volume] in Blood", unit: "g/dL", low: 12.0, high: 17.5, typical: 14.0, spread: 1.0 },
+      { code: "4544-3", display: "Hematocrit [Volume Fraction] of Blood by Automated count", unit: "%", low: 36, high: 50, typical: 42, spread: 3 },
+      { code: "777-3", display: "Platelets [#/volume] in Blood by Automated count", unit: "10*3/uL", low: 150, high: 400, typical: 250, spread: 50 },
+    ]
+  },
+  {
+    code: "51990-0", display: "Basic metabolic panel - Blood", analytes: [
+      { code: "2951-2", display: "Sodium [Moles/volume] in Serum or Plasma", unit: "mmol/L", low: 135, high: 145, typical: 140, spread: 3 },
+      { code: "2823-3", display: "Potassium [Moles/volume] in Serum or Plasma", unit: "mmol/L", low: 3.5, high: 5.1, typical: 4.2, spread: 0.4 },
+      { code: "2075-0", display: "Chloride [Moles/volume] in Serum or Plasma", unit: "mmol/L", low: 98, high: 107, typical: 102, spread: 3 },
+      { code: "2028-9", display: "Carbon dioxide, total [Moles/volume] in Serum or Plasma", unit: "mmol/L", low: 22, high: 29, typical: 25, spread: 2 },
+      { code: "3094-0", display: "Urea nitrogen [Mass/volume] in Serum or Plasma", unit: "mg/dL", low: 7, high: 20, typical: 14, spread: 4 },
+      { code: "2160-0", display: "Creatinine [Mass/volume] in Serum or Plasma", unit: "mg/dL", low: 0.6, high: 1.2, typical: 0.9, spread: 0.15 },
+      { code: "2345-7", display: "Glucose [Mass/volume] in Serum or Plasma", unit: "mg/dL", low: 70, high: 99, typical: 88, spread: 8 },
+      { code: "17861-6", display: "Calcium [Mass/volume] in Serum or Plasma", unit: "mg/dL", low: 8.6, high: 10.3, typical: 9.4, spread: 0.4 },
+    ]
+  },
+];
+
+// Values that differ from the typical ones, so some results are flagged
+const LAB_OVERRIDES = {
+  "mock-patient-2": { "2345-7": 168, "6690-2": 13.8 }, // Diabetic, and an infection in the last few days
+};
+
+const seedLabs = (patient, encounterId, now, random) => {
+  const resources = [];
+  let n = 0;
+  // Draws three weeks, two weeks and one week ago, and yesterday
+  [20, 13, 6, 1].forEach((daysAgo, drawIndex) => {
+    const time = new Date(now - daysAgo * 24 * HOUR).toISOString();
+    const latest = drawIndex === 3;
+    LAB_PANELS.forEach(panel => {
+      const results = panel.analytes.map(analyte => {
+        const override = latest ? LAB_OVERRIDES[patient.id]?.[analyte.code] : undefined;
+        const raw = override ?? analyte.typical + (random() - 0.5) * 2 * analyte.spread;
+        const value = Math.round(raw * 10) / 10;
+        const flag = value < analyte.low ? "L" : value > analyte.high ? "H" : "N";
+        return {
+          resourceType: "Observation",
+          id: `${patient.id}-lab-${++n}`,
+          status: "final",
+          category: labCategory,
+          code: { coding: [{ system: LOINC, code: analyte.code, display: analyte.display }], text: analyte.display },
+          subject: { reference: `Patient/${patient.id}` },
+          encounter: { reference: `Encounter/${encounterId}` },
+          effectiveDateTime: time,
+          issued: time,
+          valueQuantity: quantity(value, analyte.unit, analyte.unit),
+          interpretation: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation", code: flag }] }],
+          referenceRange: [{ low: quantity(analyte.low, analyte.unit, analyte.unit), high: quantity(analyte.high, analyte.unit, analyte.unit) }],
+        };
+      });
+      resources.push(...results, {
+        resourceType: "DiagnosticReport",
+        id: `${patient.id}-report-${++n}`,
+        status: "final",
+        category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "LAB", display: "Laboratory" }] }],
+        code: { coding: [{ system: LOINC, code: panel.code, display: panel.display }], text: panel.display },
+        subject: { reference: `Patient/${patient.id}` },
+        encounter: { reference: `Encounter/${encounterId}` },
+        effectiveDateTime: time,
+        issued: time,
+        result: results.map(r => ({ reference: `Observation/${r.id}`, display: r.code.text })),
+      });
+    });
+  });
+  return resources;
+};
+
+const clinicalStatus = (system, code) => ({ coding: [{ system: `http://terminology.hl7.org/CodeSystem/${system}`, code }] });
+
+// Problem list, allergies and medications for the clinical summary
+const seedClinicalData = (patient, now) => {
+  const subject = { reference: `Patient/${patient.id}` };
+  const requester = { reference: `Practitioner/${MOCK_PRACTITIONER_ID}` };
+  return [
+    ...patient.conditions.map((c, i) => ({
+      resourceType: "Condition",
+      id: `${patient.id}-condition-${i + 1}`,
+      clinicalStatus: clinicalStatus("condition-clinical", c.resolved ? "resolved" : "active"),
+      verificationStatus: clinicalStatus("condition-ver-status", "confirmed"),
+      category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-category", code: "problem-list-item" }] }],
+      code: { coding: [{ system: SNOMED, code: c.code, display: c.display }], text: c.display },
+      subject,
+      ...(c.onset ? { onsetDateTime: c.onset } : {}),
+      recordedDate: new Date(now - 30 * 24 * HOUR).toISOString(),
+    })),
+    ...patient.allergies.map((a, i) => ({
+      resourceType: "AllergyIntolerance",
+      id: `${patient.id}-allergy-${i + 1}`,
+      clinicalStatus: clinicalStatus("allergyintolerance-clinical", "active"),
+      verificationStatus: clinicalStatus("allergyintolerance-verification", "confirmed"),
+      criticality: a.criticality,
+      code: { coding: [{ system: SNOMED, code: a.code, display: a.display }], text: a.display },
+      patient: subject,
+      reaction: [{ manifestation: [{ text: a.reaction }] }],
+      recordedDate: new Date(now - 60 * 24 * HOUR).toISOString(),
+    })),
+    ...patient.medications.map((m, i) => ({
+      resourceType: "MedicationRequest",
+      id: `${patient.id}-medrequest-${i + 1}`,
+      status: m.stopped ? "stopped" : "active",
+      intent: "order",
+      medicationCodeableConcept: { coding: [{ system: RXNORM, code: m.code, display: m.display }], text: m.display },
+      subject,
+      requester,
+      authoredOn: new Date(now - (m.stopped ? 40 : 10) * 24 * HOUR).toISOString(),
+      dosageInstruction: [{ text: m.dosage }],
+    })),
+  ];
+};
+
+const seed = () => {
+  const now = Date.now();
+  const random = createRandom(42);
+  const resources = { Patient: {}, Practitioner: {}, Encounter: {}, Observation: {} };
+  const add = (resource) => {
+    resources[resource.resourceType] = resources[resource.resourceType] || {};
+    resources[resource.resourceType][resource.id] = {
+      ...resource,
+      meta: { versionId: "1", lastUpdated: new Date(now).toISOString() }
+    };
+  };
+
+  add({
+    resourceType: "Practitioner",
+    id: MOCK_PRACTITIONER_ID,
+    name: [{ given: ["Jordan"], family: "Blake", prefix: ["Dr."] }],
+  });
+
+  SEED_PATIENTS.forEach((p, index) => {
+    add({
+      resourceType: "Patient",
+      id: p.id,
+      identifier: [{
+        type: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MR" }], text: "MRN" },
+        system: "urn:mock:mrn",
+        value: p.mrn
+      }],
+      name: [{ use: "official", given: p.given, family: p.family }],
+      gender: p.gender,
+      birthDate: p.birthDate,
+    });
+    const encounterId = `mock-encounter-${index + 1}`;
+    add({
+      resourceType: "Encounter",
+      id: encounterId,
+      status: "in-progress",
+      class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "IMP", display: "inpatient encounter" },
+      subject: { reference: `Patient/${p.id}` },
+      period: { start: new Date(now - 21 * 24 * HOUR).toISOString() },
+    });
+    seedVitals(p, encounterId, now, random).forEach(add);
+    seedClinicalData(p, now).forEach(add);
+    seedLabs(p, encounterId, now, random).forEach(add);
+  });
+
+  return {
+    resources,
+    codes: {},          // authorization code -> pending grant
+    accessTokens: {},   // access token -> grant
+    refreshTokens: {},  // refresh token -> grant
+  };
+};
+
+/**
+ * The shared mock state, seeded on first use.
+ */
+export const getStore = () => {
+  if (!globalThis.__mockFhirStore) {
+    globalThis.__mockFhirStore = seed();
+  }
+  return globalThis.__mockFhirStore;
+};
+
+export const randomToken = () => crypto.randomBytes(24).toString("base64url");
+
+/**
+ * The patient to put in context for a launch token issued by the mock EHR.
+ * Launch tokens are simply "launch-<patient id>".
+ * @param {string} launch - The launch token
+ */
+export const resolveLaunch = (launch) => {
+  const patientId = launch?.startsWith("launch-") ? launch.slice("launch-".length) : null;
+  const store = getStore();
+  if (!patientId || !store.resources.Patient[patientId]) return null;
+  const encounter = Object.values(store.resources.Encounter).find(e => e.subject?.reference === `Patient/${patientId}`);
+  return { patient: patientId, encounter: encounter?.id || null };
+};
+
+// --- FHIR data access ---
+
+export const readResource = (type, id) => getStore().resources[type]?.[id] || null;
+
+/**
+ * Store a resource under a new id and version 1.
+ * @param {object} resource - The resource to create
+ * @param {string} id - The id to store it under, when already assigned (transactions); a new one otherwise
+ */
+export const createResource = (resource, id = crypto.randomUUID()) => {
+  const store = getStore();
+  const created = { ...resource, id, meta: { versionId: "1", lastUpdated: new Date().toISOString() } };
+  store.resources[resource.resourceType] = store.resources[resource.resourceType] || {};
+  store.resources[resource.resourceType][id] = created;
+  return created;
+};
+
+/**
+ * Replace a resource, bumping its version. Returns { resource } or { error, status }.
+ * @param {object} resource - The new content; must carry resourceType and id
+ * @param {string|undefined} ifMatch - The If-Match header, e.g. W/"2"
+ */
+export const updateResource = (resource, ifMatch) => {
+  const existing = readResource(resource.resourceType, resource.id);
+  if (!existing) {
+    return { status: 404, error: `${resource.resourceType}/${resource.id} not found` };
+  }
+  if (ifMatch) {
+    const expected = ifMatch.replace(/^W\//, "").replace(/"/g, "");
+    if (expected !== existing.meta.versionId) {
+      return { status: 412, error: `Version conflict: resource is at version ${existing.meta.versionId}` };
+    }
+  }
+  const updated = {
+    ...resource,
+    meta: { versionId: String(Number(existing.meta.versionId) + 1), lastUpdated: new Date().toISOString() }
+  };
+  getStore().resources[resource.resourceType][resource.id] = updated;
+  return { resource: updated };
+};
+
+// --- Search ---
+
+const matchesToken = (codeableConcepts, value) => {
+  return value.split(",").some(token => {
+    const [system, code] = token.includes("|") ? token.split("|") : [null, token];
+    return codeableConcepts.some(cc => cc?.coding?.some(c => c.code === code && (!system || c.system === system)));
+  });
+};
+
+const matchesDate = (dateString, comparisons) => {
+  if (!dateString) return false;
+  const time = new Date(dateString).getTime();
+  return comparisons.every(raw => {
+    const prefix = raw.slice(0, 2);
+    const hasPrefix = ["eq", "ne", "gt", "lt", "ge", "le"].includes(prefix);
+    const bound = new Date(hasPrefix ? raw.slice(2) : raw).getTime();
+    switch (hasPrefix ? prefix : "eq") {
+      case "gt": return time > bound;
+      case "lt": return time < bound;
+      case "ge": return time >= bound;
+      case "le": return time <= bound;
+      case "ne": return time !== bound;
+      default: return new Date(dateString).toISOString().slice(0, 10) === new Date(bound).toISOString().slice(0, 10);
+    }
+  });
+};
+
+const referenceMatches = (reference, value) => reference === value || reference === `Patient/${value}` || reference?.endsWith(`/${value}`);
+
+// Search parameters understood by the sandbox, per resource type
+const SEARCH_PARAMS = {
+  Patient: {
+    name: (r, v) => r.name?.some(n => [...(n.given || []), n.family].join(" ").toLowerCase().includes(v[0].toLowerCase())),
+    birthdate: (r, v) => r.birthDate === v[0],
+    identifier: (r, v) => r.identifier?.some(i => i.value === (v[0].includes("|") ? v[0].split("|")[1] : v[0])),
+  },
+  default: {
+    patient: (r, v) => referenceMatches(r.subject?.reference || r.patient?.reference, v[0]),
+    subject: (r, v) => referenceMatches(r.subject?.reference, v[0]),
+    encounter: (r, v) => referenceMatches(r.encounter?.reference, v[0]),
+    category: (r, v) => matchesToken(r.category || [], v[0]),
+    code: (r, v) => matchesToken([r.code], v[0]),
+    status: (r, v) => v[0].split(",").includes(r.status),
+    "clinical-status": (r, v) => matchesToken([r.clinicalStatus], v[0]),
+    date: (r, v) => matchesDate(r.effectiveDateTime || r.issued || r.authoredOn || r.recordedDate, v),
+  },
+};
+
+// _include parameters understood by the sandbox: the references each one follows
+const INCLUDES = {
+  "DiagnosticReport:result": (r) => r.result || [],
+};
+
+const resourceDate = (r) => new Date(r.effectiveDateTime || r.issued || r.authoredOn || r.recordedDate || r.meta?.lastUpdated || 0).getTime();
+
+/**
+ * Run a search and return a searchset Bundle with paging links.
+ * @param {string} type - The resource type
+ * @param {URLSearchParams} params - The search parameters
+ * @param {string} issuer - The sandbox base URL, used to build links
+ * @param {Function} mayInclude - Whether a resource may be returned as an _include (the grant allows reading it)
+ */
+export const searchResources = (type, params, issuer, mayInclude = () => true) => {
+  const filters = { ...SEARCH_PARAMS.default, ...(SEARCH_PARAMS[type] || {}) };
+  let results = Object.values(getStore().resources[type] || {});
+
+  for (const key of new Set(params.keys())) {
+    if (key.startsWith("_")) continue;
+    const filter = filters[key];
+    if (!filter) continue; // Unknown parameters are ignored, as lenient servers do
+    const values = params.getAll(key);
+    results = results.filter(r => filter(r, values));
+  }
+
+  const sort = params.get("_sort");
+  if (sort === "-date" || sort === "date") {
+    results.sort((a, b) => sort === "-date" ? resourceDate(b) - resourceDate(a) : resourceDate(a) - resourceDate(b));
+  }
+
+  const count = Math.min(Number(params.get("_count")) || 50, 200);
+  const offset = Number(params.get("_offset")) || 0;
+  const page = results.slice(offset, offset + count);
+
+  // Referenced resources of this page, once each
+  const included = [];
+  params.getAll("_include").filter(include => INCLUDES[include]).forEach(include => {
+    page.flatMap(INCLUDES[include]).forEach(ref => {
+      const [refType, refId] = (ref.reference || "").split("/").slice(-2);
+      const resource = readResource(refType, refId);
+      if (resource && mayInclude(resource) && !included.includes(resource)) included.push(resource);
+    });
+  });
+
+  const linkFor = (newOffset) => {
+    const linkParams = new URLSearchParams(params);
+    linkParams.set("_offset", String(newOffset));
+    return `${issuer}/${type}?${linkParams.toString()}`;
+  };
+  const link = [{ relation: "self", url: linkFor(offset) }];
+  if (offset + count < results.length) {
+    link.push({ relation: "next", url: linkFor(offset + count) });
+  }
+  if (offset > 0) {
+    link.push({ relation: "previous", url: linkFor(Math.max(0, offset - count)) });
+  }
+
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    total: results.length,
+    link,
+    entry: [
+      ...page.map(resource => ({ fullUrl: `${issuer}/${type}/${resource.id}`, resource, search: { mode: "match" } })),
+      ...included.map(resource => ({ fullUrl: `${issuer}/${resource.resourceType}/${resource.id}`, resource, search: { mode: "include" } })),
+    ],
+  };
+};
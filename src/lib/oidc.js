@@ -0,0 +1,126 @@
+import crypto from "crypto";
+
+/**
+ * OpenID Connect id_token validation for the /api/auth routes.
+ * The token's signature is checked against the issuer's JWKS, then its
+ * iss, aud, exp and nonce claims against the authorization request.
+ */
+
+// Allowed difference between our clock and the authorization server's
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+
+// JWS algorithms we accept, mapped to the digest and signature encoding crypto.verify() needs
+const ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+};
+
+const jwksCache = new Map();
+
+/**
+ * Find where the issuer publishes its signing keys and what its id_tokens use as iss.
+ * SMART configuration carries both when the server supports sso-openid-connect;
+ * otherwise they come from the OpenID Connect discovery document.
+ * @param {string} issuerUrl - The FHIR server base URL
+ * @param {object} config - The SMART configuration
+ */
+export const discoverOpenIdConfig = async (issuerUrl, config) => {
+  if (config.jwks_uri) {
+    return { jwksUri: config.jwks_uri, issuer: config.issuer || issuerUrl };
+  }
+  const response = await fetch(`${issuerUrl}/.well-known/openid-configuration`, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to discover OpenID configuration: ${response.status}`);
+  }
+  const openid = await response.json();
+  if (!openid.jwks_uri) {
+    throw new Error("The server does not publish a jwks_uri");
+  }
+  return { jwksUri: openid.jwks_uri, issuer: openid.issuer || config.issuer || issuerUrl };
+};
+
+const fetchJwks = async (jwksUri, force) => {
+  const cached = jwksCache.get(jwksUri);
+  if (cached && !force && Date.now() - cached.fetchedAt < JWKS_CACHE_MS) {
+    return cached.keys;
+  }
+  const response = await fetch(jwksUri, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch signing keys: ${response.status}`);
+  }
+  const { keys = [] } = await response.json();
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+};
+
+// The JWK a token was signed with: by kid, or the only signing key of the right type when there is no kid
+const selectKey = (keys, header) => {
+  const kty = header.alg.startsWith("ES") ? "EC" : "RSA";
+  const candidates = keys.filter(key => key.kty === kty && (!key.use || key.use === "sig"));
+  if (header.kid) return candidates.find(key => key.kid === header.kid) || null;
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+/**
+ * Verify an id_token and resolve to its claims. Throws with the reason when it is not valid.
+ * @param {string} idToken - The id_token from the token response
+ * @param {object} expected - jwksUri, issuer, audience (our client ID) and nonce
+ */
+export const verifyIdToken = async (idToken, { jwksUri, issuer, audience, nonce }) => {
+  const parts = typeof idToken === "string" ? idToken.split(".") : [];
+  if (parts.length !== 3) {
+    throw new Error("id_token is not a signed JWT");
+  }
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw new Error("id_token could not be decoded");
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`id_token algorithm ${header.alg} is not supported`);
+  }
+  // Keys rotate: on an unknown kid, fetch the key set again once before giving up
+  let jwk = selectKey(await fetchJwks(jwksUri, false), header);
+  if (!jwk) {
+    jwk = selectKey(await fetchJwks(jwksUri, true), header);
+  }
+  if (!jwk) {
+    throw new Error("id_token was signed with an unknown key");
+  }
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: crypto.createPublicKey({ key: jwk, format: "jwk" }), dsaEncoding: algorithm.dsaEncoding },
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!valid) {
+    throw new Error("id_token signature is invalid");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = [].concat(claims.aud || []);
+  if (claims.iss !== issuer) {
+    throw new Error(`id_token issuer ${claims.iss} does not match ${issuer}`);
+  }
+  if (!audiences.includes(audience) || (audiences.length > 1 && claims.azp && claims.azp !== audience)) {
+    throw new Error("id_token was not issued to this client");
+  }
+  if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error("id_token has expired");
+  }
+  if (nonce && claims.nonce !== nonce) {
+    throw new Error("id_token nonce does not match the authorization request");
+  }
+  return claims;
+};
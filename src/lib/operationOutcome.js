@@ -0,0 +1,112 @@
+/**
+ * Readable messages for failed FHIR requests. Servers explain a rejection in an
+ * OperationOutcome: one issue per problem, each with a severity, an issue code,
+ * usually diagnostics text, and often an expression (FHIRPath) naming the element
+ * at fault, e.g. Observation.valueQuantity.value. The expression lets a form show
+ * the message next to the field it is about.
+ */
+
+// What the common failure statuses mean to the user
+export const STATUS_MESSAGES = {
+  400: 'The server could not process the request.',
+  401: 'Your session has expired. Please launch the app again.',
+  403: 'You do not have permission to do this: the app was not granted the access it needs.',
+  404: 'The record was not found. It may have been deleted or moved.',
+  409: 'Someone else changed this record at the same time. Reload and try again.',
+  410: 'The record has been deleted.',
+  412: 'This record was changed by someone else since it was loaded. Reload to see the latest version.',
+  422: 'The server did not accept the data.',
+  429: 'The FHIR server is busy. Wait a moment and try again.',
+};
+
+// Issue codes (http://hl7.org/fhir/issue-type), for issues that come without any text
+const ISSUE_CODE_MESSAGES = {
+  invalid: 'The data is not valid.',
+  required: 'A required value is missing.',
+  value: 'A value is not valid.',
+  invariant: 'A validation rule was not met.',
+  structure: 'The data is not structured correctly.',
+  'business-rule': 'The change breaks a rule of the server.',
+  conflict: 'The change conflicts with the current version.',
+  duplicate: 'The record already exists.',
+  'not-found': 'The record was not found.',
+  forbidden: 'This is not allowed.',
+  security: 'This is not allowed.',
+  login: 'You need to sign in again.',
+  expired: 'Your session has expired.',
+  throttled: 'Too many requests. Wait a moment and try again.',
+  'too-costly': 'The request is too large for the server.',
+  'not-supported': 'The server does not support this.',
+};
+
+const SEVERITY_ORDER = ['fatal', 'error', 'warning', 'information'];
+
+/**
+ * The issues of an OperationOutcome, most severe first, each as
+ * { severity, code, message, expression: [paths] }. Empty for anything that is not an OperationOutcome.
+ * @param {object} outcome - A parsed response body
+ */
+export const parseOperationOutcome = (outcome) => {
+  if (outcome?.resourceType !== 'OperationOutcome' || !Array.isArray(outcome.issue)) return [];
+  return outcome.issue
+    .map(issue => ({
+      severity: issue.severity || 'error',
+      code: issue.code || null,
+      message: issue.diagnostics
+        || issue.details?.text
+        || issue.details?.coding?.find(coding => coding.display)?.display
+        || ISSUE_CODE_MESSAGES[issue.code]
+        || `Issue: ${issue.code || 'unknown'}`,
+      // location is the deprecated XPath form; servers still send it alone sometimes
+      expression: [...(issue.expression || []), ...(issue.location || [])],
+    }))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+};
+
+/**
+ * The text of issues worth showing: errors, then warnings (marked as such).
+ * Informational issues are left out unless there is nothing else.
+ * @param {Array} issues - From parseOperationOutcome()
+ */
+export const describeIssues = (issues) => {
+  const serious = issues.filter(issue => issue.severity !== 'information');
+  return [...new Set((serious.length > 0 ? serious : issues)
+    .map(issue => (issue.severity === 'warning' ? `Warning: ${issue.message}` : issue.message)))]
+    .join(' ');
+};
+
+/**
+ * A readable message for a failed FHIR response: what the status means, then
+ * what the server said about it. Non-FHIR error bodies ({ error }, from the
+ * /api/fhir proxy) and plain text are used as they are.
+ * @param {number} status - The HTTP status
+ * @param {object|string|null} body - The parsed response body
+ */
+export const describeFhirError = (status, body) => {
+  const statusMessage = STATUS_MESSAGES[status]
+    || (status >= 500 ? `The FHIR server had a problem (${status}). Try again later.` : `The request failed (${status}).`);
+  const detail = describeIssues(parseOperationOutcome(body))
+    || (typeof body?.error === 'string' ? body.error : '')
+    || (typeof body === 'string' && body.length <= 200 ? body.trim() : '');
+  return detail ? `${statusMessage} ${detail}` : statusMessage;
+};
+
+/**
+ * Sort issues onto the fields of a form by their expression.
+ * Returns { fields: { [field]: message }, general: [messages] } for issues no field claims.
+ * @param {Array} issues - From parseOperationOutcome()
+ * @param {Function} getField - Maps an expression to a form field name, or null
+ */
+export const getFieldErrors = (issues, getField) => {
+  const fields = {};
+  const general = [];
+  issues.filter(issue => issue.severity !== 'information').forEach(issue => {
+    const field = issue.expression.map(getField).find(Boolean);
+    if (field) {
+      fields[field] = fields[field] ? `${fields[field]} ${issue.message}` : issue.message;
+    } else {
+      general.push(issue.message);
+    }
+  });
+  return { fields, general };
+};
@@ -0,0 +1,56 @@
+/**
+ * Helpers for FHIR references: turning the absolute URLs servers hand out
+ * (e.g. the fhirUser claim) into relative references, and naming the
+ * referenced resources for display.
+ */
+
+/**
+ * A reference relative to the FHIR base ("Practitioner/123").
+ * Absolute URLs under the issuer are shortened; other values are returned unchanged.
+ * @param {string} reference - A relative or absolute reference
+ * @param {string} issuer - The FHIR server base URL
+ */
+export const toRelativeReference = (reference, issuer) => {
+  if (!reference) return null;
+  const base = issuer ? `${issuer.replace(/\/+$/, '')}/` : null;
+  return base && reference.startsWith(base) ? reference.slice(base.length) : reference;
+};
+
+/**
+ * Resource type and id of a relative reference, or null for anything else
+ * (absolute URLs, contained "#id" references, identifiers only).
+ * @param {string} reference - e.g. "Encounter/456"
+ */
+export const parseReference = (reference) => {
+  const match = /^([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/[^/]+)?$/.exec(reference || '');
+  return match ? { resourceType: match[1], id: match[2] } : null;
+};
+
+const humanName = (names) => {
+  const name = names?.find(n => n.use === 'official') || names?.[0];
+  if (!name) return null;
+  return name.text || [...(name.prefix || []), ...(name.given || []), name.family].filter(Boolean).join(' ') || null;
+};
+
+/**
+ * Short label for a referenced resource: a person's name, or an encounter's type and start date.
+ * @param {object} resource - A Practitioner, PractitionerRole, Patient, RelatedPerson or Encounter
+ */
+export const getReferenceLabel = (resource) => {
+  if (!resource) return null;
+  switch (resource.resourceType) {
+    case 'Practitioner':
+    case 'Patient':
+    case 'RelatedPerson':
+      return humanName(resource.name) || `${resource.resourceType}/${resource.id}`;
+    case 'PractitionerRole':
+      return resource.practitioner?.display || resource.code?.[0]?.text || `PractitionerRole/${resource.id}`;
+    case 'Encounter': {
+      const kind = resource.type?.[0]?.text || resource.type?.[0]?.coding?.[0]?.display || resource.class?.display || 'encounter';
+      const label = `${kind.charAt(0).toUpperCase()}${kind.slice(1)}`;
+      return resource.period?.start ? `${label}, ${new Date(resource.period.start).toLocaleDateString()}` : label;
+    }
+    default:
+      return `${resource.resourceType}/${resource.id}`;
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * Checks against the scopes the authorization server actually granted.
+ * Servers may grant less than was requested, so features that need a scope
+ * look here before making requests that would only come back 403.
+ *
+ * Both SMART scope syntaxes are understood:
+ * - v1: patient/Observation.read, user/Observation.write, user/*.*
+ * - v2: patient/Observation.rs, user/Observation.cu, patient/Observation.rs?category=vital-signs
+ * v1 read means read and search (r, s); v1 write means create, update and delete (c, u, d).
+ */
+
+const PERMISSION_ORDER = 'cruds';
+
+const PERMISSION_NAMES = {
+  c: 'create',
+  r: 'read',
+  u: 'update',
+  d: 'delete',
+  s: 'search',
+};
+
+// Resource access the app's features need, requested at launch. The server may grant only some of it.
+export const RESOURCE_ACCESS = [
+  { resourceType: 'Patient', permissions: 'rs', purpose: 'patient demographics' },
+  { resourceType: 'Observation', permissions: 'crus', purpose: 'viewing, adding and correcting vitals and lab results' },
+  { resourceType: 'Condition', permissions: 'rs', purpose: 'the problem list' },
+  { resourceType: 'AllergyIntolerance', permissions: 'rs', purpose: 'allergies' },
+  { resourceType: 'MedicationRequest', permissions: 'rs', purpose: 'medications' },
+  { resourceType: 'DiagnosticReport', permissions: 'rs', purpose: 'grouping lab results by report' },
+  { resourceType: 'Practitioner', permissions: 'rs', purpose: 'showing who recorded a value' },
+  { resourceType: 'Encounter', permissions: 'rs', purpose: 'showing the encounter a value was recorded in' },
+];
+
+// Scopes that are not about resources, and what the app loses without them
+const OTHER_SCOPES = {
+  'openid': 'identifying the signed-in user',
+  'fhirUser': 'identifying the signed-in user',
+  'offline_access': 'staying signed in when the access token expires',
+  'online_access': 'staying signed in when the access token expires',
+  'launch': 'the patient and encounter from the EHR',
+  'launch/patient': 'choosing a patient at sign-in',
+};
+
+const v1Permissions = (action) => {
+  if (action === 'read') return 'rs';
+  if (action === 'write') return 'cud';
+  if (action === '*') return PERMISSION_ORDER;
+  return null;
+};
+
+/**
+ * Parse one scope. Returns { context, resourceType, permissions, query } for
+ * resource scopes and null for anything else (openid, launch, ...).
+ * @param {string} scope - e.g. "patient/Observation.rs?category=vital-signs"
+ */
+export const parseScope = (scope) => {
+  const match = /^(patient|user|system)\/([A-Za-z]+|\*)\.([a-z*]+)(\?.*)?$/.exec(scope || '');
+  if (!match) return null;
+  const [, context, resourceType, action, query] = match;
+  // v2 permissions are a subset of "cruds", in that order
+  const permissions = v1Permissions(action) || (/^c?r?u?d?s?$/.test(action) ? action : null);
+  if (!permissions) return null;
+  return {
+    context,
+    resourceType,
+    permissions: new Set(permissions),
+    query: query ? Object.fromEntries(new URLSearchParams(query.slice(1))) : null,
+  };
+};
+
+/**
+ * Parse a space-separated scope string into resource scopes and the rest.
+ * @param {string|null} scopeString - e.g. the scope from the token response
+ */
+export const parseScopes = (scopeString) => {
+  const resources = [];
+  const other = [];
+  (scopeString || '').split(/\s+/).filter(Boolean).forEach(scope => {
+    const parsed = parseScope(scope);
+    if (parsed) {
+      resources.push(parsed);
+    } else {
+      other.push(scope);
+    }
+  });
+  return { resources, other };
+};
+
+// A granular v2 scope (?category=...) only covers requests limited to the same values
+const queryMatches = (scopeQuery, filter) => Object.entries(scopeQuery || {}).every(([name, value]) => {
+  const wanted = filter?.[name];
+  if (!wanted) return false;
+  // Token parameters may carry a system ("system|code"); compare the code when only one side has one
+  return wanted === value || wanted.split('|').pop() === value.split('|').pop();
+});
+
+/**
+ * Whether the granted scopes allow an interaction on a resource type.
+ * When the server did not report the granted scope (null), everything requested is assumed granted.
+ * @param {string|null} grantedScope - The space-separated scope from the token response
+ * @param {string} resourceType - e.g. "Observation"
+ * @param {string} permission - One of c, r, u, d, s
+ * @param {object} filter - Search parameters the request is limited to, e.g. { category: 'vital-signs' }
+ */
+export const hasScope = (grantedScope, resourceType, permission, filter = {}) => {
+  if (grantedScope === null || grantedScope === undefined) return true;
+  return parseScopes(grantedScope).resources.some(scope => (
+    (scope.resourceType === resourceType || scope.resourceType === '*') &&
+    scope.permissions.has(permission) &&
+    queryMatches(scope.query, filter)
+  ));
+};
+
+/**
+ * Whether the granted scopes allow reading a resource type (read or search).
+ * @param {string|null} grantedScope - The space-separated scope from the token response
+ * @param {string} resourceType - e.g. "Condition"
+ * @param {object} filter - Search parameters the request is limited to
+ */
+export const hasReadScope = (grantedScope, resourceType, filter = {}) => (
+  hasScope(grantedScope, resourceType, 'r', filter) || hasScope(grantedScope, resourceType, 's', filter)
+);
+
+/**
+ * The resource scopes to request, in v2 syntax when the server supports it.
+ * v1 has no separate search or update permission, so each resource becomes a read and/or write scope.
+ * @param {string} context - "user" or "patient"
+ * @param {boolean} v2 - Whether the server advertises permission-v2
+ */
+export const buildResourceScopes = (context, v2) => RESOURCE_ACCESS.flatMap(({ resourceType, permissions }) => {
+  if (v2) {
+    return [`${context}/${resourceType}.${PERMISSION_ORDER.split('').filter(p => permissions.includes(p)).join('')}`];
+  }
+  const scopes = [];
+  if (/[rs]/.test(permissions)) scopes.push(`${context}/${resourceType}.read`);
+  if (/[cud]/.test(permissions)) scopes.push(`${context}/${resourceType}.write`);
+  return scopes;
+});
+
+/**
+ * Requested scopes the server did not grant, each with what the app cannot do without it.
+ * A resource scope counts as denied when any of its permissions is missing from the grant.
+ * Returns [] when the server did not report the granted scope.
+ * @param {string|null} requestedScope - The scope sent in the authorization request
+ * @param {string|null} grantedScope - The scope from the token response
+ */
+export const getDeniedScopes = (requestedScope, grantedScope) => {
+  if (!requestedScope || !grantedScope) return [];
+  const granted = grantedScope.split(/\s+/);
+  return requestedScope.split(/\s+/).filter(Boolean).flatMap(scope => {
+    const parsed = parseScope(scope);
+    if (!parsed) {
+      return granted.includes(scope) ? [] : [{ scope, purpose: OTHER_SCOPES[scope] || null }];
+    }
+    const missing = [...parsed.permissions].filter(p => !hasScope(grantedScope, parsed.resourceType, p, parsed.query || {}));
+    if (missing.length === 0) return [];
+    const access = RESOURCE_ACCESS.find(a => a.resourceType === parsed.resourceType);
+    return [{
+      scope,
+      missing: PERMISSION_ORDER.split('').filter(p => missing.includes(p)).map(p => PERMISSION_NAMES[p]),
+      purpose: access?.purpose || null,
+    }];
+  });
+};
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+
+/**
+ * Server-side session stored in an encrypted, HttpOnly cookie.
+ * Tokens never leave the server in plain form: the browser only ever holds
+ * the AES-256-GCM ciphertext, keyed from SESSION_SECRET.
+ *
+ * The payload is split across numbered cookies (fhir_session.0, .1, ...) because
+ * access and refresh tokens from some EHRs push a single cookie past the 4 KB limit.
+ */
+
+const COOKIE_NAME = "fhir_session";
+const CHUNK_SIZE = 3800;
+const MAX_CHUNKS = 5;
+const MAX_AGE_SECONDS = 60 * 60 * 8;
+
+const getKey = () => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error("SESSION_SECRET must be set to at least 32 characters");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+const encrypt = (data) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64url");
+};
+
+const decrypt = (value) => {
+  const raw = Buffer.from(value, "base64url");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  const plaintext = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+};
+
+const serializeCookie = (name, value, maxAge) => {
+  const parts = [
+    `${name}=${value}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAge}`,
+  ];
+  if (process.env.NODE_ENV === "production") {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+};
+
+const appendSetCookie = (res, cookies) => {
+  const existing = res.getHeader("Set-Cookie");
+  const current = existing ? [].concat(existing) : [];
+  res.setHeader("Set-Cookie", [...current, ...cookies]);
+};
+
+/**
+ * Read and decrypt the session from the request cookies.
+ * Returns an empty object when there is no session or it cannot be decrypted.
+ * @param {object} req - The Next.js API request
+ */
+export const getSession = (req) => {
+  const chunks = [];
+  for (let i = 0; i < MAX_CHUNKS; i++) {
+    const chunk = req.cookies?.[`${COOKIE_NAME}.${i}`];
+    if (!chunk) break;
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return {};
+  try {
+    return decrypt(chunks.join(""));
+  } catch (error) {
+    console.log("Discarding unreadable session cookie:", error.message);
+    return {};
+  }
+};
+
+/**
+ * Encrypt the session and write it to the response as HttpOnly cookies.
+ * @param {object} res - The Next.js API response
+ * @param {object} data - The session payload
+ */
+export const saveSession = (res, data) => {
+  const value = encrypt(data);
+  const chunks = value.match(new RegExp(`.{1,${CHUNK_SIZE}}`, "g"));
+  if (chunks.length > MAX_CHUNKS) {
+    throw new Error("Session too large to store in cookies");
+  }
+  const cookies = [];
+  for (let i = 0; i < MAX_CHUNKS; i++) {
+    cookies.push(i < chunks.length
+      ? serializeCookie(`${COOKIE_NAME}.${i}`, chunks[i], MAX_AGE_SECONDS)
+      : serializeCookie(`${COOKIE_NAME}.${i}`, "", 0));
+  }
+  appendSetCookie(res, cookies);
+};
+
+/**
+ * Remove every session cookie.
+ * @param {object} res - The Next.js API response
+ */
+export const clearSession = (res) => {
+  const cookies = [];
+  for (let i = 0; i < MAX_CHUNKS; i++) {
+    cookies.push(serializeCookie(`${COOKIE_NAME}.${i}`, "", 0));
+  }
+  appendSetCookie(res, cookies);
+};
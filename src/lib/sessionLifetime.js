@@ -0,0 +1,148 @@
+/**
+ * Session lifetime in the browser: when to refresh the access token, when an
+ * idle screen is locked, and signing out. The tokens themselves stay in the
+ * server-side session; the browser only knows when the access token expires
+ * (expiresAt) and whether it can be refreshed (refreshable), from /api/auth/session.
+ *
+ * The idle timeout is configured with NEXT_PUBLIC_IDLE_TIMEOUT_MINUTES (0 turns
+ * it off) and the warning before it with NEXT_PUBLIC_IDLE_WARNING_SECONDS.
+ * Every tab of the app shares one session, so idle time counts from the latest
+ * activity in any of them (shared through localStorage).
+ */
+
+// Refresh this long before the access token expires, so requests never meet an expired one
+export const REFRESH_LEAD_MS = 60 * 1000;
+// Without a refresh token, warn this long before the session ends
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+const DEFAULT_IDLE_MINUTES = 15;
+const DEFAULT_WARNING_SECONDS = 60;
+const SIGN_OUT_KEY = 'signed_out_at';
+const ACTIVITY_KEY = 'last_activity_at';
+// Activity is shared at most this often, so mouse movement does not flood other tabs with storage events
+const ACTIVITY_SHARE_MS = 1000;
+
+const numberSetting = (value, fallback) => {
+  if (value === undefined || value === null || String(value).trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * The idle timeout and the warning shown before it, in milliseconds.
+ * A timeoutMs of 0 means screens are never locked for inactivity.
+ * @param {string} timeoutMinutes - Minutes of inactivity before the screen locks
+ * @param {string} warningSeconds - Seconds of warning before that
+ */
+export const getIdleSettings = (
+  timeoutMinutes = process.env.NEXT_PUBLIC_IDLE_TIMEOUT_MINUTES,
+  warningSeconds = process.env.NEXT_PUBLIC_IDLE_WARNING_SECONDS,
+) => {
+  const timeoutMs = numberSetting(timeoutMinutes, DEFAULT_IDLE_MINUTES) * 60 * 1000;
+  const warningMs = Math.min(numberSetting(warningSeconds, DEFAULT_WARNING_SECONDS) * 1000, timeoutMs);
+  return { timeoutMs, warningMs };
+};
+
+/**
+ * Where the user stands against the idle timeout.
+ * Returns { state: 'active' | 'warning' | 'locked', remainingMs } (remainingMs is null when there is no timeout).
+ * @param {number} lastActivity - Time of the last keyboard, mouse or touch input (ms)
+ * @param {number} now - Current time (ms)
+ * @param {object} settings - From getIdleSettings()
+ */
+export const getIdleState = (lastActivity, now, { timeoutMs, warningMs }) => {
+  if (!timeoutMs) return { state: 'active', remainingMs: null };
+  const remainingMs = lastActivity + timeoutMs - now;
+  if (remainingMs <= 0) return { state: 'locked', remainingMs: 0 };
+  return { state: remainingMs <= warningMs ? 'warning' : 'active', remainingMs };
+};
+
+/**
+ * Where the session stands against the access token's expiry.
+ * Returns { state, remainingMs }: 'ok'; 'refresh' when a refreshable token is
+ * due for refresh; 'warning' or 'expired' when it cannot be refreshed.
+ * @param {object} session - expiresAt and refreshable, from /api/auth/session
+ * @param {number} now - Current time (ms)
+ */
+export const getExpiryState = (session, now) => {
+  if (!session?.expiresAt) return { state: 'ok', remainingMs: null };
+  const remainingMs = session.expiresAt - now;
+  if (session.refreshable) {
+    return { state: remainingMs <= REFRESH_LEAD_MS ? 'refresh' : 'ok', remainingMs };
+  }
+  if (remainingMs <= 0) return { state: 'expired', remainingMs: 0 };
+  return { state: remainingMs <= EXPIRY_WARNING_MS ? 'warning' : 'ok', remainingMs };
+};
+
+const readSharedActivity = (storage) => {
+  const time = Number(storage.getItem(ACTIVITY_KEY));
+  return Number.isFinite(time) ? time : 0;
+};
+
+/**
+ * Tell the other tabs of the app about activity in this one.
+ * @param {number} time - Time of the keyboard, mouse or touch input (ms)
+ * @param {Storage} storage - Storage shared by the tabs
+ */
+export const shareActivity = (time, storage = window.localStorage) => {
+  if (time - readSharedActivity(storage) >= ACTIVITY_SHARE_MS) {
+    storage.setItem(ACTIVITY_KEY, String(time));
+  }
+};
+
+/**
+ * Time of the latest activity in any tab: this tab's own, or the latest shared by another.
+ * @param {number} lastActivity - Time of the last input in this tab (ms)
+ * @param {Storage} storage - Storage shared by the tabs
+ */
+export const getLastActivity = (lastActivity, storage = window.localStorage) => Math.max(lastActivity, readSharedActivity(storage));
+
+/**
+ * Call back with the time of activity shared by another tab.
+ * Returns a function that stops listening.
+ * @param {Function} callback - Called with the time (ms)
+ */
+export const onActivityElsewhere = (callback) => {
+  const listener = (event) => {
+    if (event.key === ACTIVITY_KEY && event.newValue) callback(Number(event.newValue));
+  };
+  window.addEventListener('storage', listener);
+  return () => window.removeEventListener('storage', listener);
+};
+
+/**
+ * A countdown as m:ss.
+ * @param {number} ms - Time left
+ */
+export const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * End the session: the server revokes the tokens and drops the session cookie,
+ * this tab forgets the patient data it cached, and other open tabs are told to
+ * lock (see onSignOutElsewhere). Preferences in localStorage are kept.
+ */
+export const signOut = async () => {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.log("Logout request failed:", error);
+  }
+  sessionStorage.clear();
+  localStorage.setItem(SIGN_OUT_KEY, String(Date.now()));
+};
+
+/**
+ * Call back when the user signs out in another tab of the app.
+ * Returns a function that stops listening.
+ * @param {Function} callback - Called with no arguments
+ */
+export const onSignOutElsewhere = (callback) => {
+  const listener = (event) => {
+    if (event.key === SIGN_OUT_KEY && event.newValue) callback();
+  };
+  window.addEventListener('storage', listener);
+  return () => window.removeEventListener('storage', listener);
+};
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import { getClient } from "@/lib/clients";
+import { buildResourceScopes } from "@/lib/scopes";
+
+/**
+ * Server-side SMART on FHIR helpers used by the /api/auth routes.
+ * Discovery, PKCE, the code exchange and token refresh all happen here so the
+ * client secret (if any) and the tokens stay on the server. The client
+ * registration used for each issuer comes from the registry in lib/clients.
+ */
+
+/**
+ * Discover SMART endpoints from the FHIR server's well-known URL.
+ * @param {string} issuerUrl - The FHIR server base URL
+ */
+export const discoverEndpoints = async (issuerUrl) => {
+  const wellKnownUrl = `${issuerUrl}/.well-known/smart-configuration`;
+  const response = await fetch(wellKnownUrl, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to discover endpoints: ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Helper: Generate a random string for PKCE and state
+ */
+export const generateRandomString = (length) => {
+  const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+  const bytes = crypto.randomBytes(length);
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += possible.charAt(bytes[i] % possible.length);
+  }
+  return text;
+};
+
+/**
+ * Helper: Generate a PKCE code challenge from a code verifier
+ */
+export const generateCodeChallenge = (codeVerifier) => {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+/**
+ * Build the SMART on FHIR authorization URL.
+ * Returns the URL to redirect to and the pending values to keep in the session
+ * until the callback arrives.
+ * @param {string} issuerUrl - The FHIR server base URL
+ * @param {object} config - The SMART configuration (endpoints)
+ * @param {string|null} launch - The EHR launch token, or null for a standalone launch
+ */
+export const buildAuthUrl = (issuerUrl, config, launch) => {
+  const client = getClient(issuerUrl);
+  const { clientId, redirectUri } = client;
+  // PKCE: generate code verifier and challenge
+  const codeVerifier = generateRandomString(128);
+  const codeChallenge = generateCodeChallenge(codeVerifier);
+  const state = generateRandomString(32);
+  const nonce = generateRandomString(32); // Binds the id_token to this authorization request
+  // EHR launch passes the launch token; standalone launch asks the server for a patient instead
+  const launchScope = launch ? 'launch' : 'launch/patient';
+  // Resource scopes from the registration, or the defaults in the syntax the vendor (or server) supports
+  const v2 = client.scopeVersion === 'v2' ||
+    (client.scopeVersion === 'auto' && (config.capabilities || []).includes('permission-v2'));
+  const resourceScopes = client.scopes || buildResourceScopes(client.scopeContext, v2);
+  const scope = ['openid', 'fhirUser', launchScope, client.refreshScope, ...resourceScopes].filter(Boolean).join(' ');
+  const authParams = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scope,
+    state: state,
+    nonce: nonce,
+    aud: issuerUrl,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (launch) {
+    authParams.set('launch', launch); // include launch parameter for EHR launch
+  }
+  return {
+    url: `${config.authorization_endpoint}?${authParams.toString()}`,
+    pending: {
+      state,
+      nonce,
+      codeVerifier,
+      issuer: issuerUrl,
+      tokenEndpoint: config.token_endpoint,
+      // RFC 7009 token revocation, used on logout when the server offers it
+      revocationEndpoint: config.revocation_endpoint || null,
+      // Where to verify the id_token, when the SMART configuration says (see discoverOpenIdConfig)
+      jwksUri: config.jwks_uri || null,
+      oidcIssuer: config.issuer || null,
+      launch: launch || null,
+      launchMode: launch ? 'ehr' : 'standalone',
+      requestedScope: scope,
+    },
+  };
+};
+
+/**
+ * POST a form to one of the authorization server's endpoints as this client,
+ * authenticating with the client secret when the issuer's registration has one.
+ * @param {string} issuer - The FHIR server base URL, which selects the client registration
+ * @param {string} endpoint - The endpoint URL
+ * @param {object} params - Form parameters
+ */
+const postAsClient = (issuer, endpoint, params) => {
+  const { clientId, clientSecret, tokenAuth } = getClient(issuer);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+  const body = new URLSearchParams(params);
+  if (clientSecret && tokenAuth === 'basic') {
+    headers['Authorization'] = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+  } else {
+    body.set('client_id', clientId);
+    if (clientSecret) body.set('client_secret', clientSecret);
+  }
+  return fetch(endpoint, { method: 'POST', headers, body });
+};
+
+/**
+ * POST to the token endpoint and return the token response.
+ * @param {string} issuer - The FHIR server base URL, which selects the client registration
+ * @param {string} tokenEndpoint - The token endpoint URL
+ * @param {object} params - Form parameters for the grant
+ */
+const requestToken = async (issuer, tokenEndpoint, params) => {
+  const response = await postAsClient(issuer, tokenEndpoint, params);
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`${response.status} ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+/**
+ * Exchange the authorization code for tokens after the user logs in and consents.
+ * @param {object} pending - The pending authorization saved by buildAuthUrl()
+ * @param {string} code - The authorization code from the authorization server
+ */
+export const exchangeCode = async (pending, code) => {
+  const { redirectUri } = getClient(pending.issuer);
+  return requestToken(pending.issuer, pending.tokenEndpoint, {
+    grant_type: 'authorization_code',
+    code: code,
+    redirect_uri: redirectUri,
+    code_verifier: pending.codeVerifier,
+  });
+};
+
+/**
+ * Use the stored refresh token to obtain a new access token.
+ * @param {object} session - The current session
+ */
+export const refreshAccessToken = async (session) => {
+  if (!session.refreshToken || !session.tokenEndpoint) {
+    throw new Error("No refresh token available");
+  }
+  return requestToken(session.issuer, session.tokenEndpoint, {
+    grant_type: 'refresh_token',
+    refresh_token: session.refreshToken,
+  });
+};
+
+/**
+ * Revoke the session's tokens at the authorization server (RFC 7009), refresh
+ * token first so no new access token can be minted from it. Best effort: a
+ * server without a revocation endpoint, or one that fails, only leaves the
+ * tokens to expire on their own. Returns whether every token was revoked.
+ * @param {object} session - The current session
+ */
+export const revokeTokens = async (session) => {
+  if (!session.revocationEndpoint || !session.issuer) {
+    return false;
+  }
+  const tokens = [
+    ['refresh_token', session.refreshToken],
+    ['access_token', session.accessToken],
+  ].filter(([, token]) => token);
+  let revoked = true;
+  for (const [hint, token] of tokens) {
+    try {
+      const response = await postAsClient(session.issuer, session.revocationEndpoint, { token, token_type_hint: hint });
+      if (!response.ok) throw new Error(`${response.status}`);
+    } catch (error) {
+      console.log(`Could not revoke the ${hint}:`, error.message);
+      revoked = false;
+    }
+  }
+  return revoked;
+};
+
+/**
+ * Merge a token response into the session, keeping values the server did not resend.
+ * @param {object} session - The current session
+ * @param {object} tokenData - The token endpoint response
+ */
+export const applyTokenResponse = (session, tokenData) => ({
+  ...session,
+  accessToken: tokenData.access_token,
+  refreshToken: tokenData.refresh_token || session.refreshToken || null,
+  expiresAt: tokenData.expires_in ? Date.now() + tokenData.expires_in * 1000 : null,
+  scope: tokenData.scope || session.scope || null,
+  patient: tokenData.patient || session.patient || null,
+  encounter: tokenData.encounter || session.encounter || null,
+});
+
+/**
+ * The parts of the session that are safe to hand to the browser (no tokens).
+ * @param {object} session - The current session
+ */
+export const publicSessionInfo = (session) => ({
+  authenticated: !!session.accessToken,
+  issuer: session.issuer || null,
+  launch: session.launch || null,
+  launchMode: session.launchMode || null,
+  patient: session.patient || null,
+  encounter: session.encounter || null,
+  fhirUser: session.fhirUser || null,
+  scope: session.scope || null,
+  requestedScope: session.requestedScope || null,
+  expiresAt: session.expiresAt || null,
+  // Whether the browser can ask for a new access token before this one expires
+  refreshable: !!session.refreshToken,
+});
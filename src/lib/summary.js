@@ -0,0 +1,57 @@
+import { groupVitalsByCategory, isRetracted } from "@/lib/vitals";
+
+/**
+ * Display helpers for the clinical summary: one line of text per problem,
+ * allergy and medication, and the latest value of each vital.
+ */
+
+const conceptText = (concept) => concept?.text || concept?.coding?.find(c => c.display)?.display || concept?.coding?.[0]?.code || 'Unnamed';
+
+const formatDay = (dateString) => (dateString ? new Date(dateString).toLocaleDateString() : null);
+
+/**
+ * Summary line for a Condition.
+ * @param {object} condition - A FHIR Condition
+ */
+export const describeCondition = (condition) => {
+  const onset = formatDay(condition.onsetDateTime || condition.onsetPeriod?.start) || condition.onsetString;
+  return {
+    title: conceptText(condition.code),
+    detail: onset ? `Onset ${onset}` : null,
+  };
+};
+
+/**
+ * Summary line for an AllergyIntolerance, with its reactions and criticality.
+ * @param {object} allergy - A FHIR AllergyIntolerance
+ */
+export const describeAllergy = (allergy) => {
+  const reactions = (allergy.reaction || [])
+    .flatMap(reaction => reaction.manifestation || [])
+    .map(conceptText);
+  return {
+    title: conceptText(allergy.code),
+    detail: reactions.length > 0 ? `Reaction: ${reactions.join(', ')}` : null,
+    highRisk: allergy.criticality === 'high',
+  };
+};
+
+/**
+ * Summary line for a MedicationRequest.
+ * Only the reference display is used for medicationReference; the Medication is not fetched.
+ * @param {object} request - A FHIR MedicationRequest
+ */
+export const describeMedication = (request) => ({
+  title: request.medicationCodeableConcept ? conceptText(request.medicationCodeableConcept) : request.medicationReference?.display || 'Unnamed medication',
+  detail: request.dosageInstruction?.[0]?.text || null,
+});
+
+/**
+ * The newest observation of each vital category, ignoring ones entered in error.
+ * @param {Array} observations - Vital sign Observations
+ */
+export const getLatestVitals = (observations) => (
+  groupVitalsByCategory(observations.filter(observation => !isRetracted(observation)))
+    .map(category => ({ name: category.name, observation: category.vitals[0] }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+);
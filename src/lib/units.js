@@ -0,0 +1,200 @@
+/**
+ * Units for vital signs: their UCUM codes, and conversion between metric and
+ * imperial for display and entry. Which units each vital may be entered in is
+ * part of the vital type registry (vitalTypes.js).
+ */
+
+/**
+ * Units the app knows, keyed by UCUM code.
+ * `dimension` groups units that can be converted into each other.
+ */
+export const UNITS = {
+  'mm[Hg]': { label: 'mmHg', dimension: 'pressure' },
+  '/min': { label: '/min', dimension: 'rate' },
+  'Cel': { label: '°C', dimension: 'temperature', system: 'metric' },
+  '[degF]': { label: '°F', dimension: 'temperature', system: 'imperial' },
+  'kg': { label: 'kg', dimension: 'mass', system: 'metric' },
+  'g': { label: 'g', dimension: 'mass', system: 'metric' },
+  '[lb_av]': { label: 'lb', dimension: 'mass', system: 'imperial' },
+  'cm': { label: 'cm', dimension: 'length', system: 'metric' },
+  'm': { label: 'm', dimension: 'length', system: 'metric' },
+  '[in_i]': { label: 'in', dimension: 'length', system: 'imperial' },
+  '%': { label: '%', dimension: 'fraction' },
+  'kg/m2': { label: 'kg/m²', dimension: 'bmi' },
+};
+
+// Free-text unit strings seen from servers and older entries, mapped to UCUM
+const UNIT_ALIASES = {
+  'mmhg': 'mm[Hg]',
+  'mm[hg]': 'mm[Hg]',
+  'bpm': '/min',
+  'beats/min': '/min',
+  'breaths/min': '/min',
+  '/min': '/min',
+  '{beats}/min': '/min',
+  '{breaths}/min': '/min',
+  '°c': 'Cel',
+  'degc': 'Cel',
+  'cel': 'Cel',
+  'c': 'Cel',
+  '°f': '[degF]',
+  'degf': '[degF]',
+  '[degf]': '[degF]',
+  'f': '[degF]',
+  'kg': 'kg',
+  'g': 'g',
+  'lb': '[lb_av]',
+  'lbs': '[lb_av]',
+  '[lb_av]': '[lb_av]',
+  'cm': 'cm',
+  'm': 'm',
+  'in': '[in_i]',
+  '[in_i]': '[in_i]',
+  '%': '%',
+  'kg/m2': 'kg/m2',
+  'kg/m²': 'kg/m2',
+};
+
+// Conversions into and out of each dimension's base unit (Cel, kg, cm)
+const TO_BASE = {
+  'Cel': v => v,
+  '[degF]': v => (v - 32) * 5 / 9,
+  'kg': v => v,
+  'g': v => v / 1000,
+  '[lb_av]': v => v * 0.45359237,
+  'cm': v => v,
+  'm': v => v * 100,
+  '[in_i]': v => v * 2.54,
+};
+const FROM_BASE = {
+  'Cel': v => v,
+  '[degF]': v => v * 9 / 5 + 32,
+  'kg': v => v,
+  'g': v => v * 1000,
+  '[lb_av]': v => v / 0.45359237,
+  'cm': v => v,
+  'm': v => v / 100,
+  '[in_i]': v => v / 2.54,
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * UCUM code for a unit given as a UCUM code or a common display string, or null if unknown.
+ * @param {string} unit - e.g. "°F", "lbs", "[degF]"
+ */
+export const getUcumCode = (unit) => {
+  if (!unit) return null;
+  if (UNITS[unit]) return unit;
+  return UNIT_ALIASES[String(unit).trim().toLowerCase()] || null;
+};
+
+/**
+ * Display label for a UCUM code.
+ * @param {string} ucum - The UCUM code
+ */
+export const getUnitLabel = (ucum) => UNITS[ucum]?.label || ucum;
+
+/**
+ * UCUM code of a Quantity, from its code if valid, otherwise from its unit text.
+ * @param {object} quantity - A FHIR Quantity
+ */
+export const getQuantityUcum = (quantity) => getUcumCode(quantity?.code) || getUcumCode(quantity?.unit);
+
+/**
+ * Convert a value between two UCUM units of the same dimension.
+ * Returns null when the units are unknown or not convertible.
+ * @param {number} value - The value in `from` units
+ * @param {string} from - Source UCUM code
+ * @param {string} to - Target UCUM code
+ */
+export const convert = (value, from, to) => {
+  if (from === to) return value;
+  if (!UNITS[from] || !UNITS[to] || UNITS[from].dimension !== UNITS[to].dimension) return null;
+  if (!TO_BASE[from] || !FROM_BASE[to]) return null;
+  return FROM_BASE[to](TO_BASE[from](value));
+};
+
+/**
+ * The unit a user with this preference should see for a unit's dimension.
+ * Units without a metric/imperial alternative are returned unchanged.
+ * @param {string} ucum - The UCUM code the value is in
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export const getPreferredUnit = (ucum, unitSystem) => {
+  const unit = UNITS[ucum];
+  if (!unit?.system || unit.system === unitSystem) return ucum;
+  const preferred = {
+    temperature: { metric: 'Cel', imperial: '[degF]' },
+    mass: { metric: 'kg', imperial: '[lb_av]' },
+    length: { metric: 'cm', imperial: '[in_i]' },
+  }[unit.dimension];
+  return preferred?.[unitSystem] || ucum;
+};
+
+/**
+ * A Quantity expressed in the user's preferred units, for display.
+ * Returns { value, ucum, label }; quantities in unknown units are passed through.
+ * @param {object} quantity - A FHIR Quantity
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export const toPreferred = (quantity, unitSystem) => {
+  const ucum = getQuantityUcum(quantity);
+  if (!ucum) {
+    return { value: quantity.value, ucum: null, label: quantity.unit || '' };
+  }
+  const target = getPreferredUnit(ucum, unitSystem);
+  const converted = convert(quantity.value, ucum, target);
+  if (converted === null || target === ucum) {
+    return { value: quantity.value, ucum, label: getUnitLabel(ucum) };
+  }
+  return { value: round(converted), ucum: target, label: getUnitLabel(target) };
+};
+
+/**
+ * Build a FHIR Quantity with a valid UCUM code.
+ * @param {number} value - The numeric value
+ * @param {string} ucum - The UCUM code
+ */
+export const buildQuantity = (value, ucum) => {
+  if (!UNITS[ucum]) {
+    throw new Error(`Unsupported unit: ${ucum}`);
+  }
+  return {
+    value,
+    unit: getUnitLabel(ucum),
+    system: "http://unitsofmeasure.org",
+    code: ucum
+  };
+};
+
+const UNIT_SYSTEM_KEY = 'unit_system';
+
+/**
+ * The user's unit preference, remembered across sessions in localStorage.
+ */
+export const getUnitSystem = () => {
+  if (typeof window === 'undefined') return 'metric';
+  return localStorage.getItem(UNIT_SYSTEM_KEY) === 'imperial' ? 'imperial' : 'metric';
+};
+
+/**
+ * Save the user's unit preference.
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export const setUnitSystem = (unitSystem) => {
+  localStorage.setItem(UNIT_SYSTEM_KEY, unitSystem === 'imperial' ? 'imperial' : 'metric');
+};
+
+/**
+ * Convert an entered value to another allowed unit, rounded for the form.
+ * Returns the value unchanged when it is empty or not convertible.
+ * @param {string} value - The value as typed
+ * @param {string} from - Current UCUM code
+ * @param {string} to - New UCUM code
+ */
+export const convertEnteredValue = (value, from, to) => {
+  if (value === '' || value === undefined || !from || !to) return value;
+  const converted = convert(parseFloat(value), from, to);
+  return converted === null || Number.isNaN(converted) ? value : String(round(converted));
+};
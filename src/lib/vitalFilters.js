@@ -0,0 +1,142 @@
+import { VITAL_TYPES, getVitalType, toCodeToken } from "@/lib/vitalTypes";
+
+/**
+ * Filters of the vitals page and their translation into FHIR search parameters.
+ * The active filters live in the page URL (?range=7d&vital=heart-rate&status=final)
+ * so a filtered view survives reloads and can be shared.
+ *
+ * - range: 'all', '24h', '7d', 'encounter' (with `encounter`, an Encounter id) or 'custom' (with `from`/`to` dates)
+ * - vitals: vital type keys from the registry; none means every vital
+ * - statuses: Observation statuses; none means every status
+ */
+
+export const DATE_RANGES = [
+  { key: 'all', label: 'All dates' },
+  { key: '24h', label: 'Last 24 hours', hours: 24 },
+  { key: '7d', label: 'Last 7 days', hours: 7 * 24 },
+  { key: 'encounter', label: 'This encounter' },
+  { key: 'custom', label: 'Custom range' },
+];
+
+export const STATUS_OPTIONS = [
+  { key: 'final', label: 'Final' },
+  { key: 'amended', label: 'Amended' },
+  { key: 'corrected', label: 'Corrected' },
+  { key: 'preliminary', label: 'Preliminary' },
+  { key: 'entered-in-error', label: 'Entered in error' },
+];
+
+export const DEFAULT_FILTERS = { range: 'all', from: '', to: '', encounter: '', vitals: [], statuses: [] };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const listParam = (value) => [].concat(value || []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+
+/**
+ * Filters from the page's query string. Unknown or malformed values fall back to the defaults.
+ * @param {object} query - router.query
+ */
+export const parseVitalFilters = (query = {}) => {
+  const first = (value) => [].concat(value || [])[0] || '';
+  const range = DATE_RANGES.some(r => r.key === first(query.range)) ? first(query.range) : 'all';
+  const filters = {
+    ...DEFAULT_FILTERS,
+    range,
+    vitals: listParam(query.vital).filter(key => getVitalType(key)),
+    statuses: listParam(query.status).filter(key => STATUS_OPTIONS.some(s => s.key === key)),
+  };
+  if (range === 'custom') {
+    filters.from = DATE_PATTERN.test(first(query.from)) ? first(query.from) : '';
+    filters.to = DATE_PATTERN.test(first(query.to)) ? first(query.to) : '';
+  }
+  if (range === 'encounter') {
+    filters.encounter = /^[A-Za-z0-9\-.]{1,64}$/.test(first(query.encounter)) ? first(query.encounter) : '';
+  }
+  return filters;
+};
+
+/**
+ * The query string for a set of filters, leaving out defaults so the URL stays short.
+ * @param {object} filters - As from parseVitalFilters()
+ */
+export const vitalFiltersToQuery = (filters) => {
+  const query = {};
+  if (filters.range !== 'all') query.range = filters.range;
+  if (filters.range === 'custom') {
+    if (filters.from) query.from = filters.from;
+    if (filters.to) query.to = filters.to;
+  }
+  if (filters.range === 'encounter' && filters.encounter) query.encounter = filters.encounter;
+  if (filters.vitals.length > 0) query.vital = filters.vitals.join(',');
+  if (filters.statuses.length > 0) query.status = filters.statuses.join(',');
+  return query;
+};
+
+/**
+ * Why a set of filters cannot be searched, or null when they can.
+ * @param {object} filters - As from parseVitalFilters()
+ */
+export const validateVitalFilters = (filters) => {
+  if (filters.range === 'custom') {
+    if (!filters.from && !filters.to) return 'Choose a start or end date for the custom range.';
+    if (filters.from && filters.to && filters.from > filters.to) return 'The start date must be on or before the end date.';
+  }
+  if (filters.range === 'encounter' && !filters.encounter) return 'There is no encounter in the launch context.';
+  return null;
+};
+
+/**
+ * FHIR search parameters for the filters, added to the page's base vital-signs search.
+ * Date bounds are whole local days for a custom range, rolling windows otherwise.
+ * @param {object} filters - As from parseVitalFilters()
+ * @param {Date} now - Current time, for the rolling windows
+ */
+export const buildVitalSearchParams = (filters, now = new Date()) => {
+  const params = {};
+  const range = DATE_RANGES.find(r => r.key === filters.range);
+  if (range?.hours) {
+    params.date = [`ge${new Date(now.getTime() - range.hours * 60 * 60 * 1000).toISOString()}`];
+  } else if (filters.range === 'custom') {
+    params.date = [
+      ...(filters.from ? [`ge${new Date(`${filters.from}T00:00:00`).toISOString()}`] : []),
+      ...(filters.to ? [`le${new Date(`${filters.to}T23:59:59.999`).toISOString()}`] : []),
+    ];
+  } else if (filters.range === 'encounter' && filters.encounter) {
+    params.encounter = `Encounter/${filters.encounter}`;
+  }
+  if (filters.vitals.length > 0) {
+    // Every code of each chosen type, so vendor and variant codes are found too
+    params.code = [...new Set(filters.vitals.flatMap(key => (getVitalType(key)?.codes || []).map(toCodeToken)))].join(',');
+  }
+  if (filters.statuses.length > 0) {
+    params.status = filters.statuses.join(',');
+  }
+  return params;
+};
+
+/**
+ * Short text for the active filters, e.g. "Last 7 days · Heart Rate · Final",
+ * or '' when nothing is filtered.
+ * @param {object} filters - As from parseVitalFilters()
+ */
+export const describeVitalFilters = (filters) => {
+  const parts = [];
+  if (filters.range === 'custom') {
+    parts.push(`${filters.from || '…'} to ${filters.to || '…'}`);
+  } else if (filters.range !== 'all') {
+    parts.push(DATE_RANGES.find(r => r.key === filters.range)?.label);
+  }
+  if (filters.vitals.length > 0) {
+    parts.push(VITAL_TYPES.filter(type => filters.vitals.includes(type.key)).map(type => type.label).join(', '));
+  }
+  if (filters.statuses.length > 0) {
+    parts.push(STATUS_OPTIONS.filter(s => filters.statuses.includes(s.key)).map(s => s.label).join(', '));
+  }
+  return parts.filter(Boolean).join(' · ');
+};
+
+/**
+ * Whether any filter is set.
+ * @param {object} filters - As from parseVitalFilters()
+ */
+export const hasActiveFilters = (filters) => Object.keys(vitalFiltersToQuery(filters)).length > 0;
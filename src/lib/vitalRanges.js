@@ -0,0 +1,167 @@
+import { convert, getQuantityUcum, getUnitLabel } from "@/lib/units";
+import { findVitalMeasure } from "@/lib/vitalTypes";
+
+/**
+ * Interpretation and entry checks for vital sign values. The normal ranges and
+ * plausibility limits themselves live on the vital type registry (vitalTypes.js).
+ */
+
+// Parsed once: limits are checked for every rendered value and keystroke
+const LIMIT_OVERRIDES = (() => {
+  try {
+    return JSON.parse(process.env.NEXT_PUBLIC_VITAL_LIMITS || '{}');
+  } catch (error) {
+    console.warn("Ignoring invalid NEXT_PUBLIC_VITAL_LIMITS:", error.message);
+    return {};
+  }
+})();
+
+/**
+ * Default normal range of a vital type or component, if it has one.
+ * @param {object} measure - A vital type or component from the registry (see findVitalMeasure)
+ */
+export const getNormalRange = (measure) => measure?.range || null;
+
+/**
+ * Plausibility limits of a vital type or component, with any configured overrides applied.
+ * Override with NEXT_PUBLIC_VITAL_LIMITS, a JSON object of limits keyed by registry key,
+ * e.g. {"heart-rate": {"confirmHigh": 200}} or {"systolic": {"max": 280}}.
+ * @param {object} measure - A vital type or component from the registry (see findVitalMeasure)
+ */
+export const getPlausibilityLimits = (measure) => {
+  if (!measure) return null;
+  const override = LIMIT_OVERRIDES[measure.key];
+  if (!measure.limits && !override) return null;
+  return { ...measure.limits, ...override };
+};
+
+/**
+ * Check an entered value against the plausibility limits of its vital type or component.
+ * Returns { level: 'ok' | 'confirm' | 'block', message }.
+ * @param {object} measure - A vital type or component from the registry, or null when unknown
+ * @param {object} quantity - The FHIR Quantity being entered
+ * @param {string} label - Name of the vital for messages
+ */
+export const checkPlausibility = (measure, quantity, label) => {
+  const limits = getPlausibilityLimits(measure);
+  const ucum = getQuantityUcum(quantity);
+  if (!limits || !ucum || typeof quantity.value !== 'number' || Number.isNaN(quantity.value)) {
+    return { level: 'ok', message: '' };
+  }
+  const value = convert(quantity.value, ucum, limits.unit);
+  if (value === null) return { level: 'ok', message: '' };
+  const shown = `${quantity.value} ${getUnitLabel(ucum)}`;
+
+  if ((limits.min !== undefined && value < limits.min) || (limits.max !== undefined && value > limits.max)) {
+    return { level: 'block', message: `${label} of ${shown} is not physiologically possible.` };
+  }
+  if ((limits.confirmLow !== undefined && value < limits.confirmLow) || (limits.confirmHigh !== undefined && value > limits.confirmHigh)) {
+    return { level: 'confirm', message: `${label} of ${shown} is unusual. Record it anyway?` };
+  }
+  return { level: 'ok', message: '' };
+};
+
+// HL7 v3 ObservationInterpretation codes mapped to the flags shown in the UI
+const INTERPRETATION_FLAGS = {
+  'N': 'normal',
+  'H': 'high',
+  'HU': 'high',
+  'L': 'low',
+  'LU': 'low',
+  'HH': 'critical-high',
+  'LL': 'critical-low',
+  'A': 'abnormal',
+  'AA': 'critical',
+};
+
+export const FLAG_LABELS = {
+  'normal': 'Normal',
+  'abnormal': 'Abnormal',
+  'high': 'High',
+  'low': 'Low',
+  'critical': 'Critical',
+  'critical-high': 'Critical high',
+  'critical-low': 'Critical low',
+};
+
+const FLAG_SEVERITY = {
+  'normal': 0,
+  'abnormal': 1,
+  'high': 2,
+  'low': 2,
+  'critical': 3,
+  'critical-high': 3,
+  'critical-low': 3,
+};
+
+const flagFromRange = (value, low, high, criticalLow, criticalHigh) => {
+  if (criticalLow !== undefined && criticalLow !== null && value < criticalLow) return 'critical-low';
+  if (criticalHigh !== undefined && criticalHigh !== null && value > criticalHigh) return 'critical-high';
+  if (low !== undefined && low !== null && value < low) return 'low';
+  if (high !== undefined && high !== null && value > high) return 'high';
+  return 'normal';
+};
+
+/**
+ * Interpret one value-bearing element (an Observation or one of its components).
+ * Uses, in order: its own interpretation, its own referenceRange, then the local defaults.
+ * Returns { flag, source } or null when nothing is known.
+ * @param {object} element - An Observation or Observation.component
+ */
+export const interpretElement = (element) => {
+  const code = element.interpretation?.[0]?.coding?.find(c => INTERPRETATION_FLAGS[c.code])?.code;
+  if (code) {
+    return { flag: INTERPRETATION_FLAGS[code], source: 'interpretation' };
+  }
+
+  const quantity = element.valueQuantity;
+  if (!quantity || typeof quantity.value !== 'number') return null;
+  const ucum = getQuantityUcum(quantity);
+
+  const referenceRange = element.referenceRange?.[0];
+  if (referenceRange && (referenceRange.low || referenceRange.high)) {
+    const toValue = (bound) => {
+      if (!bound || typeof bound.value !== 'number') return undefined;
+      const boundUcum = getQuantityUcum(bound) || ucum;
+      return ucum && boundUcum ? convert(bound.value, boundUcum, ucum) ?? undefined : bound.value;
+    };
+    return {
+      flag: flagFromRange(quantity.value, toValue(referenceRange.low), toValue(referenceRange.high)),
+      source: 'referenceRange'
+    };
+  }
+
+  const range = getNormalRange(findVitalMeasure(element));
+  if (!range || !ucum) return null;
+  const value = convert(quantity.value, ucum, range.unit);
+  if (value === null) return null;
+  return {
+    flag: flagFromRange(value, range.low, range.high, range.criticalLow, range.criticalHigh),
+    source: 'default'
+  };
+};
+
+/**
+ * Overall interpretation of an Observation: the most severe flag across its
+ * own value and its components (e.g. either half of a blood pressure).
+ * Returns { flag, label, source } or null when nothing is known.
+ * @param {object} observation - A FHIR Observation
+ */
+export const getObservationInterpretation = (observation) => {
+  const results = [interpretElement(observation), ...(observation.component || []).map(interpretElement)].filter(Boolean);
+  if (results.length === 0) return null;
+  const worst = results.reduce((a, b) => (FLAG_SEVERITY[b.flag] > FLAG_SEVERITY[a.flag] ? b : a));
+  return { ...worst, label: FLAG_LABELS[worst.flag] };
+};
+
+/**
+ * Whether a flag should be highlighted (anything but normal).
+ * @param {string} flag - A flag from getObservationInterpretation()
+ */
+export const isAbnormalFlag = (flag) => !!flag && flag !== 'normal';
+
+/**
+ * Whether a flag is critical.
+ * @param {string} flag - A flag from getObservationInterpretation()
+ */
+export const isCriticalFlag = (flag) => FLAG_SEVERITY[flag] === 3;
@@ -0,0 +1,122 @@
+import { getVitalType } from "@/lib/vitalTypes";
+import { STATUS_MESSAGES, parseOperationOutcome } from "@/lib/operationOutcome";
+
+/**
+ * Charting a routine vital set in one FHIR transaction: every value shares one
+ * effective time, and the server saves all of them or none.
+ */
+
+// The routine set, in charting order, then height: rarely charted, but with a weight it gives a BMI
+export const VITAL_SET = ['blood-pressure', 'heart-rate', 'respiratory-rate', 'temperature', 'oxygen-saturation', 'weight', 'height'];
+
+/**
+ * Whether nothing was entered for a vital of the set; blank rows are left out of the transaction.
+ * @param {string} key - The vital type key
+ * @param {object} entry - value or components, as on the vitals form
+ */
+export const isVitalSetEntryBlank = (key, entry = {}) => {
+  const type = getVitalType(key);
+  if (type?.shape === 'components') {
+    return type.components.every(comp => !entry.components?.[comp.key]);
+  }
+  return !entry.value;
+};
+
+/**
+ * Whether a vital of the set was entered in full (every component, and an allowed unit).
+ * @param {string} key - The vital type key
+ * @param {object} entry - value or components, and unit
+ */
+export const isVitalSetEntryComplete = (key, entry = {}) => {
+  const type = getVitalType(key);
+  if (!type) return false;
+  if (type.shape === 'components') {
+    return type.components.every(comp => !!entry.components?.[comp.key]);
+  }
+  return !!entry.value && type.units.includes(entry.unit);
+};
+
+// RFC 4122 version 4 UUID; crypto.getRandomValues works outside secure contexts too
+const newUuid = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * A fresh fullUrl for a transaction entry. Other resources in the same
+ * transaction may refer to the entry by it; the server replaces it with the new id.
+ */
+export const newEntryUrl = () => `urn:uuid:${newUuid()}`;
+
+/**
+ * A transaction Bundle creating each resource.
+ * @param {Array} resources - New resources, in the order their outcomes are reported
+ * @param {Array} fullUrls - The fullUrl of each entry, when other entries refer to it; new ones otherwise
+ */
+export const buildTransaction = (resources, fullUrls = []) => ({
+  resourceType: 'Bundle',
+  type: 'transaction',
+  entry: resources.map((resource, index) => ({
+    fullUrl: fullUrls[index] || newEntryUrl(),
+    resource,
+    request: { method: 'POST', url: resource.resourceType },
+  })),
+});
+
+/**
+ * Outcome of each entry of a transaction that the server accepted, from its
+ * transaction-response Bundle (entries come back in request order).
+ * An accepted transaction is all or nothing, so an entry the response says
+ * nothing about was saved too; only an explicit non-2xx status marks a failure.
+ * Returns [{ ok, status, location, id, message }].
+ * @param {object} transaction - The transaction Bundle that was sent
+ * @param {object} response - The transaction-response Bundle
+ */
+export const getTransactionResults = (transaction, response) => transaction.entry.map((entry, index) => {
+  const result = response?.entry?.[index]?.response || {};
+  const status = result.status || '';
+  const location = result.location || null;
+  const outcomeText = parseOperationOutcome(result.outcome).map(issue => issue.message).join(' ');
+  const ok = !status || /^2\d\d/.test(status);
+  return {
+    ok,
+    status,
+    location,
+    id: response?.entry?.[index]?.resource?.id || (location ? location.split('/_history/')[0].split('/').pop() : null),
+    message: outcomeText || (status ? `${ok ? 'Saved' : 'Not saved'} (${status})` : 'Saved (outcome not reported)'),
+  };
+});
+
+/**
+ * Outcome of each entry of a transaction the server rejected. A transaction is
+ * all or nothing, so no entry was saved; issues whose expression points at an
+ * entry (Bundle.entry[2]...) are reported on that entry.
+ * Returns [{ ok: false, status, message }].
+ * @param {object} transaction - The transaction Bundle that was sent
+ * @param {number} status - The HTTP status of the failed request
+ * @param {object} outcome - The OperationOutcome returned, if any
+ */
+export const getTransactionFailure = (transaction, status, outcome) => {
+  const issues = parseOperationOutcome(outcome);
+  const entryIndex = (issue) => {
+    const match = /^Bundle\.entry\[(\d+)\]/.exec(issue.expression[0] || '');
+    return match ? Number(match[1]) : null;
+  };
+  // Without any issues, the status itself is the reason
+  const general = issues.length > 0
+    ? issues.filter(issue => entryIndex(issue) === null).map(issue => issue.message)
+    : [STATUS_MESSAGES[status]].filter(Boolean);
+  return transaction.entry.map((entry, index) => {
+    const own = issues.filter(issue => entryIndex(issue) === index).map(issue => issue.message);
+    return {
+      ok: false,
+      status: String(status),
+      message: own.length > 0
+        ? own.join(' ')
+        : `Not saved: the set was rejected${general.length > 0 ? ` (${general.join(' ')})` : ''}.`,
+    };
+  });
+};
@@ -0,0 +1,222 @@
+import { UNITS } from "@/lib/units";
+
+const LOINC = 'http://loinc.org';
+const loincCode = (code) => ({ system: LOINC, code });
+
+/**
+ * Registry of the vital sign types the app knows.
+ * Each type lists every code that identifies it when reading (LOINC variants and
+ * vendor-specific codes), the one LOINC code written for new entries, the units it
+ * may be entered in and its input shape. Grouping, the entry form and the coding of
+ * new Observations all come from here.
+ *
+ * - `loinc`: code written for new entries, with `display`
+ * - `codes`: every { system, code } accepted as this type when reading (includes `loinc`).
+ *   A code listed without a system matches that code in any system
+ * - `units`: UCUM codes allowed on entry; the first is the metric default
+ * - `shape`: "quantity" for one value, "components" for a panel such as blood pressure
+ * - `range`: default adult normal and critical bounds, for values that carry no
+ *   interpretation or referenceRange of their own (optional)
+ * - `limits`: plausibility limits on entry. Values outside min/max are impossible and
+ *   blocked; values outside confirmLow/confirmHigh are unusual and need confirmation
+ *
+ * Panels carry `range` and `limits` on each component instead. Bounds are in `unit` (UCUM).
+ */
+export const VITAL_TYPES = [
+  {
+    key: 'blood-pressure',
+    label: 'Blood Pressure',
+    loinc: '85354-9',
+    display: 'Blood pressure panel with all children optional',
+    codes: [
+      loincCode('85354-9'), // Blood pressure panel with all children optional
+      loincCode('55284-4'), // Blood pressure systolic and diastolic
+      loincCode('35094-2'), // Blood pressure panel
+    ],
+    units: ['mm[Hg]'],
+    shape: 'components',
+    components: [
+      {
+        key: 'systolic',
+        label: 'Systolic',
+        loinc: '8480-6',
+        display: 'Systolic blood pressure',
+        range: { low: 90, high: 120, criticalLow: 80, criticalHigh: 180, unit: 'mm[Hg]' },
+        limits: { min: 40, max: 300, confirmLow: 60, confirmHigh: 250, unit: 'mm[Hg]' }
+      },
+      {
+        key: 'diastolic',
+        label: 'Diastolic',
+        loinc: '8462-4',
+        display: 'Diastolic blood pressure',
+        range: { low: 60, high: 80, criticalLow: 40, criticalHigh: 120, unit: 'mm[Hg]' },
+        limits: { min: 20, max: 200, confirmLow: 30, confirmHigh: 150, unit: 'mm[Hg]' }
+      }
+    ]
+  },
+  {
+    key: 'temperature',
+    label: 'Temperature',
+    loinc: '8310-5',
+    display: 'Body temperature',
+    codes: [
+      loincCode('8310-5'), // Body temperature
+      loincCode('8331-1'), // Oral temperature
+      loincCode('8328-7'), // Axillary temperature
+      loincCode('8332-9'), // Rectal temperature
+      loincCode('8333-7'), // Tympanic membrane temperature
+    ],
+    units: ['Cel', '[degF]'],
+    shape: 'quantity',
+    range: { low: 36.1, high: 37.2, criticalLow: 35, criticalHigh: 40, unit: 'Cel' },
+    limits: { min: 25, max: 45, confirmLow: 32, confirmHigh: 42, unit: 'Cel' }
+  },
+  {
+    key: 'heart-rate',
+    label: 'Heart Rate',
+    loinc: '8867-4',
+    display: 'Heart rate',
+    codes: [loincCode('8867-4')],
+    units: ['/min'],
+    shape: 'quantity',
+    range: { low: 60, high: 100, criticalLow: 40, criticalHigh: 130, unit: '/min' },
+    limits: { min: 20, max: 300, confirmLow: 30, confirmHigh: 220, unit: '/min' }
+  },
+  {
+    key: 'respiratory-rate',
+    label: 'Respiratory Rate',
+    loinc: '9279-1',
+    display: 'Respiratory rate',
+    codes: [loincCode('9279-1')],
+    units: ['/min'],
+    shape: 'quantity',
+    range: { low: 12, high: 20, criticalLow: 8, criticalHigh: 30, unit: '/min' },
+    limits: { min: 2, max: 80, confirmLow: 6, confirmHigh: 60, unit: '/min' }
+  },
+  {
+    key: 'oxygen-saturation',
+    label: 'Oxygen Saturation',
+    loinc: '59408-5',
+    display: 'Oxygen saturation in Arterial blood by Pulse oximetry',
+    codes: [
+      loincCode('59408-5'), // Oxygen saturation by pulse oximetry
+      loincCode('2708-6'), // Oxygen saturation in arterial blood
+      // Cerner SpO2 code. Its code system names the tenant, and earlier versions of this
+      // app wrote it as LOINC, so it is matched on the code alone
+      { code: '703498' },
+    ],
+    units: ['%'],
+    shape: 'quantity',
+    range: { low: 95, high: 100, criticalLow: 88, unit: '%' },
+    limits: { min: 40, max: 100, confirmLow: 70, unit: '%' }
+  },
+  {
+    key: 'weight',
+    label: 'Weight',
+    loinc: '29463-7',
+    display: 'Body weight',
+    codes: [
+      loincCode('29463-7'), // Body weight
+      loincCode('3141-9'), // Body weight Measured
+    ],
+    units: ['kg', '[lb_av]'],
+    shape: 'quantity',
+    limits: { min: 0.2, max: 500, confirmHigh: 300, unit: 'kg' }
+  },
+  {
+    key: 'height',
+    label: 'Height',
+    loinc: '8302-2',
+    display: 'Body height',
+    codes: [
+      loincCode('8302-2'), // Body height
+      loincCode('8306-3'), // Body height --lying
+    ],
+    units: ['cm', '[in_i]'],
+    shape: 'quantity',
+    limits: { min: 20, max: 272, confirmLow: 40, confirmHigh: 230, unit: 'cm' }
+  },
+  {
+    key: 'bmi',
+    label: 'Body Mass Index',
+    loinc: '39156-5',
+    display: 'Body mass index (BMI) [Ratio]',
+    codes: [loincCode('39156-5')],
+    units: ['kg/m2'],
+    shape: 'quantity',
+    limits: { min: 5, max: 150, confirmLow: 12, confirmHigh: 80, unit: 'kg/m2' }
+  },
+];
+
+const TYPES_BY_KEY = Object.fromEntries(VITAL_TYPES.map(type => [type.key, type]));
+/**
+ * A registry code as a FHIR token search value: system|code, or the bare code when it has no system.
+ * @param {object} code - { system, code } from a vital type's codes
+ */
+export const toCodeToken = ({ system, code }) => (system ? `${system}|${code}` : code);
+
+const TYPES_BY_CODE = Object.fromEntries(VITAL_TYPES.flatMap(type => type.codes.map(code => [toCodeToken(code), type])));
+const COMPONENTS_BY_CODE = Object.fromEntries(VITAL_TYPES.flatMap(type => (type.components || []).map(comp => [toCodeToken(loincCode(comp.loinc)), comp])));
+
+// The entry of a lookup table for a coding: by system|code, else by a code listed without a system
+const lookupCoding = (table, coding) => table[`${coding.system}|${coding.code}`] || table[coding.code] || null;
+
+/**
+ * A vital type by its registry key, or null.
+ * @param {string} key - e.g. "heart-rate"
+ */
+export const getVitalType = (key) => TYPES_BY_KEY[key] || null;
+
+/**
+ * The vital type an observation is coded as, checking every coding, or null if none is known.
+ * @param {object} observation - A FHIR Observation
+ */
+export const findVitalType = (observation) => {
+  const coding = observation.code?.coding?.find(c => lookupCoding(TYPES_BY_CODE, c));
+  return coding ? lookupCoding(TYPES_BY_CODE, coding) : null;
+};
+
+/**
+ * The registry entry holding the range and limits for one value-bearing element:
+ * the component of a panel, or the vital type of a single-value Observation. Null if unknown.
+ * @param {object} element - An Observation or Observation.component
+ */
+export const findVitalMeasure = (element) => {
+  const codings = element.code?.coding || [];
+  const component = codings.find(c => lookupCoding(COMPONENTS_BY_CODE, c));
+  if (component) return lookupCoding(COMPONENTS_BY_CODE, component);
+  const type = findVitalType(element);
+  return type?.shape === 'quantity' ? type : null;
+};
+
+/**
+ * The Observation.code written for a new entry of this type.
+ * @param {object} type - A vital type from the registry
+ */
+export const buildVitalCode = (type) => ({
+  coding: [
+    {
+      system: LOINC,
+      code: type.loinc,
+      display: type.display
+    }
+  ],
+  text: type.label
+});
+
+/**
+ * Whether a unit may be used for a vital type.
+ * @param {string} key - The vital type key, e.g. "weight"
+ * @param {string} ucum - The UCUM code
+ */
+export const isAllowedUnit = (key, ucum) => (getVitalType(key)?.units || []).includes(ucum);
+
+/**
+ * Default entry unit for a vital type under a unit preference.
+ * @param {string} key - The vital type key, e.g. "temperature"
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export const getDefaultUnit = (key, unitSystem) => {
+  const allowed = getVitalType(key)?.units || [];
+  return allowed.find(ucum => !UNITS[ucum]?.system || UNITS[ucum].system === unitSystem) || allowed[0] || '';
+};
@@ -0,0 +1,270 @@
+import { buildQuantity, getUnitLabel, toPreferred } from "@/lib/units";
+import { buildVitalCode, findVitalType, isAllowedUnit } from "@/lib/vitalTypes";
+import { checkPlausibility } from "@/lib/vitalRanges";
+
+/**
+ * Helpers for the vitals page: building, grouping, formatting and correcting vital sign Observations.
+ * Kept free of React so they can be tested on their own.
+ */
+
+/**
+ * Category an observation is grouped under: the registry label for known vital types,
+ * so every code variant of a vital lands in one group, otherwise its display or code.
+ * @param {object} observation - A FHIR Observation
+ */
+export const getCategoryName = (observation) => {
+  const type = findVitalType(observation);
+  if (type) return type.label;
+  const code = observation.code?.coding?.[0];
+  return code?.display || code?.code || 'Unknown';
+};
+
+/**
+ * Group vitals by category, newest first within each category.
+ * @param {Array} observations - FHIR Observations
+ */
+export const groupVitalsByCategory = (observations) => {
+  const categories = {};
+  observations.forEach(observation => {
+    const category = getCategoryName(observation);
+
+    if (!categories[category]) {
+      categories[category] = [];
+    }
+    categories[category].push(observation);
+  });
+
+  return Object.entries(categories).map(([name, vitals]) => ({
+    name,
+    count: vitals.length,
+    vitals: vitals.sort((a, b) => new Date(b.effectiveDateTime || b.issued) - new Date(a.effectiveDateTime || a.issued))
+  }));
+};
+
+/**
+ * Add a Bundle's Observations to those loaded so far, skipping any already seen on an earlier page.
+ * Returns { observations, added }.
+ * @param {Array} existing - Observations loaded so far
+ * @param {object} bundle - A searchset Bundle page
+ */
+export const mergeObservationPage = (existing, bundle) => {
+  const seen = new Set(existing.map(obs => obs.id));
+  const added = (bundle.entry || [])
+    .map(entry => entry.resource)
+    .filter(resource => resource?.resourceType === 'Observation' && !seen.has(resource.id));
+  return { observations: [...existing, ...added], added };
+};
+
+// Quantity in the user's preferred units (°C/°F, kg/lb, cm/in)
+const formatQuantity = (quantity, unitSystem) => {
+  const preferred = toPreferred(quantity, unitSystem);
+  return `${preferred.value} ${preferred.label}`;
+};
+
+/**
+ * Display text for an observation's value, in the user's preferred units.
+ * @param {object} observation - A FHIR Observation
+ * @param {string} unitSystem - "metric" or "imperial"
+ */
+export const formatVitalValue = (observation, unitSystem = 'metric') => {
+  // Handle valueQuantity (simple vital like temperature, heart rate)
+  const value = observation.valueQuantity;
+  if (value && value.value !== undefined) {
+    return formatQuantity(value, unitSystem);
+  }
+
+  // Handle multiple components (like blood pressure with systolic/diastolic)
+  if (observation.component && observation.component.length > 1) {
+    const components = observation.component.map(comp => {
+      if (comp.valueQuantity && comp.valueQuantity.value !== undefined) {
+        return formatQuantity(comp.valueQuantity, unitSystem);
+      }
+      return 'N/A';
+    }).filter(val => val !== 'N/A');
+
+    if (components.length > 0) {
+      return components.join(' / ');
+    }
+  }
+
+  // Handle component values (complex vitals like blood pressure)
+  const component = observation.component?.[0];
+  if (component && component.valueQuantity && component.valueQuantity.value !== undefined) {
+    return formatQuantity(component.valueQuantity, unitSystem);
+  }
+
+  // Handle valueCodeableConcept (coded values)
+  if (observation.valueCodeableConcept) {
+    return observation.valueCodeableConcept.text || observation.valueCodeableConcept.coding?.[0]?.display || 'Coded value';
+  }
+
+  // Handle valueString
+  if (observation.valueString) {
+    return observation.valueString;
+  }
+
+  // Handle valueBoolean
+  if (observation.valueBoolean !== undefined) {
+    return observation.valueBoolean ? 'Yes' : 'No';
+  }
+
+  return 'No value available';
+};
+
+/**
+ * Whether an observation was retracted (status entered-in-error).
+ * @param {object} observation - A FHIR Observation
+ */
+export const isRetracted = (observation) => observation.status === 'entered-in-error';
+
+/**
+ * Whether an observation's value was changed after it was first recorded.
+ * @param {object} observation - A FHIR Observation
+ */
+export const isAmended = (observation) => observation.status === 'amended' || observation.status === 'corrected';
+
+/**
+ * Whether an observation belongs in a trend by default: anything but retracted or
+ * cancelled. An amended observation holds the current, corrected value, so it stays.
+ * @param {object} observation - A FHIR Observation
+ */
+export const isTrendable = (observation) => !isRetracted(observation) && observation.status !== 'cancelled';
+
+/**
+ * The If-Match value for an update of this version of the resource, or null if the version is unknown.
+ * @param {object} resource - A FHIR resource as read from the server
+ */
+export const getVersionTag = (resource) => (resource?.meta?.versionId ? `W/"${resource.meta.versionId}"` : null);
+
+/**
+ * Replace one observation in a list by id, keeping its position.
+ * @param {Array} observations - Observations loaded so far
+ * @param {object} updated - The new version of one of them
+ */
+export const replaceObservation = (observations, updated) => (
+  observations.map(observation => (observation.id === updated.id ? updated : observation))
+);
+
+/**
+ * The observation with corrected values and status amended.
+ * Values are given in the units the observation already uses.
+ * @param {object} observation - The observation being corrected
+ * @param {object} changes - value (for valueQuantity), components (value per component index) and effectiveDateTime
+ */
+export const amendObservation = (observation, { value, components = {}, effectiveDateTime }) => {
+  const amended = { ...observation, status: 'amended' };
+  if (observation.valueQuantity && value !== undefined) {
+    amended.valueQuantity = { ...observation.valueQuantity, value };
+  }
+  if (observation.component) {
+    amended.component = observation.component.map((comp, index) => (
+      comp.valueQuantity && components[index] !== undefined
+        ? { ...comp, valueQuantity: { ...comp.valueQuantity, value: components[index] } }
+        : comp
+    ));
+  }
+  if (effectiveDateTime) {
+    amended.effectiveDateTime = effectiveDateTime;
+  }
+  return amended;
+};
+
+const VITAL_SIGNS_CATEGORY = {
+  coding: [
+    {
+      system: "http://terminology.hl7.org/CodeSystem/observation-category",
+      code: "vital-signs",
+      display: "Vital Signs"
+    }
+  ],
+  text: "Vital Signs"
+};
+
+/**
+ * A new vital-sign Observation for one entry of the vitals form.
+ * Panel vitals (blood pressure) get one component per measurement and no top-level value.
+ * @param {object} type - The vital type from the registry
+ * @param {object} entry - value, or components (value per component key), and unit (UCUM code)
+ * @param {object} context - patientId, effectiveDateTime, and when known encounter (an Encounter id) and performer (a relative reference)
+ */
+export const buildVitalObservation = (type, { value, components = {}, unit }, { patientId, effectiveDateTime, encounter, performer }) => {
+  const observation = {
+    resourceType: "Observation",
+    status: "final",
+    category: [VITAL_SIGNS_CATEGORY],
+    code: buildVitalCode(type),
+    subject: {
+      reference: `Patient/${patientId}`
+    },
+    effectiveDateTime
+  };
+
+  // Who recorded the vital and during which encounter
+  if (encounter) {
+    observation.encounter = { reference: `Encounter/${encounter}` };
+  }
+  if (performer) {
+    observation.performer = [{ reference: performer }];
+  }
+
+  if (type.shape === 'components') {
+    observation.component = type.components.map(comp => ({
+      code: {
+        coding: [
+          {
+            system: "http://loinc.org",
+            code: comp.loinc,
+            display: comp.display
+          }
+        ],
+        text: comp.display
+      },
+      valueQuantity: buildQuantity(parseFloat(components[comp.key]), unit)
+    }));
+  } else {
+    if (!isAllowedUnit(type.key, unit)) {
+      throw new Error(`${getUnitLabel(unit) || 'No unit'} is not a valid unit for ${type.label}`);
+    }
+    observation.valueQuantity = buildQuantity(parseFloat(value), unit);
+  }
+  return observation;
+};
+
+/**
+ * Plausibility checks for the values of a new observation from buildVitalObservation():
+ * one per value, plus diastolic below systolic for blood pressure.
+ * @param {object} type - The vital type from the registry
+ * @param {object} observation - The new Observation
+ */
+export const checkVitalObservation = (type, observation) => {
+  if (type.shape !== 'components') {
+    return [checkPlausibility(type, observation.valueQuantity, type.label)];
+  }
+  const checks = type.components.map((comp, index) => checkPlausibility(comp, observation.component[index].valueQuantity, comp.label));
+  const valueOf = (key) => observation.component[type.components.findIndex(comp => comp.key === key)]?.valueQuantity?.value;
+  if (type.key === 'blood-pressure' && valueOf('diastolic') >= valueOf('systolic')) {
+    checks.push({ level: 'block', message: 'Diastolic pressure must be lower than systolic pressure.' });
+  }
+  return checks;
+};
+
+/**
+ * The field of the vital entry form an OperationOutcome expression is about:
+ * 'category', 'value', 'unit', 'date', or a component key (e.g. 'systolic').
+ * Null for anything the form has no field for (subject, performer...).
+ * @param {object} type - The vital type that was entered, from the registry
+ * @param {string} expression - A FHIRPath from an issue, e.g. Observation.component[1].valueQuantity.value
+ * @param {string} base - Where the Observation sits: "Observation", or its transaction entry ("Bundle.entry[0].resource")
+ */
+export const getVitalFormField = (type, expression, base = 'Observation') => {
+  if (typeof expression !== 'string' || !expression.startsWith(`${base}.`)) return null;
+  const path = expression.slice(base.length + 1);
+  const component = /^component\[(\d+)\]\.?(.*)$/.exec(path);
+  const element = component ? component[2] : path;
+  if (/^value(Quantity|\.ofType\(Quantity\))?\.(unit|code|system)\b/.test(element)) return 'unit';
+  if (component) return type?.components?.[Number(component[1])]?.key || null;
+  if (/^value/.test(element)) return 'value';
+  if (/^effective/.test(element)) return 'date';
+  if (/^code\b/.test(element)) return 'category';
+  return null;
+};
@@ -1,5 +1,19 @@
 import "@/styles/globals.css";
+import { useRouter } from "next/router";
+import UserHeader from "@/components/UserHeader";
+import SessionGuard from "@/components/SessionGuard";
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  const router = useRouter();
+  // The mock consent page stands in for the EHR, so it does not get the app's header or session guard
+  const isMockEhr = router.pathname.startsWith('/mock/');
+  if (isMockEhr) {
+    return <Component {...pageProps} />;
+  }
+  return (
+    <SessionGuard>
+      <UserHeader />
+      <Component {...pageProps} />
+    </SessionGuard>
+  );
 }
@@ -0,0 +1,82 @@
+import { exchangeCode, applyTokenResponse } from "@/lib/smart";
+import { getClient } from "@/lib/clients";
+import { discoverOpenIdConfig, verifyIdToken } from "@/lib/oidc";
+import { getSession, saveSession, clearSession } from "@/lib/session";
+
+/**
+ * GET /api/auth/callback?code=...&state=...
+ * Redirect URI registered with the authorization server. Validates state,
+ * exchanges the code for tokens server-side, verifies the id_token that
+ * identifies the user and stores the tokens in the session cookie, then sends
+ * the browser back to the app.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const session = getSession(req);
+  const pending = session.pending;
+
+  const fail = (message) => {
+    clearSession(res);
+    res.redirect(302, `/?error=${encodeURIComponent(message)}`);
+  };
+
+  if (error) {
+    return fail(`Authorization failed: ${errorDescription || error}`);
+  }
+  if (!code || !state || !pending) {
+    return fail("Token exchange failed: Missing authorization response or session");
+  }
+  if (state !== pending.state) {
+    console.log("State mismatch!", { state, storedState: pending.state });
+    return fail("Token exchange failed: State mismatch");
+  }
+
+  let tokenData;
+  try {
+    tokenData = await exchangeCode(pending, code);
+    console.log("Token exchange success. Granted scope:", tokenData.scope);
+  } catch (error) {
+    console.log("Error in token exchange:", error);
+    return fail(`Token exchange failed: ${error.message}`);
+  }
+
+  // The signed-in user (fhirUser) is only trusted from a verified id_token
+  let claims = null;
+  try {
+    if (tokenData.id_token) {
+      const openid = await discoverOpenIdConfig(pending.issuer, { jwks_uri: pending.jwksUri, issuer: pending.oidcIssuer });
+      claims = await verifyIdToken(tokenData.id_token, { ...openid, audience: getClient(pending.issuer).clientId, nonce: pending.nonce });
+    } else if ((tokenData.scope || "").split(" ").includes("openid")) {
+      throw new Error("openid was granted but no id_token was returned");
+    }
+  } catch (error) {
+    console.log("id_token rejected:", error);
+    return fail(`Sign-in could not be verified: ${error.message}`);
+  }
+
+  try {
+    const { pending: _pending, ...rest } = session;
+    saveSession(res, applyTokenResponse({
+      ...rest,
+      issuer: pending.issuer,
+      tokenEndpoint: pending.tokenEndpoint,
+      revocationEndpoint: pending.revocationEndpoint || null,
+      launch: pending.launch,
+      launchMode: pending.launchMode,
+      requestedScope: pending.requestedScope,
+      patient: null,
+      encounter: null,
+      fhirUser: claims?.fhirUser || null,
+      scope: null,
+    }, tokenData));
+    res.redirect(302, "/");
+  } catch (error) {
+    console.log("Error saving session:", error);
+    fail(`Token exchange failed: ${error.message}`);
+  }
+}
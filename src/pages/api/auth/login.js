@@ -0,0 +1,46 @@
+import { discoverEndpoints, buildAuthUrl } from "@/lib/smart";
+import { findClient } from "@/lib/clients";
+import { getSession, saveSession } from "@/lib/session";
+
+/**
+ * GET /api/auth/login?iss=...&launch=...
+ * Starts the SMART authorization flow. With a launch token this is an EHR launch,
+ * without one it is a standalone launch. PKCE verifier and state are kept in the
+ * encrypted session cookie until /api/auth/callback runs. Issuers the app has no
+ * client registration for are refused without contacting them.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const issuer = typeof req.query.iss === "string" ? req.query.iss.replace(/\/+$/, "") : "";
+  const launch = typeof req.query.launch === "string" ? req.query.launch : null;
+  if (!issuer) {
+    return res.status(400).json({ error: "Missing iss parameter" });
+  }
+
+  let client;
+  try {
+    client = findClient(issuer);
+  } catch (error) {
+    console.log("Client registry error:", error);
+    return res.redirect(302, `/?error=${encodeURIComponent(`Configuration error: ${error.message}`)}`);
+  }
+  if (!client) {
+    console.log("Refusing launch from unregistered issuer:", issuer);
+    return res.redirect(302, `/?error=${encodeURIComponent(`Unknown FHIR server: this app is not registered with ${issuer}`)}`);
+  }
+
+  try {
+    const config = await discoverEndpoints(issuer);
+    const { url, pending } = buildAuthUrl(issuer, config, launch);
+    // A new launch replaces whatever session was there before
+    saveSession(res, { ...getSession(req), pending, accessToken: null, refreshToken: null });
+    res.redirect(302, url);
+  } catch (error) {
+    console.log("Error starting authorization:", error);
+    res.redirect(302, `/?error=${encodeURIComponent(`Discovery failed: ${error.message}`)}`);
+  }
+}
@@ -0,0 +1,24 @@
+import { revokeTokens } from "@/lib/smart";
+import { getSession, clearSession } from "@/lib/session";
+
+/**
+ * POST /api/auth/logout
+ * Revokes the tokens at the authorization server when it supports revocation,
+ * then drops the session cookie and tells the browser to discard anything it
+ * cached from this origin (Clear-Site-Data), so no PHI outlives the session.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  const session = getSession(req);
+  if (session.accessToken) {
+    const revoked = await revokeTokens(session);
+    console.log(revoked ? "Tokens revoked on logout" : "Tokens not revoked; they will expire on their own");
+  }
+  clearSession(res);
+  res.setHeader("Clear-Site-Data", '"cache"');
+  res.setHeader("Cache-Control", "no-store");
+  res.status(204).end();
+}
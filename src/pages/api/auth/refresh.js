@@ -0,0 +1,29 @@
+import { refreshAccessToken, applyTokenResponse, publicSessionInfo } from "@/lib/smart";
+import { getSession, saveSession } from "@/lib/session";
+
+/**
+ * POST /api/auth/refresh
+ * Uses the refresh token held in the session cookie to get a new access token.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const session = getSession(req);
+  if (!session.accessToken) {
+    return res.status(401).json({ error: "No active session" });
+  }
+
+  try {
+    const tokenData = await refreshAccessToken(session);
+    const updated = applyTokenResponse(session, tokenData);
+    saveSession(res, updated);
+    console.log("Access token refreshed successfully");
+    res.status(200).json(publicSessionInfo(updated));
+  } catch (error) {
+    console.log("Token refresh failed:", error);
+    res.status(401).json({ error: `Token refresh failed: ${error.message}` });
+  }
+}
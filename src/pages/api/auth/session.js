@@ -0,0 +1,33 @@
+import { publicSessionInfo } from "@/lib/smart";
+import { getSession, saveSession } from "@/lib/session";
+
+/**
+ * GET /api/auth/session - launch context for the browser (never the tokens).
+ * PUT /api/auth/session - set the patient chosen in the standalone patient picker.
+ */
+export default function handler(req, res) {
+  const session = getSession(req);
+
+  if (req.method === "GET") {
+    return res.status(200).json(publicSessionInfo(session));
+  }
+
+  if (req.method === "PUT") {
+    if (!session.accessToken) {
+      return res.status(401).json({ error: "No active session" });
+    }
+    if (session.launchMode !== "standalone") {
+      return res.status(409).json({ error: "Patient context comes from the EHR launch" });
+    }
+    const patient = req.body?.patient;
+    if (typeof patient !== "string" || !/^[A-Za-z0-9\-.]{1,64}$/.test(patient)) {
+      return res.status(400).json({ error: "Invalid patient id" });
+    }
+    const updated = { ...session, patient };
+    saveSession(res, updated);
+    return res.status(200).json(publicSessionInfo(updated));
+  }
+
+  res.setHeader("Allow", "GET, PUT");
+  res.status(405).json({ error: "Method not allowed" });
+}
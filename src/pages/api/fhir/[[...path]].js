@@ -0,0 +1,97 @@
+import { getSession } from "@/lib/session";
+
+/**
+ * /api/fhir/* - proxies FHIR requests to the session's issuer with the
+ * server-held access token; /api/fhir itself is the server base, where
+ * transactions are posted. A 401 (from upstream, or here once the access token
+ * has expired) is passed straight back so the browser can call
+ * /api/auth/refresh and retry. Bundle paging links are rewritten to point
+ * back at this proxy so the browser can follow them.
+ */
+
+export const config = {
+  api: { bodyParser: false },
+};
+
+const FORWARDED_REQUEST_HEADERS = ["accept", "content-type", "if-match", "if-none-exist", "prefer"];
+const FORWARDED_RESPONSE_HEADERS = ["content-type", "etag", "last-modified", "location"];
+
+/**
+ * Point Bundle link URLs (next, previous, self...) under the issuer at /api/fhir instead.
+ * @param {Buffer} body - The upstream response body
+ * @param {string} issuer - The FHIR server base URL
+ */
+const rewriteBundleLinks = (body, issuer) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(body.toString("utf8"));
+  } catch {
+    return body;
+  }
+  if (bundle?.resourceType !== "Bundle" || !Array.isArray(bundle.link)) {
+    return body;
+  }
+  bundle.link = bundle.link.map(link => (
+    typeof link.url === "string" && link.url.startsWith(`${issuer}/`)
+      ? { ...link, url: `/api/fhir${link.url.slice(issuer.length)}` }
+      : link
+  ));
+  return Buffer.from(JSON.stringify(bundle));
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return chunks.length ? Buffer.concat(chunks) : undefined;
+};
+
+export default async function handler(req, res) {
+  const session = getSession(req);
+  if (!session.accessToken || !session.issuer) {
+    return res.status(401).json({ error: "No active session" });
+  }
+  // An expired token would only be rejected upstream; answer 401 here so the browser refreshes first
+  if (session.expiresAt && session.expiresAt <= Date.now()) {
+    return res.status(401).json({ error: "Access token expired" });
+  }
+
+  // Keep the raw path and query so repeated search parameters (date=ge..&date=le..) survive
+  const relative = req.url.replace(/^\/api\/fhir/, "");
+  const base = new URL(`${session.issuer}/`);
+  const target = new URL(`${session.issuer}${relative}`);
+  const insideBase = target.pathname.startsWith(base.pathname) || `${target.pathname}/` === base.pathname;
+  if (target.origin !== base.origin || !insideBase) {
+    return res.status(400).json({ error: "Invalid FHIR path" });
+  }
+
+  const headers = { 'Authorization': `Bearer ${session.accessToken}` };
+  FORWARDED_REQUEST_HEADERS.forEach(name => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+
+  try {
+    const upstream = await fetch(target, {
+      method: req.method,
+      headers,
+      body: ["GET", "HEAD"].includes(req.method) ? undefined : await readBody(req),
+    });
+    FORWARDED_RESPONSE_HEADERS.forEach(name => {
+      const value = upstream.headers.get(name);
+      if (value) res.setHeader(name, value);
+    });
+    res.setHeader("Cache-Control", "no-store");
+    let body = Buffer.from(await upstream.arrayBuffer());
+    if (req.method === "GET" && /json/.test(upstream.headers.get("content-type") || "")) {
+      body = rewriteBundleLinks(body, session.issuer);
+    }
+    // res.end rather than res.send: send() would replace the FHIR version ETag with its own
+    res.statusCode = upstream.status;
+    res.setHeader("Content-Length", body.length);
+    res.end(body);
+  } catch (error) {
+    console.log("FHIR proxy request failed:", error);
+    res.status(502).json({ error: `FHIR server unreachable: ${error.message}` });
+  }
+}
@@ -0,0 +1,97 @@
+import { findClient } from "@/lib/clients";
+import { isMockMode, getMockIssuer } from "@/lib/mock/config";
+import { getStore, readResource, resolveLaunch, randomToken } from "@/lib/mock/store";
+
+/**
+ * POST /api/mock/auth/approve (mock mode only)
+ * Called by the /mock/authorize consent page. Issues an authorization code for
+ * the approved request and returns the redirect back to the client.
+ * Only the sandbox's registered client and redirect URI are accepted; anything
+ * else is answered with 400 rather than a redirect.
+ */
+export default function handler(req, res) {
+  if (!isMockMode()) {
+    return res.status(404).json({ error: "Mock mode is disabled" });
+  }
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope = "",
+    state,
+    nonce,
+    aud,
+    launch,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    patient,
+    approved,
+  } = req.body || {};
+
+  if (!clientId || !redirectUri) {
+    return res.status(400).json({ error: "client_id and redirect_uri are required" });
+  }
+
+  const client = findClient(getMockIssuer(req));
+  if (!client || client.clientId !== clientId) {
+    return res.status(400).json({ error: `Unknown client_id "${clientId}"` });
+  }
+  if (redirectUri !== client.redirectUri) {
+    return res.status(400).json({ error: "redirect_uri does not match the client's registered redirect URI" });
+  }
+  let redirect;
+  try {
+    redirect = new URL(redirectUri);
+  } catch (error) {
+    return res.status(400).json({ error: "redirect_uri is not a valid URL" });
+  }
+  if (state) redirect.searchParams.set("state", state);
+
+  const deny = (error, description) => {
+    redirect.searchParams.set("error", error);
+    redirect.searchParams.set("error_description", description);
+    res.status(200).json({ redirect: redirect.toString() });
+  };
+
+  if (!approved) {
+    return deny("access_denied", "The user denied the request");
+  }
+  if (aud !== getMockIssuer(req)) {
+    return deny("invalid_request", "aud does not match this FHIR server");
+  }
+  if (!codeChallenge || codeChallengeMethod !== "S256") {
+    return deny("invalid_request", "PKCE with S256 is required");
+  }
+
+  const scopes = scope.split(/\s+/).filter(Boolean);
+  let context = { patient: null, encounter: null };
+  if (launch) {
+    context = resolveLaunch(launch);
+    if (!context) {
+      return deny("invalid_request", "Unknown launch token");
+    }
+  } else if (scopes.includes("launch/patient")) {
+    if (!patient || !readResource("Patient", patient)) {
+      return deny("invalid_request", "A patient must be selected");
+    }
+    context = { patient, encounter: null };
+  }
+
+  const code = randomToken();
+  getStore().codes[code] = {
+    clientId,
+    redirectUri,
+    scope: scopes.join(" "),
+    codeChallenge,
+    nonce: nonce || null,
+    patient: context.patient,
+    encounter: context.encounter,
+    expiresAt: Date.now() + 5 * 60 * 1000,
+  };
+  redirect.searchParams.set("code", code);
+  res.status(200).json({ redirect: redirect.toString() });
+}
@@ -0,0 +1,17 @@
+import { isMockMode } from "@/lib/mock/config";
+import { getPublicJwks } from "@/lib/mock/idToken";
+
+/**
+ * GET /api/mock/auth/jwks (mock mode only)
+ * Public keys for verifying id_tokens from the mock authorization server.
+ */
+export default function handler(req, res) {
+  if (!isMockMode()) {
+    return res.status(404).json({ error: "Mock mode is disabled" });
+  }
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  res.status(200).json(getPublicJwks());
+}
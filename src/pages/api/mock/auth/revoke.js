@@ -0,0 +1,38 @@
+import { isMockMode, getClientId } from "@/lib/mock/config";
+import { getStore } from "@/lib/mock/store";
+
+/**
+ * POST /api/mock/auth/revoke (mock mode only)
+ * Token revocation endpoint (RFC 7009) of the mock authorization server.
+ * Revoking a refresh token also ends the access tokens issued from it. As the
+ * RFC asks, unknown tokens and tokens of other clients still get a 200.
+ */
+export default function handler(req, res) {
+  if (!isMockMode()) {
+    return res.status(404).json({ error: "Mock mode is disabled" });
+  }
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const store = getStore();
+  const { token } = req.body || {};
+  if (!token) {
+    return res.status(400).json({ error: "invalid_request", error_description: "token is required" });
+  }
+  const clientId = getClientId(req);
+
+  const refresh = store.refreshTokens[token];
+  if (refresh?.clientId === clientId) {
+    delete store.refreshTokens[token];
+    Object.entries(store.accessTokens)
+      .filter(([, grant]) => grant.refreshToken === token)
+      .forEach(([accessToken]) => delete store.accessTokens[accessToken]);
+  }
+  if (store.accessTokens[token]?.clientId === clientId) {
+    delete store.accessTokens[token];
+  }
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200).end();
+}
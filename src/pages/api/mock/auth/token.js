@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import { isMockMode, getMockIssuer, getClientId } from "@/lib/mock/config";
+import { getStore, randomToken, MOCK_PRACTITIONER_ID } from "@/lib/mock/store";
+import { signIdToken } from "@/lib/mock/idToken";
+
+/**
+ * POST /api/mock/auth/token (mock mode only)
+ * Token endpoint for the mock authorization server. Validates the code,
+ * redirect URI, client and PKCE verifier, and supports refresh tokens.
+ * With the openid scope the response carries an id_token naming the signed-in practitioner.
+ * MOCK_TOKEN_LIFETIME (seconds) shortens access tokens to exercise refresh.
+ */
+
+const tokenError = (res, status, error, description) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.status(status).json({ error, error_description: description });
+};
+
+const issueTokens = (grant) => {
+  const store = getStore();
+  const lifetime = Number(process.env.MOCK_TOKEN_LIFETIME) || 3600;
+  const accessToken = randomToken();
+  const refreshToken = grant.scope.split(" ").includes("offline_access") ? grant.refreshToken || randomToken() : null;
+  // Access tokens remember their refresh token, so revoking it ends them too
+  store.accessTokens[accessToken] = { ...grant, refreshToken, expiresAt: Date.now() + lifetime * 1000 };
+  const response = {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: lifetime,
+    scope: grant.scope,
+  };
+  if (refreshToken) {
+    // id_tokens from a refresh carry no nonce
+    store.refreshTokens[refreshToken] = { ...grant, nonce: null, refreshToken };
+    response.refresh_token = refreshToken;
+  }
+  if (grant.patient) response.patient = grant.patient;
+  if (grant.encounter) response.encounter = grant.encounter;
+  const scopes = grant.scope.split(" ");
+  if (scopes.includes("openid")) {
+    response.id_token = signIdToken({
+      iss: grant.issuer,
+      sub: MOCK_PRACTITIONER_ID,
+      aud: grant.clientId,
+      ...(grant.nonce ? { nonce: grant.nonce } : {}),
+      ...(scopes.includes("fhirUser") ? { fhirUser: `${grant.issuer}/${grant.fhirUser}` } : {}),
+    });
+  }
+  return response;
+};
+
+export default function handler(req, res) {
+  if (!isMockMode()) {
+    return res.status(404).json({ error: "Mock mode is disabled" });
+  }
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const store = getStore();
+  const { grant_type: grantType } = req.body || {};
+  const clientId = getClientId(req);
+
+  if (grantType === "authorization_code") {
+    const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    const pending = store.codes[code];
+    delete store.codes[code]; // Codes are single-use
+    if (!pending || pending.expiresAt < Date.now()) {
+      return tokenError(res, 400, "invalid_grant", "Unknown or expired authorization code");
+    }
+    if (pending.clientId !== clientId) {
+      return tokenError(res, 400, "invalid_client", "Code was issued to a different client");
+    }
+    if (pending.redirectUri !== redirectUri) {
+      return tokenError(res, 400, "invalid_grant", "redirect_uri does not match the authorization request");
+    }
+    const challenge = codeVerifier && crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+    if (challenge !== pending.codeChallenge) {
+      return tokenError(res, 400, "invalid_grant", "PKCE verification failed");
+    }
+    return res.status(200).json(issueTokens({
+      clientId,
+      scope: pending.scope,
+      patient: pending.patient,
+      encounter: pending.encounter,
+      nonce: pending.nonce,
+      issuer: getMockIssuer(req),
+      fhirUser: `Practitioner/${MOCK_PRACTITIONER_ID}`,
+    }));
+  }
+
+  if (grantType === "refresh_token") {
+    const grant = store.refreshTokens[req.body.refresh_token];
+    if (!grant) {
+      return tokenError(res, 400, "invalid_grant", "Unknown refresh token");
+    }
+    if (grant.clientId !== clientId) {
+      return tokenError(res, 400, "invalid_client", "Refresh token was issued to a different client");
+    }
+    return res.status(200).json(issueTokens(grant));
+  }
+
+  tokenError(res, 400, "unsupported_grant_type", `Unsupported grant_type: ${grantType}`);
+}
@@ -0,0 +1,234 @@
+import crypto from "crypto";
+import { isMockMode, getMockIssuer, getOrigin } from "@/lib/mock/config";
+import { getStore, readResource, createResource, updateResource, searchResources } from "@/lib/mock/store";
+import { hasScope } from "@/lib/scopes";
+
+/**
+ * Mock FHIR sandbox (mock mode only).
+ * Serves SMART discovery, reads and searches over the in-memory store, and
+ * accepts creates, updates and transactions of creates. Everything except
+ * discovery needs a bearer token issued by /api/mock/auth/token.
+ */
+
+const operationOutcome = (code, diagnostics) => ({
+  resourceType: "OperationOutcome",
+  issue: [{ severity: "error", code, diagnostics }],
+});
+
+const sendFhir = (res, status, body, headers = {}) => {
+  res.setHeader("Content-Type", "application/fhir+json");
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  // res.end rather than res.send: send() would replace the version ETag with its own
+  const payload = Buffer.from(JSON.stringify(body));
+  res.statusCode = status;
+  res.setHeader("Content-Length", payload.length);
+  res.end(payload);
+};
+
+const smartConfiguration = (req) => {
+  const origin = getOrigin(req);
+  return {
+    issuer: getMockIssuer(req),
+    authorization_endpoint: `${origin}/mock/authorize`,
+    token_endpoint: `${origin}/api/mock/auth/token`,
+    jwks_uri: `${origin}/api/mock/auth/jwks`,
+    revocation_endpoint: `${origin}/api/mock/auth/revoke`,
+    grant_types_supported: ["authorization_code", "refresh_token"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["none", "client_secret_basic"],
+    scopes_supported: ["openid", "fhirUser", "launch", "launch/patient", "offline_access", "user/*.read", "user/*.write", "patient/*.read", "patient/*.write", "user/*.cruds", "patient/*.cruds"],
+    response_types_supported: ["code"],
+    capabilities: ["launch-ehr", "launch-standalone", "client-public", "client-confidential-symmetric", "context-ehr-patient", "context-standalone-patient", "permission-offline", "permission-user", "permission-patient", "permission-v1", "permission-v2", "sso-openid-connect"],
+  };
+};
+
+// Next.js only parses application/json itself; application/fhir+json arrives as a string
+const readResourceBody = (req) => {
+  if (typeof req.body !== "string") return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+};
+
+// Replace references to other entries' fullUrls (urn:uuid:...) with the ids they were given
+const resolveReferences = (value, ids) => {
+  if (Array.isArray(value)) return value.map(item => resolveReferences(item, ids));
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+    key === "reference" && ids[item] ? [key, ids[item]] : [key, resolveReferences(item, ids)]
+  )));
+};
+
+/**
+ * What the sandbox finds wrong with a new Observation, as issues whose
+ * expression starts at `path` (the resource itself, or its transaction entry).
+ * @param {object} resource - The Observation
+ * @param {string} path - "Observation" or "Bundle.entry[n].resource"
+ */
+const validateObservation = (resource, path) => {
+  const issues = [];
+  if (!resource.subject?.reference) {
+    issues.push({ code: "required", expression: `${path}.subject`, diagnostics: "Observation.subject is required" });
+  }
+  if (!resource.effectiveDateTime && !resource.effectivePeriod) {
+    issues.push({ code: "required", expression: `${path}.effective`, diagnostics: "A vital sign needs the time it was taken" });
+  }
+  if (resource.valueQuantity && typeof resource.valueQuantity.value !== "number") {
+    issues.push({ code: "value", expression: `${path}.valueQuantity.value`, diagnostics: "The value must be a number" });
+  }
+  (resource.component || []).forEach((component, index) => {
+    if (component.valueQuantity && typeof component.valueQuantity.value !== "number") {
+      issues.push({ code: "value", expression: `${path}.component[${index}].valueQuantity.value`, diagnostics: "The value must be a number" });
+    }
+  });
+  return issues;
+};
+
+/**
+ * Run a transaction of creates: every entry is checked first, and either all
+ * are stored or, when any entry is invalid, none are. Issues name the failing
+ * entry in their expression (Bundle.entry[n]...).
+ */
+const runTransaction = (res, grant, bundle) => {
+  if (bundle?.resourceType !== "Bundle" || bundle.type !== "transaction") {
+    return sendFhir(res, 400, operationOutcome("not-supported", "Only transaction Bundles can be posted to the sandbox base"));
+  }
+  const entries = bundle.entry || [];
+  const problems = [];
+  entries.forEach((entry, index) => {
+    const resource = entry.resource;
+    const type = resource?.resourceType;
+    if (entry.request?.method !== "POST" || !type || entry.request.url !== type) {
+      problems.push({ status: 400, code: "not-supported", expression: `Bundle.entry[${index}].request`, diagnostics: "The sandbox only supports creates (POST) in transactions" });
+    } else if (!hasScope(grant.scope, type, "c", { category: resource.category?.[0]?.coding?.[0]?.code })) {
+      problems.push({ status: 403, code: "forbidden", expression: `Bundle.entry[${index}]`, diagnostics: `The granted scopes do not allow creating ${type}` });
+    } else if (type === "Observation") {
+      validateObservation(resource, `Bundle.entry[${index}].resource`).forEach(issue => problems.push({ status: 422, ...issue }));
+    }
+  });
+  if (problems.length > 0) {
+    return sendFhir(res, Math.max(...problems.map(problem => problem.status)), {
+      resourceType: "OperationOutcome",
+      issue: problems.map(({ code, expression, diagnostics }) => ({ severity: "error", code, diagnostics, expression: [expression] })),
+    });
+  }
+
+  const ids = {};
+  const assigned = entries.map(entry => {
+    const id = crypto.randomUUID();
+    if (entry.fullUrl) ids[entry.fullUrl] = `${entry.resource.resourceType}/${id}`;
+    return id;
+  });
+  const created = entries.map((entry, index) => createResource(resolveReferences(entry.resource, ids), assigned[index]));
+  return sendFhir(res, 200, {
+    resourceType: "Bundle",
+    type: "transaction-response",
+    entry: created.map(resource => ({
+      resource,
+      response: {
+        status: "201 Created",
+        location: `${resource.resourceType}/${resource.id}/_history/${resource.meta.versionId}`,
+        etag: `W/"${resource.meta.versionId}"`,
+        lastModified: resource.meta.lastUpdated,
+      },
+    })),
+  });
+};
+
+const getGrant = (req) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const grant = token && getStore().accessTokens[token];
+  return grant && grant.expiresAt > Date.now() ? grant : null;
+};
+
+const versionHeaders = (issuer, resource) => ({
+  "ETag": `W/"${resource.meta.versionId}"`,
+  "Location": `${issuer}/${resource.resourceType}/${resource.id}/_history/${resource.meta.versionId}`,
+  "Last-Modified": new Date(resource.meta.lastUpdated).toUTCString(),
+});
+
+export default function handler(req, res) {
+  if (!isMockMode()) {
+    return res.status(404).json({ error: "Mock mode is disabled" });
+  }
+
+  const path = [].concat(req.query.path || []);
+  const issuer = getMockIssuer(req);
+
+  if (path.join("/") === ".well-known/smart-configuration") {
+    return res.status(200).json(smartConfiguration(req));
+  }
+  if (path.join("/") === "metadata") {
+    return sendFhir(res, 200, {
+      resourceType: "CapabilityStatement",
+      status: "active",
+      kind: "instance",
+      fhirVersion: "4.0.1",
+      format: ["json"],
+      rest: [{ mode: "server" }],
+    });
+  }
+
+  const grant = getGrant(req);
+  if (!grant) {
+    return sendFhir(res, 401, operationOutcome("login", "Missing, invalid or expired access token"));
+  }
+
+  const [type, id] = path;
+  const params = new URLSearchParams(req.url.split("?")[1] || "");
+
+  // Enforce the granted scopes like a real server: search, create, read or update
+  const permission = path.length === 1 ? (req.method === "GET" ? "s" : "c") : (req.method === "GET" ? "r" : "u");
+  if (type && !hasScope(grant.scope, type, permission, Object.fromEntries(params))) {
+    return sendFhir(res, 403, operationOutcome("forbidden", `The granted scopes do not allow this request on ${type}`));
+  }
+
+  if (path.length === 0 && req.method === "POST") {
+    return runTransaction(res, grant, readResourceBody(req));
+  }
+
+  if (path.length === 1 && req.method === "GET") {
+    const mayInclude = (resource) => hasScope(grant.scope, resource.resourceType, "r", { category: resource.category?.[0]?.coding?.[0]?.code });
+    return sendFhir(res, 200, searchResources(type, params, issuer, mayInclude));
+  }
+
+  if (path.length === 1 && req.method === "POST") {
+    const resource = readResourceBody(req);
+    if (!resource || resource.resourceType !== type) {
+      return sendFhir(res, 400, operationOutcome("invalid", `Body must be a ${type} resource`));
+    }
+    const issues = type === "Observation" ? validateObservation(resource, "Observation") : [];
+    if (issues.length > 0) {
+      return sendFhir(res, 422, {
+        resourceType: "OperationOutcome",
+        issue: issues.map(({ code, expression, diagnostics }) => ({ severity: "error", code, diagnostics, expression: [expression] })),
+      });
+    }
+    const created = createResource(resource);
+    return sendFhir(res, 201, created, versionHeaders(issuer, created));
+  }
+
+  if (path.length === 2 && req.method === "GET") {
+    const resource = readResource(type, id);
+    if (!resource) {
+      return sendFhir(res, 404, operationOutcome("not-found", `${type}/${id} not found`));
+    }
+    return sendFhir(res, 200, resource, versionHeaders(issuer, resource));
+  }
+
+  if (path.length === 2 && req.method === "PUT") {
+    const resource = readResourceBody(req);
+    if (!resource || resource.resourceType !== type || resource.id !== id) {
+      return sendFhir(res, 400, operationOutcome("invalid", `Body must be ${type}/${id}`));
+    }
+    const result = updateResource(resource, req.headers["if-match"]);
+    if (result.error) {
+      return sendFhir(res, result.status, operationOutcome(result.status === 412 ? "conflict" : "not-found", result.error));
+    }
+    return sendFhir(res, 200, result.resource, versionHeaders(issuer, result.resource));
+  }
+
+  sendFhir(res, 405, operationOutcome("not-supported", `${req.method} ${path.join("/")} is not supported by the sandbox`));
+}
@@ -1,6 +1,13 @@
 import { useEffect, useState } from "react";
 import { useRouter } from "next/router";
 import styles from "@/styles/Home.module.css";
+import PatientPicker from "@/components/PatientPicker";
+import { read } from "@/lib/fhirClient";
+import { getLaunchStep } from "@/lib/launch";
+import { getDeniedScopes, hasReadScope } from "@/lib/scopes";
+import { signOut } from "@/lib/sessionLifetime";
+
+const isMockMode = process.env.NEXT_PUBLIC_MOCK_FHIR === "true";
 
 export default function Home() {
   const router = useRouter();
@@ -8,48 +15,50 @@ export default function Home() {
   const [step, setStep] = useState("waiting");
   const [issuer, setIssuer] = useState("");
   const [launch, setLaunch] = useState("");
+  const [issuerInput, setIssuerInput] = useState(process.env.NEXT_PUBLIC_DEFAULT_ISSUER || "");
   const [patientData, setPatientData] = useState(null);
   const [error, setError] = useState("");
+  const [grantedScope, setGrantedScope] = useState(null);
+  const [deniedScopes, setDeniedScopes] = useState([]); // Requested scopes the server did not grant
 
   /**
    * MAIN FLOW: useEffect runs first when the page loads or router is ready.
-   * It checks the URL for SMART launch or OAuth callback parameters and
-   * determines which step to run next.
+   * It checks the URL for SMART launch parameters or a returned error and
+   * determines which step to run next. Tokens are handled by the /api/auth
+   * routes and never reach the browser.
    *
    * Order of execution:
    * 1. useEffect runs on page load (or router ready)
-   * 2. If ?code & ?state in URL: handleOAuthCallback() is called (OAuth callback)
-   * 3. Else if ?iss & ?launch in URL: discoverEndpoints() is called (SMART launch)
-   * 4. discoverEndpoints() calls buildAuthUrl() (to build and redirect to auth URL)
-   * 5. buildAuthUrl() redirects to Cerner (user logs in)
-   * 6. After login, Cerner redirects back with ?code & ?state, so useEffect runs again and calls handleOAuthCallback()
-   * 7. handleOAuthCallback() exchanges code for token, then calls fetchPatientData()
-   * 8. fetchPatientData() fetches and displays patient demographics
+   * 2. If ?error in URL: the authorization or token exchange failed server-side
+   * 3. Else if ?iss & ?launch in URL: startLaunch() is called (SMART EHR launch)
+   *    Else with no session: the user picks an issuer and startStandaloneLaunch()
+   *    calls startLaunch() without a launch (SMART standalone launch)
+   * 4. startLaunch() sends the browser to /api/auth/login, which discovers the
+   *    endpoints, builds the auth URL and redirects to Cerner (user logs in)
+   * 5. After login, Cerner redirects to /api/auth/callback, which exchanges the code
+   *    for tokens, stores them in the encrypted session cookie and redirects back here
+   * 6. useEffect runs again and loadSession() reads the launch context from /api/auth/session,
+   *    then calls fetchPatientData()
+   *    (standalone launches without a patient in the token go to the patient picker first)
+   * 7. fetchPatientData() fetches and displays patient demographics through /api/fhir
    */
   useEffect(() => {
     if (!router.isReady) return;
 
-    const params = new URLSearchParams(window.location.search);
-    const code = params.get("code");
-    const state = params.get("state");
+    // Mock mode: point the standalone launch at the local sandbox by default
+    if (isMockMode && !issuerInput) {
+      setIssuerInput(`${window.location.origin}/api/mock/fhir`);
+    }
 
-    // Debug: Log all URL params and sessionStorage
+    const params = new URLSearchParams(window.location.search);
     console.log("--- useEffect RUN ---");
     console.log("URL:", window.location.href);
-    console.log("URL params:", { code, state });
-    console.log("sessionStorage:", {
-      code_verifier: sessionStorage.getItem('code_verifier'),
-      iss: sessionStorage.getItem('iss'),
-      issuer: sessionStorage.getItem('issuer'),
-      launch: sessionStorage.getItem('launch'),
-      state: sessionStorage.getItem('state'),
-      token_endpoint: sessionStorage.getItem('token_endpoint'),
-    });
 
-    // Step 1: Check if this is an OAuth callback (after Cerner login)
-    if (code && state) {
-      console.log("Detected OAuth callback (code & state in URL)");
-      handleOAuthCallback(code, state);
+    // Step 1: Check if the server sent us back an error from the callback
+    const callbackError = params.get("error");
+    if (callbackError) {
+      setError(callbackError);
+      setStep("error");
       return;
     }
 
@@ -62,193 +71,125 @@ export default function Home() {
       setIssuer(currentIssuer);
       setLaunch(currentLaunch);
       setStep("launch");
-      discoverEndpoints(currentIssuer, currentLaunch);
+      startLaunch(currentIssuer, currentLaunch);
     } else {
-      // Check if we have existing patient data (user navigating back from vitals page)
-      const storedPatientData = sessionStorage.getItem('patient_data');
-      const storedIssuer = sessionStorage.getItem('iss');
-      
-      if (storedPatientData && storedIssuer) {
-        console.log("User navigating back with existing patient data");
-        const patient = JSON.parse(storedPatientData);
-        setPatientData(patient);
-        setIssuer(storedIssuer);
-        setStep("success");
-      } else {
-        console.log("Missing required parameters. Triggering error state.");
-        setError("Missing required parameters. Please launch from EHR.");
-        setStep("error");
-      }
+      loadSession();
     }
   }, [router.isReady]);
 
   /**
-   * Step 2: Discover SMART endpoints from the FHIR server's well-known URL.
-   * Calls buildAuthUrl() to continue the flow.
+   * Standalone launch: start the flow for an issuer chosen by the user.
+   * There is no launch token, so the server asks for launch/patient instead.
+   */
+  const startStandaloneLaunch = (e) => {
+    e.preventDefault();
+    const issuerUrl = issuerInput.trim().replace(/\/+$/, "");
+    if (!issuerUrl) return;
+    setIssuer(issuerUrl);
+    setLaunch("");
+    startLaunch(issuerUrl, null);
+  };
+
+  /**
+   * Step 3: Hand the launch over to /api/auth/login, which discovers the SMART
+   * endpoints, keeps the PKCE verifier and state in the session cookie and
+   * redirects the user to Cerner's login/consent page.
    * @param {string} issuerUrl - The FHIR server base URL
+   * @param {string|null} launch - The EHR launch token, or null for a standalone launch
    */
-  const discoverEndpoints = async (issuerUrl, launch) => {
-    try {
-      setStep("discovering");
-      const wellKnownUrl = `${issuerUrl}/.well-known/smart-configuration`;
-      const response = await fetch(wellKnownUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to discover endpoints: ${response.status}`);
-      }
-      const config = await response.json();
-      // Continue to build the authorization URL
-      buildAuthUrl(issuerUrl, config, launch);
-    } catch (error) {
-      setError(`Discovery failed: ${error.message}`);
-      setStep("error");
+  const startLaunch = (issuerUrl, launch) => {
+    // A new launch starts from a clean slate
+    sessionStorage.clear();
+    const loginParams = new URLSearchParams({ iss: issuerUrl });
+    if (launch) {
+      loginParams.set('launch', launch);
     }
+    setStep("redirecting");
+    window.location.href = `/api/auth/login?${loginParams.toString()}`;
   };
 
   /**
-   * Step 3: Build the SMART on FHIR authorization URL and redirect the user to Cerner's login/consent page.
-   * This function is called by discoverEndpoints().
-   * @param {string} issuerUrl - The FHIR server base URL
-   * @param {object} config - The SMART configuration (endpoints)
+   * Step 4: Pick up the session created by /api/auth/callback.
+   * Decides between showing cached demographics, fetching the launch patient,
+   * the standalone patient picker, or the standalone launch form.
    */
-  const buildAuthUrl = async (issuerUrl, config, launch) => {
+  const loadSession = async () => {
     try {
-      setStep("building-auth");
-      const clientId = process.env.NEXT_PUBLIC_CERNER_CLIENT_ID;
-      const redirectUri = process.env.NEXT_PUBLIC_CERNER_REDIRECT_URI;
-      if (!clientId || !redirectUri) {
-        throw new Error("Missing environment variables");
+      setStep("loading-session");
+      const response = await fetch('/api/auth/session');
+      if (!response.ok) {
+        throw new Error(`Failed to load session: ${response.status}`);
+      }
+      const session = await response.json();
+
+      const storedPatientData = sessionStorage.getItem('patient_data');
+      const next = getLaunchStep(session, storedPatientData ? JSON.parse(storedPatientData) : null);
+
+      if (next.step === "standalone") {
+        console.log("No session. Offering standalone launch.");
+        sessionStorage.clear();
+        setStep("standalone");
+        return;
+      }
+
+      setIssuer(session.issuer);
+      setLaunch(session.launch || "");
+      setGrantedScope(session.scope);
+      setDeniedScopes(getDeniedScopes(session.requestedScope, session.scope));
+      sessionStorage.setItem('issuer', session.issuer);
+
+      if (next.step === "success") {
+        // Existing patient data (user navigating back from vitals page)
+        console.log("User navigating back with existing patient data");
+        setPatientData(JSON.parse(storedPatientData));
+        setStep("success");
+      } else if (next.step === "fetch-patient") {
+        console.log('Patient in launch context. Loading patient.');
+        fetchPatientData(next.patientId);
+      } else if (next.step === "select-patient") {
+        console.log('No patient ID in token. Showing patient picker.');
+        setStep("select-patient");
+      } else {
+        setError(next.error);
+        setStep("error");
       }
-      // PKCE: generate code verifier and challenge
-      const codeVerifier = generateRandomString(128);
-      const codeChallenge = await generateCodeChallenge(codeVerifier);
-      const state = generateRandomString(32);
-      // Store values for use after redirect
-      sessionStorage.setItem('code_verifier', codeVerifier);
-      sessionStorage.setItem('state', state);
-      sessionStorage.setItem('issuer', issuerUrl);
-      sessionStorage.setItem('token_endpoint', config.token_endpoint);
-      // Store iss and launch for callback
-      sessionStorage.setItem('iss', issuerUrl);
-      sessionStorage.setItem('launch', launch);
-      // Build the authorization URL
-      const authParams = new URLSearchParams({
-        response_type: 'code',
-        client_id: clientId,
-        redirect_uri: redirectUri,
-        scope: 'openid fhirUser launch offline_access user/Patient.read user/Observation.read user/Observation.write', // practitioner scopes with offline access
-        launch: launch, // include launch parameter for EHR launch
-        state: state,
-        aud: issuerUrl,
-        code_challenge: codeChallenge,
-        code_challenge_method: 'S256'
-      });
-      const authUrl = `${config.authorization_endpoint}?${authParams.toString()}`;
-      setStep("redirecting");
-      // Redirect to Cerner for login/consent
-      window.location.href = authUrl;
     } catch (error) {
-      setError(`Auth URL build failed: ${error.message}`);
+      console.log("Error in loadSession:", error);
+      setError(`Session load failed: ${error.message}`);
       setStep("error");
     }
   };
 
   /**
-   * Step 4: Handle the OAuth callback from Cerner (after user logs in and consents).
-   * Exchanges the authorization code for an access token, then calls fetchPatientData().
-   * @param {string} code - The authorization code from Cerner
-   * @param {string} state - The state parameter for CSRF protection
+   * Standalone launch: record the patient chosen in the picker as the session's
+   * patient context, then fetch it.
+   * @param {object} patient - The selected Patient resource
    */
-  const handleOAuthCallback = async (code, state) => {
+  const selectPatient = async (patient) => {
     try {
-      setStep("exchanging-token");
-      // Debug: Log sessionStorage at callback
-      console.log("--- handleOAuthCallback RUN ---");
-      console.log("code:", code, "state:", state);
-      console.log("sessionStorage at callback:", {
-        code_verifier: sessionStorage.getItem('code_verifier'),
-        iss: sessionStorage.getItem('iss'),
-        issuer: sessionStorage.getItem('issuer'),
-        launch: sessionStorage.getItem('launch'),
-        state: sessionStorage.getItem('state'),
-        token_endpoint: sessionStorage.getItem('token_endpoint'),
-      });
-      const storedState = sessionStorage.getItem('state');
-      const codeVerifier = sessionStorage.getItem('code_verifier');
-      const tokenEndpoint = sessionStorage.getItem('token_endpoint');
-      // Retrieve iss and launch from sessionStorage
-      const issuer = sessionStorage.getItem('iss');
-      const launch = sessionStorage.getItem('launch');
-      setIssuer(issuer);
-      setLaunch(launch);
-      if (state !== storedState) {
-        console.log("State mismatch!", { state, storedState });
-        throw new Error("State mismatch");
-      }
-      // Exchange code for token
-      const tokenResponse = await fetch(tokenEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          grant_type: 'authorization_code',
-          code: code,
-          redirect_uri: process.env.NEXT_PUBLIC_CERNER_REDIRECT_URI,
-          client_id: process.env.NEXT_PUBLIC_CERNER_CLIENT_ID,
-          code_verifier: codeVerifier,
-        }),
+      const response = await fetch('/api/auth/session', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ patient: patient.id }),
       });
-      if (!tokenResponse.ok) {
-        const errorText = await tokenResponse.text();
-        console.log("Token exchange failed:", errorText);
-        throw new Error(`Token exchange failed: ${tokenResponse.status} ${errorText}`);
-      }
-      const tokenData = await tokenResponse.json();
-      console.log("Token exchange success:", tokenData);
-      console.log('Full token response:', JSON.stringify(tokenData, null, 2));
-      // Store access token and refresh token for later use
-      sessionStorage.setItem('access_token', tokenData.access_token);
-      if (tokenData.refresh_token) {
-        sessionStorage.setItem('refresh_token', tokenData.refresh_token);
-        console.log('Refresh token stored for offline access');
-      }
-      // If patient context is present, fetch that specific patient
-      if (tokenData.patient) {
-        console.log('Patient ID found:', tokenData.patient);
-        fetchPatientData(tokenData.access_token, tokenData.patient);
-      } else {
-        console.log('No patient ID in token. Available properties:', Object.keys(tokenData));
-        setError("No patient context found in token. This app must be launched with a patient context.");
-        setStep("error");
+      if (!response.ok) {
+        throw new Error(`Failed to set patient: ${response.status}`);
       }
+      fetchPatientData(patient.id);
     } catch (error) {
-      console.log("Error in handleOAuthCallback:", error);
-      setError(`Token exchange failed: ${error.message}`);
+      setError(`Patient selection failed: ${error.message}`);
       setStep("error");
     }
   };
 
   /**
-   * Step 5: Fetch patient demographics from the FHIR server using the access token.
-   * This is called after a successful token exchange.
-   * @param {string} accessToken - The OAuth access token
+   * Step 5: Fetch patient demographics from the FHIR server through the shared FHIR client.
    * @param {string} patientId - The FHIR Patient resource ID
    */
-  const fetchPatientData = async (accessToken, patientId) => {
+  const fetchPatientData = async (patientId) => {
     try {
       setStep("fetching-patient");
-      const issuer = sessionStorage.getItem('issuer');
-      const patientUrl = `${issuer}/Patient/${patientId}`;
-      const response = await fetch(patientUrl, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/fhir+json',
-        },
-      });
-      if (!response.ok) {
-        throw new Error(`Failed to fetch patient: ${response.status}`);
-      }
-      const patient = await response.json();
+      const patient = await read('Patient', patientId);
       console.log("Patient data:", patient);
       console.log('Full patient resource:', JSON.stringify(patient, null, 2));
       console.log('Patient names:', patient.name);
@@ -265,35 +206,10 @@ export default function Home() {
   };
 
   /**
-   * Helper: Generate a random string for PKCE and state
+   * Helper: Sign out (revoking the tokens) and reload the app
    */
-  const generateRandomString = (length) => {
-    const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
-    let text = '';
-    for (let i = 0; i < length; i++) {
-      text += possible.charAt(Math.floor(Math.random() * possible.length));
-    }
-    return text;
-  };
-
-  /**
-   * Helper: Generate a PKCE code challenge from a code verifier
-   */
-  const generateCodeChallenge = async (codeVerifier) => {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(codeVerifier);
-    const digest = await crypto.subtle.digest('SHA-256', data);
-    return btoa(String.fromCharCode(...new Uint8Array(digest)))
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=/g, '');
-  };
-
-  /**
-   * Helper: Reset the session and reload the app
-   */
-  const resetSession = () => {
-    sessionStorage.clear();
+  const resetSession = async () => {
+    await signOut();
     setStep("waiting");
     setError("");
     setPatientData(null);
@@ -315,8 +231,64 @@ export default function Home() {
     );
   }
 
+  // Standalone launch: let the user choose the FHIR server
+  if (step === "standalone") {
+    return (
+      <div className={styles.container}>
+        <h1>FHIR EHR App</h1>
+        <div className={styles.patientInfo}>
+          <h2>Standalone Launch</h2>
+          <p>Not launched from an EHR. Enter the FHIR server to sign in to.</p>
+          <form onSubmit={startStandaloneLaunch} style={{ display: 'grid', gap: '10px', marginTop: '20px' }}>
+            <label style={{ fontWeight: 'bold' }} htmlFor="issuer">FHIR server (issuer):</label>
+            <input
+              id="issuer"
+              type="url"
+              value={issuerInput}
+              onChange={(e) => setIssuerInput(e.target.value)}
+              placeholder="https://fhir.example.org/r4"
+              required
+              style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+            />
+            <button
+              type="submit"
+              style={{ background: '#2196f3', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              Sign In
+            </button>
+          </form>
+          {isMockMode && (
+            <p style={{ marginTop: '20px', fontSize: '0.9em', color: '#666' }}>
+              Mock mode is on.{' '}
+              <a
+                href={`/?iss=${encodeURIComponent(`${typeof window !== 'undefined' ? window.location.origin : ''}/api/mock/fhir`)}&launch=launch-mock-patient-1`}
+                style={{ color: '#2196f3', textDecoration: 'underline' }}
+              >
+                Simulate an EHR launch
+              </a>
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // Standalone launch without patient context: search for and choose a patient
+  if (step === "select-patient") {
+    return (
+      <div className={styles.container}>
+        <h1>Select Patient</h1>
+        <PatientPicker onSelect={selectPatient} />
+        <button onClick={resetSession} style={{ marginTop: '20px' }}>Start Over</button>
+      </div>
+    );
+  }
+
   // Success state: show patient demographics or login success
   if (step === "success" && patientData) {
+    // Granular v2 grants (Observation.rs?category=vital-signs) cover only the category each page searches
+    const canReadVitals = hasReadScope(grantedScope, 'Observation', { category: 'vital-signs' });
+    const canReadLabs = hasReadScope(grantedScope, 'Observation', { category: 'laboratory' });
     return (
       <div className={styles.container}>
         <h1>Patient Information</h1>
@@ -329,14 +301,47 @@ export default function Home() {
             <div><strong>Birth Date:</strong> {patientData.birthDate}</div>
           </div>
           
-          <button 
+          <button
+            onClick={() => router.push('/summary')}
+            style={{ marginTop: '20px', marginRight: '10px', background: '#4CAF50', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Clinical Summary
+          </button>
+
+          <button
+            onClick={() => router.push('/labs')}
+            disabled={!canReadLabs}
+            title={canReadLabs ? undefined : 'Not available: this app was not granted access to read laboratory Observations'}
+            style={{ marginTop: '20px', marginRight: '10px', background: canReadLabs ? '#673ab7' : '#ccc', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: canReadLabs ? 'pointer' : 'not-allowed' }}
+          >
+            Lab Results
+          </button>
+
+          <button
             onClick={() => router.push('/vitals')}
-            style={{ marginTop: '20px', marginRight: '10px', background: '#2196f3', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: 'pointer' }}
+            disabled={!canReadVitals}
+            title={canReadVitals ? undefined : 'Not available: this app was not granted access to read vital-sign Observations'}
+            style={{ marginTop: '20px', marginRight: '10px', background: canReadVitals ? '#2196f3' : '#ccc', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: canReadVitals ? 'pointer' : 'not-allowed' }}
           >
             View Vitals
           </button>
           
           <button onClick={resetSession} style={{ marginTop: '20px' }}>Start Over</button>
+
+          {deniedScopes.length > 0 && (
+            <div style={{ marginTop: '20px', padding: '10px 15px', background: '#fff8e1', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '0.9em' }}>
+              <strong>Some of the access this app asked for was not granted.</strong> These features are unavailable or limited:
+              <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
+                {deniedScopes.map(denied => (
+                  <li key={denied.scope}>
+                    <code>{denied.scope}</code>
+                    {denied.missing && ` (no ${denied.missing.join(', ')})`}
+                    {denied.purpose && ` — ${denied.purpose}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -350,10 +355,8 @@ export default function Home() {
         <p><strong>Step:</strong> {step}</p>
         {issuer && <p><strong>Issuer:</strong> {issuer}</p>}
         {launch && <p><strong>Launch:</strong> {launch}</p>}
-        {step === "discovering" && <p>Discovering SMART endpoints...</p>}
-        {step === "building-auth" && <p>Building authorization URL...</p>}
         {step === "redirecting" && <p>Redirecting to authorization server...</p>}
-        {step === "exchanging-token" && <p>Exchanging authorization code...</p>}
+        {step === "loading-session" && <p>Loading session...</p>}
         {step === "fetching-patient" && <p>Fetching patient data...</p>}
       </div>
     </div>
@@ -0,0 +1,280 @@
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import styles from "@/styles/Home.module.css";
+import VitalTrendChart from "@/components/VitalTrendChart";
+import InterpretationBadge from "@/components/InterpretationBadge";
+import { getObservationInterpretation } from "@/lib/vitalRanges";
+import { formatVitalValue } from "@/lib/vitals";
+import { hasReadScope } from "@/lib/scopes";
+import {
+  formatReferenceRange,
+  getAnalyteHistory,
+  getAnalyteKey,
+  getAnalyteName,
+  getReferenceBounds,
+  getMissingResultIds,
+  groupReportsByPanel,
+  linkReportResults
+} from "@/lib/labs";
+import { read, searchAll, FhirError, SessionExpiredError } from "@/lib/fhirClient";
+
+export default function Labs() {
+  const router = useRouter();
+  const [patientData, setPatientData] = useState(null);
+  const [panels, setPanels] = useState([]);
+  const [unreported, setUnreported] = useState([]); // Lab results no loaded report refers to
+  const [labObservations, setLabObservations] = useState([]);
+  const [selectedReports, setSelectedReports] = useState({}); // Panel key -> index of the report shown
+  const [selectedAnalyte, setSelectedAnalyte] = useState(null); // Analyte key being trended
+  const [reportsUnavailable, setReportsUnavailable] = useState(""); // Why reports could not be loaded, if they could not
+  const [resultsUnavailable, setResultsUnavailable] = useState(""); // Why laboratory Observations could not be searched, if they could not
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const patientId = sessionStorage.getItem('patient_id');
+    const storedPatientData = sessionStorage.getItem('patient_data');
+
+    if (!patientId) {
+      setError("No patient session found. Please launch from EHR.");
+      setLoading(false);
+      return;
+    }
+
+    if (storedPatientData) {
+      setPatientData(JSON.parse(storedPatientData));
+    }
+
+    fetchLabs(patientId);
+  }, []);
+
+  /**
+   * Load the patient's DiagnosticReports and laboratory Observations, then
+   * match results to reports. Without DiagnosticReport access the results
+   * are still listed, just not grouped by report; without laboratory Observation
+   * access the reports are still shown with the results they bring along.
+   * @param {string} patientId - The FHIR Patient resource ID
+   */
+  const fetchLabs = async (patientId) => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/auth/session');
+      const session = await response.json();
+
+      // Lab reports with their results: results outside the laboratory category are only found this way
+      const reportParams = { patient: patientId, category: 'LAB', _include: 'DiagnosticReport:result', _sort: '-date', _count: 100 };
+      const loadReports = async () => {
+        if (!hasReadScope(session.scope, 'DiagnosticReport', reportParams)) {
+          setReportsUnavailable("This app was not granted access to diagnostic reports, so results are not grouped by report.");
+          return [];
+        }
+        try {
+          return await searchAll('DiagnosticReport', reportParams);
+        } catch (error) {
+          if (error instanceof FhirError && error.status === 403) {
+            setReportsUnavailable("Access to diagnostic reports was denied, so results are not grouped by report.");
+            return [];
+          }
+          throw error;
+        }
+      };
+
+      const resultParams = { patient: patientId, category: 'laboratory', _sort: '-date', _count: 200 };
+      const loadResults = async () => {
+        if (!hasReadScope(session.scope, 'Observation', resultParams)) {
+          setResultsUnavailable("This app was not granted access to laboratory results, so only results that come with a report are shown.");
+          return [];
+        }
+        try {
+          return await searchAll('Observation', resultParams);
+        } catch (error) {
+          if (error instanceof FhirError && error.status === 403) {
+            setResultsUnavailable("Access to laboratory results was denied, so only results that come with a report are shown.");
+            return [];
+          }
+          throw error;
+        }
+      };
+
+      const [reportsAndResults, observations] = await Promise.all([loadReports(), loadResults()]);
+      const reports = reportsAndResults.filter(resource => resource.resourceType === 'DiagnosticReport');
+      const reportResults = reportsAndResults.filter(resource => resource.resourceType === 'Observation');
+      // A server that ignores _include leaves some results to be read one by one
+      const missing = getMissingResultIds(reports, [...observations, ...reportResults]);
+      const readResults = await Promise.all(missing.map(id => read('Observation', id).catch(error => {
+        if (error instanceof SessionExpiredError) throw error;
+        console.log("Could not read a report result:", error.message);
+        return null;
+      })));
+      reportResults.push(...readResults.filter(Boolean));
+
+      const linked = linkReportResults(reports, observations, reportResults);
+      setPanels(groupReportsByPanel(linked.reports));
+      setUnreported(linked.unreported);
+      // Trends cover every loaded result, including report results outside the laboratory category
+      setLabObservations([...observations, ...reportResults.filter(result => !observations.some(o => o.id === result.id))]);
+      setLoading(false);
+    } catch (error) {
+      console.error("Labs fetch failed:", error);
+      setError(error instanceof SessionExpiredError ? error.message : `Labs fetch failed: ${error.message}`);
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Unknown date';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const toggleAnalyte = (observation) => {
+    const key = getAnalyteKey(observation);
+    setSelectedAnalyte(selectedAnalyte === key ? null : key);
+  };
+
+  const goBack = () => {
+    router.push('/');
+  };
+
+  // Result rows with value, reference range and flag; clicking a name trends that analyte
+  const renderResults = (results, showDates = false) => (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+      <thead>
+        <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+          <th style={{ padding: '6px' }}>Test</th>
+          <th style={{ padding: '6px' }}>Result</th>
+          <th style={{ padding: '6px' }}>Reference range</th>
+          {showDates && <th style={{ padding: '6px' }}>Collected</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {results.map(observation => {
+          const key = getAnalyteKey(observation);
+          return (
+            <tr key={observation.id} style={{ borderBottom: '1px solid #eee', background: selectedAnalyte === key ? '#e3f2fd' : 'transparent' }}>
+              <td style={{ padding: '6px' }}>
+                <button
+                  onClick={() => toggleAnalyte(observation)}
+                  title="Show the trend for this test"
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#2196f3', cursor: 'pointer', textAlign: 'left' }}
+                >
+                  {getAnalyteName(observation)}
+                </button>
+              </td>
+              <td style={{ padding: '6px' }}>
+                {formatVitalValue(observation)}
+                <InterpretationBadge interpretation={getObservationInterpretation(observation)} />
+              </td>
+              <td style={{ padding: '6px', color: '#666' }}>{formatReferenceRange(observation)}</td>
+              {showDates && <td style={{ padding: '6px', color: '#666' }}>{formatDate(observation.effectiveDateTime || observation.issued)}</td>}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+
+  if (loading) {
+    return (
+      <div className={styles.container}>
+        <h1>Loading Lab Results...</h1>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className={styles.container}>
+        <h1>Error</h1>
+        <div className={styles.error}>
+          <p>{error}</p>
+          <button onClick={goBack}>Go Back</button>
+        </div>
+      </div>
+    );
+  }
+
+  const analyteHistory = selectedAnalyte ? getAnalyteHistory(labObservations, selectedAnalyte) : [];
+  const latestOfAnalyte = analyteHistory[analyteHistory.length - 1];
+
+  return (
+    <div className={styles.container}>
+      <h1>Lab Results</h1>
+
+      {patientData && (
+        <div className={styles.patientInfo} style={{ marginBottom: '20px' }}>
+          <h2>Patient: {patientData.name?.[0]?.given?.join(' ')} {patientData.name?.[0]?.family}</h2>
+        </div>
+      )}
+
+      {[reportsUnavailable, resultsUnavailable].filter(Boolean).map(note => (
+        <p key={note} style={{ color: '#666', fontStyle: 'italic' }}>{note}</p>
+      ))}
+
+      {/* Trend of the selected analyte */}
+      {latestOfAnalyte && (
+        <div className={styles.patientInfo} style={{ marginBottom: '20px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h2>{getAnalyteName(latestOfAnalyte)}</h2>
+            <button onClick={() => setSelectedAnalyte(null)}>Close</button>
+          </div>
+          <VitalTrendChart vitals={analyteHistory} referenceRange={getReferenceBounds(latestOfAnalyte)} />
+        </div>
+      )}
+
+      {panels.length === 0 && unreported.length === 0 ? (
+        <div className={styles.patientInfo}>
+          <h2>No Lab Results Found</h2>
+          <p>
+            {reportsUnavailable && resultsUnavailable
+              ? 'Lab results could not be loaded with the access this app was granted.'
+              : 'No laboratory results found for this patient.'}
+          </p>
+        </div>
+      ) : (
+        <>
+          {panels.map(panel => {
+            const reportIndex = selectedReports[panel.key] || 0;
+            const { report, results } = panel.reports[reportIndex];
+            return (
+              <div key={panel.key} className={styles.patientInfo} style={{ marginBottom: '20px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                  <h2>{panel.label}</h2>
+                  {panel.reports.length > 1 && (
+                    <select
+                      value={reportIndex}
+                      onChange={(e) => setSelectedReports({ ...selectedReports, [panel.key]: Number(e.target.value) })}
+                      title="Earlier reports of this panel"
+                      style={{ padding: '6px', border: '1px solid #ddd', borderRadius: '4px' }}
+                    >
+                      {panel.reports.map((linked, index) => (
+                        <option key={linked.report.id} value={index}>
+                          {formatDate(linked.report.effectiveDateTime || linked.report.issued)}{index === 0 ? ' (latest)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <div style={{ fontSize: '0.9em', color: '#666', marginBottom: '10px' }}>
+                  Collected {formatDate(report.effectiveDateTime || report.effectivePeriod?.start)} · Status: {report.status}
+                  {report.conclusion && <div>Conclusion: {report.conclusion}</div>}
+                </div>
+                {results.length > 0 ? renderResults(results) : (
+                  <p style={{ color: '#666' }}>No results for this report were found.</p>
+                )}
+              </div>
+            );
+          })}
+
+          {unreported.length > 0 && (
+            <div className={styles.patientInfo} style={{ marginBottom: '20px' }}>
+              <h2>{panels.length > 0 ? 'Other Results' : 'Results'}</h2>
+              {renderResults(unreported, true)}
+            </div>
+          )}
+        </>
+      )}
+
+      <button onClick={goBack} style={{ marginTop: '20px' }}>Back to Demographics</button>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import { useState } from "react";
+import styles from "@/styles/Home.module.css";
+import { isMockMode } from "@/lib/mock/config";
+import { getStore, resolveLaunch } from "@/lib/mock/store";
+
+/**
+ * Mock authorization server login/consent page (mock mode only).
+ * Stands in for the EHR's authorize endpoint: shows what the app asked for,
+ * lets the user pick a patient on a standalone launch and untick scopes to grant
+ * less than was asked for, and approves or denies.
+ */
+export default function MockAuthorize({ request, patients, launchPatient }) {
+  const [patient, setPatient] = useState(launchPatient || patients[0]?.id || "");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const scopes = (request.scope || "").split(/\s+/).filter(Boolean);
+  const [grantedScopes, setGrantedScopes] = useState(scopes);
+  const needsPatientChoice = !request.launch && scopes.includes("launch/patient");
+
+  const respond = async (approved) => {
+    try {
+      setSubmitting(true);
+      const response = await fetch('/api/mock/auth/approve', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...request, scope: grantedScopes.join(" "), patient: needsPatientChoice ? patient : undefined, approved }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Approval failed: ${response.status}`);
+      }
+      window.location.href = result.redirect;
+    } catch (error) {
+      setError(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <h1>Mock EHR Sign-In</h1>
+      <div className={styles.patientInfo}>
+        <h2>Authorize {request.client_id}</h2>
+        <p>Signed in as <strong>Dr. Jordan Blake</strong> (mock practitioner).</p>
+        <div className={styles.info}>
+          <div>
+            <strong>Requested access</strong> (untick to deny):
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '4px', marginTop: '5px' }}>
+              {scopes.map(scope => (
+                <label key={scope} style={{ fontFamily: 'monospace', fontSize: '0.9em' }}>
+                  <input
+                    type="checkbox"
+                    checked={grantedScopes.includes(scope)}
+                    onChange={(e) => setGrantedScopes(e.target.checked
+                      ? scopes.filter(s => s === scope || grantedScopes.includes(s))
+                      : grantedScopes.filter(s => s !== scope))}
+                    style={{ marginRight: '5px' }}
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+          </div>
+          {request.launch && (
+            <div><strong>Launch patient:</strong> {launchPatient || 'Unknown launch token'}</div>
+          )}
+          {needsPatientChoice && (
+            <div>
+              <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }} htmlFor="mock-patient">Patient:</label>
+              <select
+                id="mock-patient"
+                value={patient}
+                onChange={(e) => setPatient(e.target.value)}
+                style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+              >
+                {patients.map(p => (
+                  <option key={p.id} value={p.id}>{p.name} ({p.birthDate})</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+        {error && <p style={{ color: '#f44336', marginTop: '15px' }}>{error}</p>}
+        <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+          <button
+            onClick={() => respond(true)}
+            disabled={submitting}
+            style={{ background: '#4CAF50', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Approve
+          </button>
+          <button
+            onClick={() => respond(false)}
+            disabled={submitting}
+            style={{ background: '#666', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Deny
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export async function getServerSideProps({ query }) {
+  if (!isMockMode()) {
+    return { notFound: true };
+  }
+  const keys = ["response_type", "client_id", "redirect_uri", "scope", "state", "nonce", "aud", "launch", "code_challenge", "code_challenge_method"];
+  const request = Object.fromEntries(keys.map(key => [key, typeof query[key] === "string" ? query[key] : null]));
+  const patients = Object.values(getStore().resources.Patient).map(p => ({
+    id: p.id,
+    name: `${p.name?.[0]?.given?.join(' ')} ${p.name?.[0]?.family}`,
+    birthDate: p.birthDate,
+  }));
+  return {
+    props: {
+      request,
+      patients,
+      launchPatient: request.launch ? resolveLaunch(request.launch)?.patient || null : null,
+    },
+  };
+}
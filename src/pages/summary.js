@@ -0,0 +1,211 @@
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import styles from "@/styles/Home.module.css";
+import SummarySection from "@/components/SummarySection";
+import InterpretationBadge from "@/components/InterpretationBadge";
+import { getObservationInterpretation } from "@/lib/vitalRanges";
+import { getUnitSystem } from "@/lib/units";
+import { formatVitalValue } from "@/lib/vitals";
+import { hasReadScope } from "@/lib/scopes";
+import { describeAllergy, describeCondition, describeMedication, getLatestVitals } from "@/lib/summary";
+import { search, FhirError, SessionExpiredError } from "@/lib/fhirClient";
+
+// Each list on the dashboard: the resource it reads and the search that fetches it
+const SECTIONS = {
+  conditions: { resourceType: 'Condition', label: 'problems', params: { category: 'problem-list-item', 'clinical-status': 'active' } },
+  allergies: { resourceType: 'AllergyIntolerance', label: 'allergies', params: { 'clinical-status': 'active' } },
+  medications: { resourceType: 'MedicationRequest', label: 'medications', params: { status: 'active' } },
+  vitals: { resourceType: 'Observation', label: 'vitals', params: { category: 'vital-signs', _sort: '-date', _count: 100 } },
+};
+
+const LOADING = { status: 'loading', items: [], message: '' };
+
+export default function Summary() {
+  const router = useRouter();
+  const [patientData, setPatientData] = useState(null);
+  const [sections, setSections] = useState({ conditions: LOADING, allergies: LOADING, medications: LOADING, vitals: LOADING });
+  const [unitSystem, setUnitSystemState] = useState('metric');
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const patientId = sessionStorage.getItem('patient_id');
+    const storedPatientData = sessionStorage.getItem('patient_data');
+
+    if (!patientId) {
+      setError("No patient session found. Please launch from EHR.");
+      return;
+    }
+
+    if (storedPatientData) {
+      setPatientData(JSON.parse(storedPatientData));
+    }
+    setUnitSystemState(getUnitSystem());
+
+    loadSummary(patientId);
+  }, []);
+
+  const setSection = (key, section) => {
+    setSections(current => ({ ...current, [key]: section }));
+  };
+
+  /**
+   * Load every list in parallel. A list whose read scope was not granted, or
+   * that the server refuses with 403, is shown as unavailable instead of failing the page.
+   * @param {string} patientId - The FHIR Patient resource ID
+   */
+  const loadSummary = async (patientId) => {
+    let grantedScope = null;
+    try {
+      const response = await fetch('/api/auth/session');
+      const session = await response.json();
+      if (!session.authenticated) {
+        setError("Your session has expired. Please launch the app again.");
+        return;
+      }
+      grantedScope = session.scope;
+    } catch (error) {
+      console.log("Could not read granted scopes:", error);
+    }
+
+    await Promise.all(Object.entries(SECTIONS).map(async ([key, config]) => {
+      const denied = { status: 'denied', items: [], message: `Not available: this app was not granted access to ${config.label}.` };
+      // A granular v2 grant (?category=...) covers the section when its search asks for the same values
+      if (!hasReadScope(grantedScope, config.resourceType, config.params)) {
+        setSection(key, denied);
+        return;
+      }
+      try {
+        const bundle = await search(config.resourceType, { patient: patientId, ...config.params });
+        const items = (bundle?.entry || [])
+          .map(entry => entry.resource)
+          .filter(resource => resource?.resourceType === config.resourceType);
+        setSection(key, { status: 'ready', items, message: '' });
+      } catch (error) {
+        console.error(`Loading ${config.label} failed:`, error);
+        if (error instanceof SessionExpiredError) {
+          setError(error.message);
+        } else if (error instanceof FhirError && error.status === 403) {
+          setSection(key, denied);
+        } else {
+          setSection(key, { status: 'error', items: [], message: `Could not load ${config.label}: ${error.message}` });
+        }
+      }
+    }));
+  };
+
+  const goBack = () => {
+    router.push('/');
+  };
+
+  if (error) {
+    return (
+      <div className={styles.container}>
+        <h1>Error</h1>
+        <div className={styles.error}>
+          <p>{error}</p>
+          <button onClick={goBack}>Go Back</button>
+        </div>
+      </div>
+    );
+  }
+
+  const latestVitals = sections.vitals.status === 'ready'
+    ? { ...sections.vitals, items: getLatestVitals(sections.vitals.items) }
+    : sections.vitals;
+
+  return (
+    <div className={styles.container}>
+      <h1>Clinical Summary</h1>
+
+      {patientData && (
+        <div className={styles.patientInfo} style={{ marginBottom: '20px' }}>
+          <h2>Patient: {patientData.name?.[0]?.given?.join(' ')} {patientData.name?.[0]?.family}</h2>
+          <div style={{ color: '#666' }}>
+            {patientData.gender} · Born {patientData.birthDate}
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '20px' }}>
+        <SummarySection
+          title="Active Problems"
+          section={sections.conditions}
+          emptyText="No active problems recorded."
+          renderItem={(condition) => {
+            const { title, detail } = describeCondition(condition);
+            return (
+              <>
+                <div><strong>{title}</strong></div>
+                {detail && <div style={{ fontSize: '0.9em', color: '#666' }}>{detail}</div>}
+              </>
+            );
+          }}
+        />
+
+        <SummarySection
+          title="Allergies"
+          section={sections.allergies}
+          emptyText="No known allergies recorded."
+          renderItem={(allergy) => {
+            const { title, detail, highRisk } = describeAllergy(allergy);
+            return (
+              <>
+                <div>
+                  <strong>{title}</strong>
+                  {highRisk && (
+                    <span style={{ marginLeft: '8px', padding: '1px 6px', borderRadius: '10px', fontSize: '0.75em', background: '#d32f2f', color: 'white' }}>
+                      High risk
+                    </span>
+                  )}
+                </div>
+                {detail && <div style={{ fontSize: '0.9em', color: '#666' }}>{detail}</div>}
+              </>
+            );
+          }}
+        />
+
+        <SummarySection
+          title="Active Medications"
+          section={sections.medications}
+          emptyText="No active medication orders."
+          renderItem={(request) => {
+            const { title, detail } = describeMedication(request);
+            return (
+              <>
+                <div><strong>{title}</strong></div>
+                {detail && <div style={{ fontSize: '0.9em', color: '#666' }}>{detail}</div>}
+              </>
+            );
+          }}
+        />
+
+        <SummarySection
+          title="Latest Vitals"
+          section={latestVitals}
+          emptyText="No vital signs recorded."
+          renderItem={({ name, observation }) => (
+            <>
+              <div>
+                <strong>{name}:</strong> {formatVitalValue(observation, unitSystem)}
+                <InterpretationBadge interpretation={getObservationInterpretation(observation)} />
+              </div>
+              <div style={{ fontSize: '0.9em', color: '#666' }}>
+                {new Date(observation.effectiveDateTime || observation.issued).toLocaleString()}
+              </div>
+            </>
+          )}
+        />
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+        <button
+          onClick={() => router.push('/vitals')}
+          style={{ background: '#2196f3', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          View Vitals
+        </button>
+        <button onClick={goBack}>Back to Demographics</button>
+      </div>
+    </div>
+  );
+}
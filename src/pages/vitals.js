@@ -1,36 +1,86 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useRouter } from "next/router";
 import styles from "@/styles/Home.module.css";
+import VitalTrendChart from "@/components/VitalTrendChart";
+import VitalFlowsheet from "@/components/VitalFlowsheet";
+import InterpretationBadge from "@/components/InterpretationBadge";
+import { checkPlausibility, getObservationInterpretation } from "@/lib/vitalRanges";
+import { convertEnteredValue, getUnitLabel, getUnitSystem, setUnitSystem } from "@/lib/units";
+import { VITAL_TYPES, findVitalMeasure, getDefaultUnit, getVitalType, isAllowedUnit, toCodeToken } from "@/lib/vitalTypes";
+import { amendObservation, buildVitalObservation, checkVitalObservation, formatVitalValue, getCategoryName, getVersionTag, getVitalFormField, groupVitalsByCategory, isAmended, isRetracted, isTrendable, mergeObservationPage, replaceObservation } from "@/lib/vitals";
+import { getReferenceLabel, parseReference, toRelativeReference } from "@/lib/references";
+import { hasScope } from "@/lib/scopes";
+import { buildVitalsReportHtml, getExportFileName, selectExportVitals, vitalsToBundle, vitalsToCsv } from "@/lib/exportVitals";
+import { buildBmiObservation, calculateBmi, findRecentHeight } from "@/lib/bmi";
+import { VITAL_SET, buildTransaction, getTransactionFailure, getTransactionResults, isVitalSetEntryBlank, isVitalSetEntryComplete, newEntryUrl } from "@/lib/vitalSet";
+import { FLOWSHEET_INTERVALS, getFlowsheetInterval, setFlowsheetInterval } from "@/lib/flowsheet";
+import { DATE_RANGES, DEFAULT_FILTERS, STATUS_OPTIONS, buildVitalSearchParams, describeVitalFilters, hasActiveFilters, parseVitalFilters, validateVitalFilters, vitalFiltersToQuery } from "@/lib/vitalFilters";
+import { search, nextPage, getNextLink, create, read, update, transaction, FhirError, NetworkError, SessionExpiredError } from "@/lib/fhirClient";
+import { STATUS_MESSAGES, getFieldErrors } from "@/lib/operationOutcome";
 
 export default function Vitals() {
   const router = useRouter();
-  const [vitalsData, setVitalsData] = useState(null);
-  const [selectedCategory, setSelectedCategory] = useState(null);
-  const [categoryVitals, setCategoryVitals] = useState([]);
+  const [observations, setObservations] = useState([]);
+  const [totalVitals, setTotalVitals] = useState(null); // Bundle.total, when the server reports it
+  const [hasMorePages, setHasMorePages] = useState(false);
+  const [backgroundLoading, setBackgroundLoading] = useState(false);
+  const [selectedCategoryName, setSelectedCategoryName] = useState(null);
   const [currentPage, setCurrentPage] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [loadingPage, setLoadingPage] = useState(false);
   const [error, setError] = useState("");
   const [patientData, setPatientData] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
   const [newVital, setNewVital] = useState({
-    category: '',
+    category: '', // Vital type key from the registry
     value: '',
-    unit: '',
+    unit: '', // UCUM code
+    components: {}, // Per-component values for panel vitals such as blood pressure
     date: new Date().toLocaleString('sv-SE').slice(0, 16) // Default to current local date/time
   });
+  const [unitSystem, setUnitSystemState] = useState('metric'); // Display/entry preference: metric or imperial
   const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(""); // Validation problems shown inside the entry form
+  const [fieldErrors, setFieldErrors] = useState({}); // Server objections to the entry, by form field (see getVitalFormField)
+  const [showVitalSetForm, setShowVitalSetForm] = useState(false);
+  const [vitalSet, setVitalSet] = useState({ date: '', entries: {} }); // Shared local date/time, and value/components/unit per vital type key
+  const [vitalSetError, setVitalSetError] = useState("");
+  const [submittingVitalSet, setSubmittingVitalSet] = useState(false);
+  const [vitalSetResults, setVitalSetResults] = useState(null); // Per-vital outcome of the last submitted set
+  const [recordBmi, setRecordBmi] = useState(true); // Also record the BMI derived from a new weight
+  const [storedHeight, setStoredHeight] = useState({ status: 'idle', observation: null }); // Latest height on the server, for BMI when none is loaded
   const [showDebugButtons, setShowDebugButtons] = useState(false); // Toggle for debug buttons
+  const [editingVital, setEditingVital] = useState(null); // { id, value, components, date } of the row being corrected
+  const [editError, setEditError] = useState("");
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [trendIncludesCorrections, setTrendIncludesCorrections] = useState(false); // Plot entered-in-error and cancelled values too
+  const [launchContext, setLaunchContext] = useState(null); // Session info: launch encounter, signed-in user (fhirUser) and granted scope
+  const [referenceLabels, setReferenceLabels] = useState({}); // Performer/encounter reference -> display label
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [activeFilters, setActiveFilters] = useState(DEFAULT_FILTERS); // Filters of the current search, mirrored in the URL
+  const [filterDraft, setFilterDraft] = useState(DEFAULT_FILTERS); // Filter bar edits not applied yet
+  const [filterError, setFilterError] = useState("");
+  const [viewMode, setViewMode] = useState('categories'); // 'categories' (one category at a time) or 'flowsheet' (every vital over time)
+  const [flowsheetInterval, setFlowsheetIntervalState] = useState('1h'); // Interval key the flowsheet columns are bucketed by
 
   const VITALS_PER_PAGE = 5;
+  const SERVER_PAGE_SIZE = 100;
+
+  // Paging state shared by the background loader and on-demand loads
+  const observationsRef = useRef([]);
+  const lastBundleRef = useRef(null);
+  const pageRequestRef = useRef(null);
+  const stopRequestedRef = useRef(false);
+  const loadGenerationRef = useRef(0);
+  const requestedReferencesRef = useRef(new Set());
 
   useEffect(() => {
-    // Get stored data
-    const accessToken = sessionStorage.getItem('access_token');
+    // Get stored data (tokens stay in the server-side session)
     const patientId = sessionStorage.getItem('patient_id');
-    const issuer = sessionStorage.getItem('issuer');
     const storedPatientData = sessionStorage.getItem('patient_data');
 
-    if (!accessToken || !patientId || !issuer) {
+    if (!patientId) {
       setError("No patient session found. Please launch from EHR.");
       setLoading(false);
       return;
@@ -40,10 +90,67 @@ export default function Vitals() {
       setPatientData(JSON.parse(storedPatientData));
     }
 
-    // Fetch all vitals
-    fetchAllVitals(accessToken, patientId, issuer);
+    setUnitSystemState(getUnitSystem());
+    setFlowsheetIntervalState(getFlowsheetInterval());
+
+    loadLaunchContext();
   }, []);
 
+  // Search again whenever the filters in the URL change: on load, when filters are applied, and on back/forward
+  const filterQueryKey = router.isReady ? JSON.stringify(vitalFiltersToQuery(parseVitalFilters(router.query))) : null;
+  useEffect(() => {
+    if (filterQueryKey === null) return;
+    const patientId = sessionStorage.getItem('patient_id');
+    if (!patientId) return;
+
+    const filters = parseVitalFilters(router.query);
+    setActiveFilters(filters);
+    setFilterDraft(filters);
+    setFilterError("");
+    setCurrentPage(0);
+    fetchAllVitals(patientId, filters);
+  }, [filterQueryKey]);
+
+  // Name the practitioners and encounters the loaded vitals refer to, reading each one once
+  useEffect(() => {
+    const pending = new Set();
+    observations.forEach(observation => {
+      [observation.performer?.[0], observation.encounter].forEach(ref => {
+        if (ref?.reference && !ref.display && !requestedReferencesRef.current.has(ref.reference)) {
+          pending.add(ref.reference);
+        }
+      });
+    });
+    pending.forEach(async (reference) => {
+      requestedReferencesRef.current.add(reference);
+      const target = parseReference(reference);
+      let label = reference;
+      if (target) {
+        try {
+          label = getReferenceLabel(await read(target.resourceType, target.id));
+        } catch (error) {
+          console.log("Could not resolve a performer or encounter:", error.message);
+        }
+      }
+      setReferenceLabels(labels => ({ ...labels, [reference]: label }));
+    });
+  }, [observations]);
+
+  /**
+   * Read the launch encounter, the signed-in user and the granted scope from the session.
+   * New vitals reference the encounter and user; without them the vital is still saved, just without that context.
+   */
+  const loadLaunchContext = async () => {
+    try {
+      const response = await fetch('/api/auth/session');
+      if (response.ok) {
+        setLaunchContext(await response.json());
+      }
+    } catch (error) {
+      console.log("Could not load launch context:", error);
+    }
+  };
+
   // Helper function to log vital structure for debugging
   const logVitalStructure = (observation) => {
     console.log("=== VITAL STRUCTURE DEBUG ===");
@@ -59,78 +166,239 @@ export default function Vitals() {
     console.log("=== END DEBUG ===");
   };
 
-  const fetchAllVitals = async (accessToken, patientId, issuer) => {
+  /**
+   * Load the first page of vital-sign Observations, then keep following
+   * link[relation=next] in the background until every page is loaded or the
+   * user stops it. The filters are part of the search, so the server only returns matching vitals.
+   * @param {string} patientId - The FHIR Patient resource ID
+   * @param {object} filters - Filters from the URL (see lib/vitalFilters)
+   */
+  const fetchAllVitals = async (patientId, filters = activeFilters) => {
+    const generation = ++loadGenerationRef.current;
     try {
       setLoading(true);
-      const vitalsUrl = `${issuer}/Observation?patient=${patientId}&category=vital-signs&_count=100&_sort=-date`;
-      const response = await fetch(vitalsUrl, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/fhir+json',
-        },
+      stopRequestedRef.current = false;
+      const bundle = await search('Observation', {
+        patient: patientId,
+        category: 'vital-signs',
+        _count: SERVER_PAGE_SIZE,
+        _sort: '-date',
+        ...buildVitalSearchParams(filters),
       });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch vitals: ${response.status}`);
-      }
-      
-      const bundle = await response.json();
+      // A newer fetchAllVitals() started (e.g. the filters changed) while this search was in flight
+      if (generation !== loadGenerationRef.current) return;
       console.log("All vitals data:", bundle);
-      setVitalsData(bundle);
+      observationsRef.current = [];
+      lastBundleRef.current = null;
+      pageRequestRef.current = null;
+      setLoadingPage(false);
+      appendPage(bundle);
+      setTotalVitals(typeof bundle.total === 'number' ? bundle.total : null);
       setLoading(false);
+      loadRemainingPages(generation);
     } catch (error) {
       console.error("Vitals fetch failed:", error);
-      setError(`Vitals fetch failed: ${error.message}`);
+      if (generation !== loadGenerationRef.current) return;
+      if (error instanceof SessionExpiredError) {
+        setError(error.message);
+      } else if (error instanceof FhirError && error.status === 403) {
+        setError("Vitals are not available: this app was not granted access to read Observations.");
+      } else {
+        setError(`Vitals fetch failed: ${error.message}`);
+      }
       setLoading(false);
     }
   };
 
-  // Group vitals by category
-  const getVitalCategories = () => {
-    if (!vitalsData?.entry) return [];
-    
-    const categories = {};
-    vitalsData.entry.forEach(entry => {
-      const observation = entry.resource;
-      const code = observation.code?.coding?.[0];
-      const category = code?.display || code?.code || 'Unknown';
-      
-      if (!categories[category]) {
-        categories[category] = [];
+  // Add a Bundle's Observations to what is loaded so far, skipping any already seen on an earlier page
+  const appendPage = (bundle) => {
+    const { observations: merged, added } = mergeObservationPage(observationsRef.current, bundle);
+    observationsRef.current = merged;
+    lastBundleRef.current = bundle;
+    setObservations(observationsRef.current);
+    setHasMorePages(!!getNextLink(bundle));
+    return added;
+  };
+
+  // Fetch the next server page; concurrent callers share the in-flight request
+  const loadNextServerPage = () => {
+    if (!pageRequestRef.current) {
+      const generation = loadGenerationRef.current;
+      const request = (async () => {
+        setLoadingPage(true);
+        try {
+          const bundle = await nextPage(lastBundleRef.current);
+          // A newer fetchAllVitals() started while this page was in flight
+          if (!bundle || generation !== loadGenerationRef.current) return [];
+          return appendPage(bundle);
+        } finally {
+          // A stale request leaves the in-flight marker and spinner of a newer load alone
+          if (generation === loadGenerationRef.current && pageRequestRef.current === request) {
+            pageRequestRef.current = null;
+            setLoadingPage(false);
+          }
+        }
+      })();
+      pageRequestRef.current = request;
+    }
+    return pageRequestRef.current;
+  };
+
+  const loadRemainingPages = async (generation) => {
+    setBackgroundLoading(true);
+    try {
+      while (
+        generation === loadGenerationRef.current &&
+        !stopRequestedRef.current &&
+        getNextLink(lastBundleRef.current)
+      ) {
+        await loadNextServerPage();
       }
-      categories[category].push(observation);
-    });
-    
-    return Object.entries(categories).map(([name, vitals]) => ({
-      name,
-      count: vitals.length,
-      vitals: vitals.sort((a, b) => new Date(b.effectiveDateTime || b.issued) - new Date(a.effectiveDateTime || a.issued))
-    }));
+    } catch (error) {
+      console.error("Loading further vitals pages failed:", error);
+      if (generation === loadGenerationRef.current) {
+        setError(error instanceof SessionExpiredError ? error.message : `Vitals fetch failed: ${error.message}`);
+      }
+    } finally {
+      if (generation === loadGenerationRef.current) {
+        setBackgroundLoading(false);
+      }
+    }
+  };
+
+  const stopLoadingPages = () => {
+    stopRequestedRef.current = true;
+  };
+
+  const resumeLoadingPages = () => {
+    stopRequestedRef.current = false;
+    loadRemainingPages(loadGenerationRef.current);
   };
 
+  /**
+   * Apply the filter bar: the filters go into the URL (so the view can be reloaded
+   * and shared), which triggers a new search.
+   * @param {object} filters - The filters to apply
+   */
+  const applyFilters = (filters) => {
+    const problem = validateVitalFilters(filters);
+    if (problem) {
+      setFilterError(problem);
+      return;
+    }
+    setFilterError("");
+    router.push({ pathname: router.pathname, query: vitalFiltersToQuery(filters) }, undefined, { shallow: true });
+  };
+
+  const changeFilterRange = (range) => {
+    // "This encounter" always means the encounter of the current launch
+    setFilterDraft({ ...filterDraft, range, encounter: range === 'encounter' ? launchContext?.encounter || '' : '' });
+  };
+
+  const toggleFilterValue = (field, value) => {
+    const values = filterDraft[field].includes(value)
+      ? filterDraft[field].filter(v => v !== value)
+      : [...filterDraft[field], value];
+    setFilterDraft({ ...filterDraft, [field]: values });
+  };
+
+  // Offer a generated file to the browser as a download
+  const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Export the vitals matching the active filters (the search filters and the selected category) as
+   * CSV, a printable report (saved as PDF from the print dialog) or a FHIR
+   * collection Bundle. Any pages not loaded yet are loaded first so the export is complete.
+   * @param {string} format - "csv", "pdf" or "bundle"
+   */
+  const exportVitals = async (format) => {
+    setShowExportMenu(false);
+    // Open the report window while still handling the click, so popup blockers allow it
+    const reportWindow = format === 'pdf' ? window.open('', '_blank') : null;
+    if (format === 'pdf' && !reportWindow) {
+      window.alert("The report window was blocked. Allow popups for this site to print the report.");
+      return;
+    }
+    try {
+      setExporting(true);
+      while (getNextLink(lastBundleRef.current)) {
+        await loadNextServerPage();
+      }
+      // The flowsheet shows every category, so it exports them all
+      const filters = { category: viewMode === 'flowsheet' ? null : selectedCategoryName, search: describeVitalFilters(activeFilters) };
+      const vitals = selectExportVitals(observationsRef.current, filters);
+      console.log(`Exporting ${vitals.length} vitals as ${format}`);
+
+      if (format === 'csv') {
+        downloadFile(getExportFileName(patientData, filters, 'csv'), vitalsToCsv(vitals), 'text/csv;charset=utf-8');
+      } else if (format === 'bundle') {
+        const bundle = vitalsToBundle(vitals, patientData, launchContext?.issuer);
+        downloadFile(getExportFileName(patientData, filters, 'json'), JSON.stringify(bundle, null, 2), 'application/fhir+json');
+      } else {
+        reportWindow.document.open();
+        reportWindow.document.write(buildVitalsReportHtml({ patient: patientData, observations: vitals, filters, unitSystem }));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+      }
+    } catch (error) {
+      console.error("Export failed:", error);
+      reportWindow?.close();
+      if (error instanceof SessionExpiredError) {
+        setError(error.message);
+      } else {
+        window.alert(`Export failed: ${error.message}`);
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Group vitals by category
+  const getVitalCategories = () => groupVitalsByCategory(observations);
+
   const selectCategory = (category) => {
-    setSelectedCategory(category);
+    setSelectedCategoryName(category.name);
     setCurrentPage(0);
-    setCategoryVitals(category.vitals.slice(0, VITALS_PER_PAGE));
   };
 
-  const loadMoreVitals = () => {
+  /**
+   * Show the next 5 rows of the selected category, pulling further server
+   * pages first if not enough of this category has been loaded yet.
+   */
+  const loadMoreVitals = async () => {
     if (!selectedCategory) return;
     
-    const nextPage = currentPage + 1;
-    const startIndex = nextPage * VITALS_PER_PAGE;
-    const endIndex = startIndex + VITALS_PER_PAGE;
-    const newVitals = selectedCategory.vitals.slice(startIndex, endIndex);
-    
-    if (newVitals.length > 0) {
-      setCategoryVitals(newVitals); // Replace instead of add
-      setCurrentPage(nextPage);
+    const nextPageIndex = currentPage + 1;
+    const needed = (nextPageIndex + 1) * VITALS_PER_PAGE;
+    const loadedInCategory = () => observationsRef.current.filter(obs => getCategoryName(obs) === selectedCategory.name).length;
+    try {
+      while (getNextLink(lastBundleRef.current) && loadedInCategory() < needed) {
+        await loadNextServerPage();
+      }
+    } catch (error) {
+      console.error("Loading further vitals pages failed:", error);
+      setError(error instanceof SessionExpiredError ? error.message : `Vitals fetch failed: ${error.message}`);
+      return;
+    }
+    // The remaining server pages may not have held any more of this category
+    if (loadedInCategory() > nextPageIndex * VITALS_PER_PAGE) {
+      setCurrentPage(nextPageIndex);
     }
   };
 
   const hasMoreVitals = () => {
     if (!selectedCategory) return false;
-    return (currentPage + 1) * VITALS_PER_PAGE < selectedCategory.vitals.length;
+    return (currentPage + 1) * VITALS_PER_PAGE < selectedCategory.vitals.length || hasMorePages;
   };
 
   const getCurrentPageInfo = () => {
@@ -138,55 +406,35 @@ export default function Vitals() {
     const total = selectedCategory.vitals.length;
     const start = currentPage * VITALS_PER_PAGE + 1;
     const end = Math.min((currentPage + 1) * VITALS_PER_PAGE, total);
-    return `Showing ${start}-${end} of ${total}`;
+    return `Showing ${start}-${end} of ${total}${hasMorePages ? '+' : ''}`;
   };
 
-  const formatVitalValue = (observation) => {
-    // Handle valueQuantity (simple vital like temperature, heart rate)
-    const value = observation.valueQuantity;
-    if (value && value.value !== undefined) {
-      return `${value.value} ${value.unit || ''}`;
-    }
-    
-    // Handle component values (complex vitals like blood pressure)
-    const component = observation.component?.[0];
-    if (component && component.valueQuantity && component.valueQuantity.value !== undefined) {
-      const compValue = component.valueQuantity;
-      return `${compValue.value} ${compValue.unit || ''}`;
-    }
-    
-    // Handle multiple components (like blood pressure with systolic/diastolic)
-    if (observation.component && observation.component.length > 1) {
-      const components = observation.component.map(comp => {
-        if (comp.valueQuantity && comp.valueQuantity.value !== undefined) {
-          return `${comp.valueQuantity.value} ${comp.valueQuantity.unit || ''}`;
-        }
-        return 'N/A';
-      }).filter(val => val !== 'N/A');
-      
-      if (components.length > 0) {
-        return components.join(' / ');
-      }
-    }
-    
-    // Handle valueCodeableConcept (coded values)
-    if (observation.valueCodeableConcept) {
-      return observation.valueCodeableConcept.text || observation.valueCodeableConcept.coding?.[0]?.display || 'Coded value';
-    }
-    
-    // Handle valueString
-    if (observation.valueString) {
-      return observation.valueString;
-    }
-    
-    // Handle valueBoolean
-    if (observation.valueBoolean !== undefined) {
-      return observation.valueBoolean ? 'Yes' : 'No';
-    }
-    
-    return 'No value available';
+  const getLoadedInfo = () => {
+    const loaded = observations.length;
+    if (totalVitals !== null) return `Loaded ${loaded} of ${totalVitals} vitals`;
+    return hasMorePages ? `Loaded ${loaded} vitals (more available)` : `Loaded ${loaded} vitals`;
   };
 
+  const changeUnitSystem = (system) => {
+    setUnitSystem(system);
+    setUnitSystemState(system);
+  };
+
+  const changeFlowsheetInterval = (key) => {
+    setFlowsheetInterval(key);
+    setFlowsheetIntervalState(key);
+  };
+
+  // Writing needs Observation create/update; hidden until the session (and its granted scope) has loaded
+  const canAddVitals = !!launchContext && hasScope(launchContext.scope, 'Observation', 'c', { category: 'vital-signs' });
+  const canCorrectVitals = !!launchContext && hasScope(launchContext.scope, 'Observation', 'u', { category: 'vital-signs' });
+
+  // Label for a performer or encounter reference, falling back to the reference itself until it is resolved
+  const describeReference = (ref) => ref?.display || referenceLabels[ref?.reference] || ref?.reference;
+
+  const isLaunchEncounter = (vital) => !!launchContext?.encounter &&
+    parseReference(vital.encounter?.reference)?.id === launchContext.encounter;
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Unknown date';
     return new Date(dateString).toLocaleString();
@@ -204,186 +452,173 @@ export default function Vitals() {
     }
   };
 
-  // Helper function to refresh access token
-  const refreshAccessToken = async () => {
-    try {
-      const refreshToken = sessionStorage.getItem('refresh_token');
-      const tokenEndpoint = sessionStorage.getItem('token_endpoint');
-      
-      if (!refreshToken || !tokenEndpoint) {
-        throw new Error("No refresh token available");
-      }
+  // Switch the entry form to a vital type, resetting the value fields to its input shape
+  const selectNewVitalCategory = (category) => {
+    setFormError("");
+    setFieldErrors({});
+    setRecordBmi(true);
+    setNewVital({
+      ...newVital,
+      category,
+      value: '',
+      unit: getDefaultUnit(category, unitSystem),
+      components: {}
+    });
+  };
 
-      const response = await fetch(tokenEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: refreshToken,
-          client_id: process.env.NEXT_PUBLIC_CERNER_CLIENT_ID,
-        }),
-      });
+  const isNewVitalComplete = () => {
+    const type = getVitalType(newVital.category);
+    if (!type) return false;
+    if (type.shape === 'components') {
+      return type.components.every(comp => newVital.components[comp.key] !== undefined && newVital.components[comp.key] !== '');
+    }
+    return !!newVital.value && isAllowedUnit(newVital.category, newVital.unit);
+  };
 
-      if (!response.ok) {
-        throw new Error(`Token refresh failed: ${response.status}`);
-      }
+  // Edit a field of the entry form; a server objection to that field is dropped once it changes
+  const updateNewVital = (field, changes) => {
+    setNewVital({ ...newVital, ...changes });
+    if (fieldErrors[field]) {
+      setFieldErrors(({ [field]: _corrected, ...rest }) => rest);
+    }
+  };
 
-      const tokenData = await response.json();
-      sessionStorage.setItem('access_token', tokenData.access_token);
-      
-      if (tokenData.refresh_token) {
-        sessionStorage.setItem('refresh_token', tokenData.refresh_token);
-      }
+  // Changing the unit converts what was already typed (e.g. 98.6 °F -> 37 °C)
+  const changeNewVitalUnit = (unit) => {
+    updateNewVital('unit', {
+      unit,
+      value: convertEnteredValue(newVital.value, newVital.unit, unit)
+    });
+  };
+
+  /**
+   * Block impossible values and ask for confirmation of unusual ones.
+   * Returns true when the entry may be saved.
+   * @param {Array} checks - Results of checkPlausibility()
+   * @param {Function} showError - Setter for the form's error message
+   */
+  const acceptPlausibilityChecks = (checks, showError) => {
+    const blocked = checks.filter(check => check.level === 'block');
+    if (blocked.length > 0) {
+      showError(blocked.map(check => check.message).join(' '));
+      return false;
+    }
+    const unusual = checks.filter(check => check.level === 'confirm');
+    if (unusual.length > 0 && !window.confirm(unusual.map(check => check.message).join('\n'))) {
+      return false;
+    }
+    showError("");
+    return true;
+  };
+
+  // The latest height on record from the past year: among the loaded vitals, or else the one searched on the server
+  const findHeightOnRecord = (at) => findRecentHeight(storedHeight.observation ? [...observations, storedHeight.observation] : observations, at);
 
-      console.log('Access token refreshed successfully');
-      return tokenData.access_token;
+  // The loaded vitals may not hold a height (filtered out, or on a page not loaded yet), so ask the server for the latest
+  const needsStoredHeight = ((showAddForm && newVital.category === 'weight') || showVitalSetForm) && !findRecentHeight(observations, new Date());
+  useEffect(() => {
+    if (needsStoredHeight) fetchLatestHeight();
+  }, [needsStoredHeight]);
+
+  const fetchLatestHeight = async () => {
+    const patientId = sessionStorage.getItem('patient_id');
+    if (!patientId) return;
+    setStoredHeight({ status: 'loading', observation: null });
+    try {
+      const bundle = await search('Observation', {
+        patient: patientId,
+        code: getVitalType('height').codes.map(toCodeToken).join(','),
+        _sort: '-date',
+        _count: 1
+      });
+      const height = (bundle.entry || []).map(entry => entry.resource).find(resource => resource?.resourceType === 'Observation');
+      setStoredHeight({ status: 'done', observation: height || null });
     } catch (error) {
-      console.error('Token refresh failed:', error);
-      throw error;
+      console.log("Latest height search failed:", error.message);
+      setStoredHeight({ status: 'done', observation: null });
     }
   };
 
+  /**
+   * The BMI a new weight adds: from a height entered with it, or else the latest
+   * height on record from the past year. Returns { value, height } (height: the
+   * stored height Observation, null when entered together) or null when no BMI can be derived.
+   * @param {object} weight - The new weight as a Quantity
+   * @param {object|null} enteredHeight - A height entered with it, as a Quantity
+   * @param {string} at - The weight's effective time
+   */
+  const previewBmi = (weight, enteredHeight, at) => {
+    const height = enteredHeight ? null : findHeightOnRecord(at);
+    const value = calculateBmi(weight, enteredHeight || height?.valueQuantity);
+    return value ? { value, height } : null;
+  };
+
+  // Shown instead of the BMI checkbox when a weight has no height to go with it
+  const renderMissingHeightNote = () => (
+    <div style={{ color: '#666', fontSize: '0.9em' }}>
+      {storedHeight.status === 'loading'
+        ? 'Looking up the latest height for a BMI…'
+        : 'No height on record from the past year, so no BMI will be recorded with this weight. Record a height to add one.'}
+    </div>
+  );
+
+  // Where a previewed BMI comes from, shown with the confirmation checkbox
+  const describeBmiSource = (bmi) => (bmi.height
+    ? `height ${formatVitalValue(bmi.height, unitSystem)} from ${formatDate(bmi.height.effectiveDateTime || bmi.height.issued)}`
+    : 'the height entered');
+
+  // A server objection to an entry form field: a red border, and the message under the field
+  const fieldErrorBorder = (field) => (fieldErrors[field] ? { border: '1px solid #d32f2f' } : {});
+  const renderFieldError = (field) => fieldErrors[field] && (
+    <div style={{ color: '#d32f2f', fontSize: '0.85em', marginTop: '4px' }}>{fieldErrors[field]}</div>
+  );
+
   const createNewVital = async () => {
     try {
       setSubmitting(true);
-      const accessToken = sessionStorage.getItem('access_token');
       const patientId = sessionStorage.getItem('patient_id');
-      const issuer = sessionStorage.getItem('issuer');
 
-      if (!accessToken || !patientId || !issuer) {
-        throw new Error("Missing authentication data");
+      if (!patientId) {
+        throw new Error("Missing patient context");
+      }
+      const type = getVitalType(newVital.category);
+      if (!type) {
+        throw new Error("Unknown vital type");
       }
 
       // Create FHIR Observation resource - minimal structure based on Oracle docs
-      const observation = {
-        resourceType: "Observation",
-        status: "final",
-        category: [
-          {
-            coding: [
-              {
-                system: "http://terminology.hl7.org/CodeSystem/observation-category",
-                code: "vital-signs",
-                display: "Vital Signs"
-              }
-            ],
-            text: "Vital Signs"
-          }
-        ],
-        code: {
-          coding: [
-            {
-              system: "http://loinc.org",
-              code: getLoincCode(newVital.category)
-            }
-          ],
-          text: newVital.category
-        },
-        subject: {
-          reference: `Patient/${patientId}`
-        },
-        effectiveDateTime: new Date(newVital.date).toISOString()
+      const context = {
+        patientId,
+        effectiveDateTime: new Date(newVital.date).toISOString(),
+        encounter: launchContext?.encounter,
+        performer: toRelativeReference(launchContext?.fhirUser, launchContext?.issuer),
       };
+      const observation = buildVitalObservation(type, newVital, context);
 
-      // Add valueQuantity for simple vitals (like Temperature example in Oracle docs)
-      observation.valueQuantity = {
-        value: parseFloat(newVital.value),
-        unit: newVital.unit,
-        system: "http://unitsofmeasure.org",
-        code: getUcumCode(newVital.unit)
-      };
+      // A new weight also records the BMI it gives with the latest height, when the user kept that ticked
+      const bmi = type.key === 'weight' && recordBmi ? previewBmi(observation.valueQuantity, null, context.effectiveDateTime) : null;
+      const weightUrl = newEntryUrl();
+      const bmiObservation = bmi && buildBmiObservation(bmi.value, { weight: weightUrl, height: `Observation/${bmi.height.id}` }, context);
+
+      // Plausibility: block impossible values, ask for confirmation of unusual ones
+      const checks = [
+        ...checkVitalObservation(type, observation),
+        ...(bmiObservation ? checkVitalObservation(getVitalType('bmi'), bmiObservation) : []),
+      ];
+      if (!acceptPlausibilityChecks(checks, setFormError)) {
+        setSubmitting(false);
+        return;
+      }
 
       console.log("Creating new observation:", observation);
       console.log("JSON payload:", JSON.stringify(observation, null, 2));
 
-      const response = await fetch(`${issuer}/Observation`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/fhir+json',
-          'Accept': 'application/fhir+json'
-        },
-        body: JSON.stringify(observation)
-      });
-
-      console.log("Response status:", response.status);
-      console.log("Response headers:", Object.fromEntries(response.headers.entries()));
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.log("Error response body:", errorText);
-        
-        // If token expired, try to refresh it and retry
-        if (response.status === 401) {
-          try {
-            console.log("Token expired, attempting to refresh...");
-            const newAccessToken = await refreshAccessToken();
-            
-            // Retry the request with the new token
-            const retryResponse = await fetch(`${issuer}/Observation`, {
-              method: 'POST',
-              headers: {
-                'Authorization': `Bearer ${newAccessToken}`,
-                'Content-Type': 'application/fhir+json',
-                'Accept': 'application/fhir+json'
-              },
-              body: JSON.stringify(observation)
-            });
-            
-            if (!retryResponse.ok) {
-              const retryErrorText = await retryResponse.text();
-              throw new Error(`Failed to create vital after token refresh: ${retryResponse.status} ${retryErrorText}`);
-            }
-            
-            // Continue with the retry response
-            const responseText = await retryResponse.text();
-            console.log("Retry response status:", retryResponse.status);
-            console.log("Retry response body:", responseText);
-            
-            let createdObservation = null;
-            if (responseText.trim()) {
-              createdObservation = JSON.parse(responseText);
-              console.log("Created observation:", createdObservation);
-            } else {
-              console.log("Empty response body - this is normal for successful POST operations");
-            }
-            
-            // Reset form and refresh vitals
-            setNewVital({
-              category: '',
-              value: '',
-              unit: '',
-              date: new Date().toLocaleString('sv-SE').slice(0, 16)
-            });
-            setShowAddForm(false);
-            setSubmitting(false);
-            
-            // Refresh vitals data
-            await fetchAllVitals(newAccessToken, patientId, issuer);
-            return;
-            
-          } catch (refreshError) {
-            throw new Error(`Token refresh failed: ${refreshError.message}`);
-          }
-        }
-        
-        throw new Error(`Failed to create vital: ${response.status} ${errorText}`);
-      }
-
-      // Check if response has content before parsing JSON
-      const responseText = await response.text();
-      console.log("Response status:", response.status);
-      console.log("Response body:", responseText);
-      
-      let createdObservation = null;
-      if (responseText.trim()) {
-        // Only parse JSON if there's actual content
-        createdObservation = JSON.parse(responseText);
-        console.log("Created observation:", createdObservation);
+      if (bmiObservation) {
+        // One transaction, so the BMI can reference the new weight and is never saved without it
+        const bundle = buildTransaction([observation, bmiObservation], [weightUrl]);
+        await transaction(bundle);
       } else {
-        console.log("Empty response body - this is normal for successful POST operations");
+        await create(observation);
       }
 
       // Reset form and refresh vitals
@@ -391,50 +626,214 @@ export default function Vitals() {
         category: '',
         value: '',
         unit: '',
+        components: {},
         date: new Date().toLocaleString('sv-SE').slice(0, 16) // Reset to current local date/time
       });
       setShowAddForm(false);
       setSubmitting(false);
+      setFieldErrors({});
 
       // Refresh vitals data
-      await fetchAllVitals(accessToken, patientId, issuer);
+      await fetchAllVitals(patientId);
 
     } catch (error) {
       console.error("Error creating vital:", error);
-      setError(`Failed to create vital: ${error.message}`);
       setSubmitting(false);
+      if (error instanceof SessionExpiredError) {
+        setError(error.message);
+      } else if (error instanceof FhirError && error.issues.length > 0) {
+        // Put the server's objections next to the fields they are about, so the entry can be corrected and resent
+        const type = getVitalType(newVital.category);
+        const { fields, general } = getFieldErrors(error.issues, expression => (
+          getVitalFormField(type, expression) || getVitalFormField(type, expression, 'Bundle.entry[0].resource')
+        ));
+        setFieldErrors(fields);
+        setFormError([
+          STATUS_MESSAGES[error.status] || 'The vital was not saved.',
+          ...general,
+          Object.keys(fields).length > 0 ? 'Correct the highlighted fields and save again.' : '',
+        ].filter(Boolean).join(' '));
+      } else {
+        setFormError(`Failed to create vital: ${error.message}`);
+      }
     }
   };
 
-  // Helper function to get LOINC codes for common vital signs
-  const getLoincCode = (category) => {
-    const loincCodes = {
-      'Blood Pressure': '8480-6', // Blood pressure panel with all children optional
-      'Temperature': '8331-1',     // Oral temperature (from Oracle docs)
-      'Heart Rate': '8867-4',      // Heart rate (alternative from debug output)
-      'Respiratory Rate': '9279-1', // Respiratory rate
-      'Oxygen Saturation': '703498', // SpO2 (from Oracle docs)
-      'Weight': '29463-7',         // Weight Measured
-      'Height': '8302-2',          // Body height
-      'Body Mass Index': '39156-5' // BMI Measured
-    };
-    return loincCodes[category] || 'unknown';
-  };
-
-  // Helper function to get UCUM codes for units
-  const getUcumCode = (unit) => {
-    const ucumCodes = {
-      'mmHg': 'mm[Hg]',
-      'bpm': '/min',
-      '°C': 'Cel',
-      '°F': '[degF]',
-      'kg': 'kg',
-      'lbs': '[lb_av]',
-      'cm': 'cm',
-      'in': '[in_i]',
-      '%': '%'
+
+  // An empty vital set in the user's units, charted now unless the time is changed
+  const openVitalSetForm = () => {
+    setShowAddForm(false);
+    setShowVitalSetForm(true);
+    setVitalSetError("");
+    setVitalSetResults(null);
+    setRecordBmi(true);
+    setVitalSet({
+      date: new Date().toLocaleString('sv-SE').slice(0, 16),
+      entries: Object.fromEntries(VITAL_SET.map(key => [key, { value: '', unit: getDefaultUnit(key, unitSystem), components: {} }])),
+    });
+  };
+
+  // The BMI the set's weight gives, with its height or a recent one on record
+  const getVitalSetBmi = () => {
+    const { weight, height } = vitalSet.entries;
+    if (!isVitalSetEntryComplete('weight', weight) || !vitalSet.date) return null;
+    const enteredHeight = isVitalSetEntryComplete('height', height) ? { value: parseFloat(height.value), code: height.unit } : null;
+    return previewBmi({ value: parseFloat(weight.value), code: weight.unit }, enteredHeight, new Date(vitalSet.date).toISOString());
+  };
+
+  const updateVitalSetEntry = (key, changes) => {
+    setVitalSet({ ...vitalSet, entries: { ...vitalSet.entries, [key]: { ...vitalSet.entries[key], ...changes } } });
+  };
+
+  /**
+   * Chart every vital entered on the set form in one transaction with a shared
+   * effective time. The server saves all of them or none; the outcome of each
+   * vital is listed under the form.
+   */
+  const chartVitalSet = async () => {
+    const patientId = sessionStorage.getItem('patient_id');
+    if (!patientId) {
+      setError("Missing patient context");
+      return;
+    }
+    const keys = VITAL_SET.filter(key => !isVitalSetEntryBlank(key, vitalSet.entries[key]));
+    if (keys.length === 0) {
+      setVitalSetError("Enter at least one vital.");
+      return;
+    }
+    const incomplete = keys.filter(key => !isVitalSetEntryComplete(key, vitalSet.entries[key]));
+    if (incomplete.length > 0) {
+      setVitalSetError(`Complete or clear: ${incomplete.map(key => getVitalType(key).label).join(', ')}.`);
+      return;
+    }
+
+    const context = {
+      patientId,
+      effectiveDateTime: new Date(vitalSet.date).toISOString(),
+      encounter: launchContext?.encounter,
+      performer: toRelativeReference(launchContext?.fhirUser, launchContext?.issuer),
     };
-    return ucumCodes[unit] || unit;
+    const observations = keys.map(key => buildVitalObservation(getVitalType(key), vitalSet.entries[key], context));
+    const fullUrls = keys.map(() => newEntryUrl());
+
+    // BMI from the set's weight, referencing the weight and height it was derived from
+    const bmi = recordBmi ? getVitalSetBmi() : null;
+    if (bmi) {
+      const height = bmi.height ? `Observation/${bmi.height.id}` : fullUrls[keys.indexOf('height')];
+      observations.push(buildBmiObservation(bmi.value, { weight: fullUrls[keys.indexOf('weight')], height }, context));
+      keys.push('bmi');
+    }
+
+    const checks = keys.flatMap((key, index) => checkVitalObservation(getVitalType(key), observations[index]));
+    if (!acceptPlausibilityChecks(checks, setVitalSetError)) {
+      return;
+    }
+
+    const bundle = buildTransaction(observations, fullUrls);
+    setSubmittingVitalSet(true);
+    setVitalSetResults(null);
+    let results;
+    try {
+      results = getTransactionResults(bundle, await transaction(bundle));
+    } catch (error) {
+      console.error("Charting vital set failed:", error);
+      setSubmittingVitalSet(false);
+      if (error instanceof SessionExpiredError) {
+        setError(error.message);
+        return;
+      }
+      if (!(error instanceof FhirError)) {
+        // No response, so it is unknown whether the server committed the set
+        setVitalSetError(error instanceof NetworkError
+          ? `${error.message}. The set may or may not have been saved; check the vitals list before charting it again.`
+          : `Charting the vital set failed: ${error.message}`);
+        return;
+      }
+      results = getTransactionFailure(bundle, error.status, error.body);
+    }
+    setSubmittingVitalSet(false);
+    setVitalSetResults(keys.map((key, index) => ({ key, label: getVitalType(key).label, ...results[index] })));
+
+    if (results.every(result => result.ok)) {
+      setShowVitalSetForm(false);
+      await fetchAllVitals(patientId);
+    }
+  };
+
+  const startEditVital = (vital) => {
+    setEditError("");
+    setEditingVital({
+      id: vital.id,
+      value: vital.valueQuantity?.value !== undefined ? String(vital.valueQuantity.value) : '',
+      components: Object.fromEntries((vital.component || []).map((comp, index) => [index, comp.valueQuantity?.value !== undefined ? String(comp.valueQuantity.value) : ''])),
+      date: vital.effectiveDateTime ? new Date(vital.effectiveDateTime).toLocaleString('sv-SE').slice(0, 16) : ''
+    });
+  };
+
+  const cancelEditVital = () => {
+    setEditingVital(null);
+    setEditError("");
+  };
+
+  /**
+   * PUT a changed observation with If-Match on the version it was loaded at,
+   * so a change made elsewhere in the meantime is not overwritten.
+   * @param {object} observation - The observation to save
+   */
+  const saveObservationChange = async (observation) => {
+    setSavingEdit(true);
+    try {
+      const saved = await update(observation, { ifMatch: getVersionTag(observation) })
+        || await read('Observation', observation.id);
+      observationsRef.current = replaceObservation(observationsRef.current, saved);
+      setObservations(observationsRef.current);
+      setEditingVital(null);
+      setEditError("");
+      return true;
+    } catch (error) {
+      console.error("Error updating vital:", error);
+      if (error instanceof SessionExpiredError) {
+        setError(error.message);
+      } else if (error instanceof FhirError && error.status === 412) {
+        setEditError("This vital was changed by someone else since it was loaded. Reload the page to see the latest version.");
+      } else {
+        setEditError(`Failed to update vital: ${error.message}`);
+      }
+      return false;
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  // Correct the values of a vital; the observation becomes status amended
+  const saveVitalEdit = async (vital) => {
+    const value = parseFloat(editingVital.value);
+    const components = Object.fromEntries(Object.entries(editingVital.components).map(([index, v]) => [index, parseFloat(v)]));
+    if ((vital.valueQuantity && Number.isNaN(value)) || Object.values(components).some(Number.isNaN)) {
+      setEditError("Enter a number for every value.");
+      return;
+    }
+    const amended = amendObservation(vital, {
+      value: vital.valueQuantity ? value : undefined,
+      components,
+      effectiveDateTime: editingVital.date ? new Date(editingVital.date).toISOString() : undefined
+    });
+
+    const checks = amended.component
+      ? amended.component.map(comp => checkPlausibility(findVitalMeasure(comp), comp.valueQuantity, comp.code?.text || comp.code?.coding?.[0]?.display || 'Value'))
+      : [checkPlausibility(findVitalMeasure(amended), amended.valueQuantity, getCategoryName(amended))];
+    if (!acceptPlausibilityChecks(checks, setEditError)) return;
+
+    await saveObservationChange(amended);
+  };
+
+  // Retract a vital that should never have been recorded; it stays visible but struck through
+  const markEnteredInError = async (vital) => {
+    if (!window.confirm(`Mark ${formatVitalValue(vital, unitSystem)} from ${formatDate(vital.effectiveDateTime || vital.issued)} as entered in error?`)) {
+      return;
+    }
+    setEditingVital(null);
+    await saveObservationChange({ ...vital, status: 'entered-in-error' });
   };
 
   if (loading) {
@@ -458,6 +857,21 @@ export default function Vitals() {
   }
 
   const categories = getVitalCategories();
+  // BMI each entry form would also record, shown for confirmation
+  const newVitalBmi = showAddForm && newVital.category === 'weight' && isNewVitalComplete() && newVital.date
+    ? previewBmi({ value: parseFloat(newVital.value), code: newVital.unit }, null, new Date(newVital.date).toISOString())
+    : null;
+  const vitalSetBmi = showVitalSetForm ? getVitalSetBmi() : null;
+  // Weights that will be saved without a BMI because no height goes with them
+  const newVitalMissingHeight = showAddForm && newVital.category === 'weight' && isNewVitalComplete() && newVital.date
+    && !findHeightOnRecord(new Date(newVital.date).toISOString());
+  const vitalSetMissingHeight = showVitalSetForm && vitalSet.date
+    && isVitalSetEntryComplete('weight', vitalSet.entries.weight) && !isVitalSetEntryComplete('height', vitalSet.entries.height)
+    && !findHeightOnRecord(new Date(vitalSet.date).toISOString());
+  const selectedCategory = categories.find(category => category.name === selectedCategoryName) || null;
+  const categoryVitals = selectedCategory
+    ? selectedCategory.vitals.slice(currentPage * VITALS_PER_PAGE, (currentPage + 1) * VITALS_PER_PAGE)
+    : [];
 
   return (
     <div className={styles.container}>
@@ -469,10 +883,98 @@ export default function Vitals() {
         </div>
       )}
 
+      {/* Filter bar: applied filters become FHIR search parameters and live in the URL */}
+      <div className={styles.patientInfo} style={{ marginBottom: '20px' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center' }}>
+          <select
+            value={filterDraft.range}
+            onChange={(e) => changeFilterRange(e.target.value)}
+            title="Dates of the vitals shown"
+            style={{ padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+          >
+            {DATE_RANGES.map(range => (
+              <option key={range.key} value={range.key} disabled={range.key === 'encounter' && !launchContext?.encounter && activeFilters.range !== 'encounter'}>
+                {range.label}
+              </option>
+            ))}
+          </select>
+          {filterDraft.range === 'custom' && (
+            <>
+              <label style={{ fontSize: '0.9em' }}>
+                From{' '}
+                <input
+                  type="date"
+                  value={filterDraft.from}
+                  max={filterDraft.to || undefined}
+                  onChange={(e) => setFilterDraft({ ...filterDraft, from: e.target.value })}
+                  style={{ padding: '6px', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+              </label>
+              <label style={{ fontSize: '0.9em' }}>
+                To{' '}
+                <input
+                  type="date"
+                  value={filterDraft.to}
+                  min={filterDraft.from || undefined}
+                  onChange={(e) => setFilterDraft({ ...filterDraft, to: e.target.value })}
+                  style={{ padding: '6px', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+              </label>
+            </>
+          )}
+          <button onClick={() => applyFilters(filterDraft)} style={{ padding: '8px 16px' }}>
+            Apply
+          </button>
+          {(hasActiveFilters(activeFilters) || hasActiveFilters(filterDraft)) && (
+            <button onClick={() => applyFilters(DEFAULT_FILTERS)} style={{ padding: '8px 16px', background: '#9e9e9e' }}>
+              Clear
+            </button>
+          )}
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginTop: '10px', fontSize: '0.9em' }}>
+          <strong>Vitals:</strong>
+          {VITAL_TYPES.map(type => (
+            <label key={type.key}>
+              <input
+                type="checkbox"
+                checked={filterDraft.vitals.includes(type.key)}
+                onChange={() => toggleFilterValue('vitals', type.key)}
+              />{' '}
+              {type.label}
+            </label>
+          ))}
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginTop: '6px', fontSize: '0.9em' }}>
+          <strong>Status:</strong>
+          {STATUS_OPTIONS.map(status => (
+            <label key={status.key}>
+              <input
+                type="checkbox"
+                checked={filterDraft.statuses.includes(status.key)}
+                onChange={() => toggleFilterValue('statuses', status.key)}
+              />{' '}
+              {status.label}
+            </label>
+          ))}
+        </div>
+        {filterError && (
+          <div style={{ color: '#c62828', fontSize: '0.9em', marginTop: '8px' }}>{filterError}</div>
+        )}
+        {hasActiveFilters(activeFilters) && (
+          <div style={{ color: '#666', fontSize: '0.9em', marginTop: '8px' }}>
+            Showing: {describeVitalFilters(activeFilters)}
+          </div>
+        )}
+      </div>
+
       {categories.length === 0 ? (
         <div className={styles.patientInfo}>
           <h2>No Vitals Found</h2>
-          <p>No vital signs found for this patient.</p>
+          {hasActiveFilters(activeFilters) ? (
+            <p>No vital signs match the filters.</p>
+          ) : (
+            <p>No vital signs found for this patient.</p>
+          )}
           <button onClick={goBack}>Go Back</button>
         </div>
       ) : (
@@ -480,8 +982,78 @@ export default function Vitals() {
           {/* Add New Vital Button */}
           <div className={styles.patientInfo} style={{ marginBottom: '20px' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <h2>Vital Categories</h2>
+              <h2>{viewMode === 'flowsheet' ? 'Flowsheet' : 'Vital Categories'}</h2>
               <div style={{ display: 'flex', gap: '10px' }}>
+                <div style={{ display: 'flex' }}>
+                  {[['categories', 'Categories'], ['flowsheet', 'Flowsheet']].map(([mode, label], index) => (
+                    <button
+                      key={mode}
+                      onClick={() => setViewMode(mode)}
+                      style={{
+                        background: viewMode === mode ? '#2196f3' : '#f0f0f0',
+                        color: viewMode === mode ? 'white' : 'black',
+                        border: 'none',
+                        padding: '8px 12px',
+                        borderRadius: index === 0 ? '4px 0 0 4px' : '0 4px 4px 0',
+                        cursor: 'pointer',
+                        fontSize: '12px'
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {viewMode === 'flowsheet' && (
+                  <select
+                    value={flowsheetInterval}
+                    onChange={(e) => changeFlowsheetInterval(e.target.value)}
+                    title="Time covered by each flowsheet column"
+                    style={{ padding: '8px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                  >
+                    {FLOWSHEET_INTERVALS.map(interval => (
+                      <option key={interval.key} value={interval.key}>Every {interval.label}</option>
+                    ))}
+                  </select>
+                )}
+                <select
+                  value={unitSystem}
+                  onChange={(e) => changeUnitSystem(e.target.value)}
+                  title="Units used to display and enter vitals"
+                  style={{ padding: '8px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                >
+                  <option value="metric">Metric (°C, kg, cm)</option>
+                  <option value="imperial">Imperial (°F, lb, in)</option>
+                </select>
+                <div style={{ position: 'relative' }}>
+                  <button
+                    onClick={() => setShowExportMenu(!showExportMenu)}
+                    disabled={exporting}
+                    title={selectedCategoryName && viewMode !== 'flowsheet' ? `Export ${selectedCategoryName} vitals` : 'Export all vitals'}
+                    style={{ background: '#607d8b', color: 'white', border: 'none', padding: '8px 12px', borderRadius: '4px', cursor: exporting ? 'not-allowed' : 'pointer', fontSize: '12px', height: '100%' }}
+                  >
+                    {exporting ? 'Exporting...' : 'Export ▾'}
+                  </button>
+                  {showExportMenu && (
+                    <div style={{ position: 'absolute', right: 0, top: '100%', marginTop: '4px', background: 'white', border: '1px solid #ddd', borderRadius: '4px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)', zIndex: 10, minWidth: '190px' }}>
+                      {[
+                        ['csv', 'CSV spreadsheet'],
+                        ['pdf', 'Printable report (PDF)'],
+                        ['bundle', 'FHIR Bundle (JSON)'],
+                      ].map(([format, label]) => (
+                        <button
+                          key={format}
+                          onClick={() => exportVitals(format)}
+                          style={{ display: 'block', width: '100%', textAlign: 'left', background: 'none', border: 'none', padding: '8px 12px', cursor: 'pointer', fontSize: '13px' }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                      <div style={{ padding: '6px 12px', fontSize: '11px', color: '#666', borderTop: '1px solid #eee' }}>
+                        {selectedCategoryName && viewMode !== 'flowsheet' ? `${selectedCategoryName} only` : 'All vital categories'}
+                      </div>
+                    </div>
+                  )}
+                </div>
                 <button
                   onClick={() => setShowDebugButtons(!showDebugButtons)}
                   style={{
@@ -497,22 +1069,172 @@ export default function Vitals() {
                 >
                   {showDebugButtons ? '🔍 Debug ON' : '🔍 Debug OFF'}
                 </button>
+                {canAddVitals && (
+                  <button
+                    onClick={() => (showVitalSetForm ? setShowVitalSetForm(false) : openVitalSetForm())}
+                    title="Chart blood pressure, heart rate, respiratory rate, temperature, SpO2, weight and height at one time"
+                    style={{
+                      background: '#4CAF50',
+                      color: 'white',
+                      border: 'none',
+                      padding: '10px 20px',
+                      borderRadius: '4px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {showVitalSetForm ? 'Cancel' : 'Chart Vital Set'}
+                  </button>
+                )}
+                {canAddVitals && (
+                  <button
+                    onClick={() => {
+                      setShowVitalSetForm(false);
+                      setShowAddForm(!showAddForm);
+                      setFormError("");
+                      setFieldErrors({});
+                    }}
+                    style={{
+                      background: '#4CAF50',
+                      color: 'white',
+                      border: 'none',
+                      padding: '10px 20px',
+                      borderRadius: '4px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {showAddForm ? 'Cancel' : 'Add New Vital'}
+                  </button>
+                )}
+              </div>
+            </div>
+            {launchContext && (!canAddVitals || !canCorrectVitals) && (
+              <p style={{ color: '#666', fontStyle: 'italic', marginBottom: 0 }}>
+                {!canAddVitals && !canCorrectVitals
+                  ? 'Vitals are read-only: this app was not granted permission to create or update Observations.'
+                  : !canAddVitals
+                    ? 'Adding vitals is not available: this app was not granted permission to create Observations.'
+                    : 'Correcting vitals is not available: this app was not granted permission to update Observations.'}
+              </p>
+            )}
+            
+            {/* Chart Vital Set Form: one transaction, one effective time */}
+            {showVitalSetForm && (
+              <div style={{ marginTop: '20px', padding: '20px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#f9f9f9' }}>
+                <h3>Chart Vital Set</h3>
+                <p style={{ fontSize: '0.9em', color: '#666' }}>
+                  Leave out anything not measured. The set is saved as a whole: if any value is rejected, none are saved.
+                </p>
+                <div style={{ marginBottom: '15px' }}>
+                  <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Date/Time:</label>
+                  <input
+                    type="datetime-local"
+                    value={vitalSet.date}
+                    onChange={(e) => setVitalSet({ ...vitalSet, date: e.target.value })}
+                    style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                  />
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: '160px 1fr 120px', gap: '10px', alignItems: 'center' }}>
+                  {VITAL_SET.map(key => {
+                    const type = getVitalType(key);
+                    const entry = vitalSet.entries[key] || {};
+                    return [
+                      <label key={`${key}-label`} style={{ fontWeight: 'bold' }}>{type.label}:</label>,
+                      type.shape === 'components' ? (
+                        <div key={`${key}-value`} style={{ display: 'flex', gap: '5px', alignItems: 'center' }}>
+                          {type.components.map((comp, index) => [
+                            index > 0 && <span key={`${comp.key}-sep`}>/</span>,
+                            <input
+                              key={comp.key}
+                              type="number"
+                              step="1"
+                              value={entry.components?.[comp.key] || ''}
+                              onChange={(e) => updateVitalSetEntry(key, { components: { ...entry.components, [comp.key]: e.target.value } })}
+                              placeholder={comp.label}
+                              style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                            />
+                          ])}
+                        </div>
+                      ) : (
+                        <input
+                          key={`${key}-value`}
+                          type="number"
+                          step="0.1"
+                          value={entry.value || ''}
+                          onChange={(e) => updateVitalSetEntry(key, { value: e.target.value })}
+                          placeholder={type.label}
+                          style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                        />
+                      ),
+                      type.units.length > 1 ? (
+                        <select
+                          key={`${key}-unit`}
+                          value={entry.unit || ''}
+                          onChange={(e) => updateVitalSetEntry(key, { unit: e.target.value, value: convertEnteredValue(entry.value, entry.unit, e.target.value) })}
+                          style={{ padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                        >
+                          {type.units.map(ucum => (
+                            <option key={ucum} value={ucum}>{getUnitLabel(ucum)}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span key={`${key}-unit`} style={{ color: '#666' }}>{getUnitLabel(entry.unit)}</span>
+                      ),
+                    ];
+                  })}
+                </div>
+
+                {vitalSetBmi && (
+                  <label style={{ display: 'block', marginTop: '15px' }}>
+                    <input type="checkbox" checked={recordBmi} onChange={(e) => setRecordBmi(e.target.checked)} />{' '}
+                    Also chart BMI <strong>{vitalSetBmi.value} kg/m²</strong>, calculated from this weight and {describeBmiSource(vitalSetBmi)}
+                  </label>
+                )}
+                {vitalSetMissingHeight && <div style={{ marginTop: '15px' }}>{renderMissingHeightNote()}</div>}
+
+                {vitalSetError && (
+                  <div style={{ color: '#d32f2f', background: '#ffebee', border: '1px solid #f44336', borderRadius: '4px', padding: '8px', marginTop: '15px' }}>
+                    {vitalSetError}
+                  </div>
+                )}
+
                 <button
-                  onClick={() => setShowAddForm(!showAddForm)}
+                  onClick={chartVitalSet}
+                  disabled={submittingVitalSet}
                   style={{
-                    background: '#4CAF50',
+                    background: submittingVitalSet ? '#ccc' : '#2196f3',
                     color: 'white',
                     border: 'none',
                     padding: '10px 20px',
                     borderRadius: '4px',
-                    cursor: 'pointer'
+                    cursor: submittingVitalSet ? 'not-allowed' : 'pointer',
+                    width: '100%',
+                    marginTop: '15px'
                   }}
                 >
-                  {showAddForm ? 'Cancel' : 'Add New Vital'}
+                  {submittingVitalSet ? 'Charting...' : 'Chart Vital Set'}
                 </button>
               </div>
-            </div>
-            
+            )}
+
+            {/* Outcome of the last vital set, per vital */}
+            {vitalSetResults && (
+              <div style={{ marginTop: '15px', padding: '10px 15px', border: '1px solid #ddd', borderRadius: '4px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <strong>
+                    {vitalSetResults.every(result => result.ok) ? 'Vital set charted' : 'Vital set not charted'}
+                  </strong>
+                  <button onClick={() => setVitalSetResults(null)} style={{ padding: '2px 8px', fontSize: '12px' }}>Dismiss</button>
+                </div>
+                <ul style={{ margin: '8px 0 0', paddingLeft: '20px', fontSize: '0.9em' }}>
+                  {vitalSetResults.map(result => (
+                    <li key={result.key} style={{ color: result.ok ? '#2e7d32' : '#c62828' }}>
+                      {result.ok ? '✓' : '✗'} {result.label}: {result.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Add New Vital Form */}
             {showAddForm && (
               <div style={{ marginTop: '20px', padding: '20px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#f9f9f9' }}>
@@ -522,66 +1244,96 @@ export default function Vitals() {
                     <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Category:</label>
                     <select
                       value={newVital.category}
-                      onChange={(e) => setNewVital({...newVital, category: e.target.value})}
-                      style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                      onChange={(e) => selectNewVitalCategory(e.target.value)}
+                      style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', ...fieldErrorBorder('category') }}
                     >
                       <option value="">Select a category</option>
-                      <option value="Blood Pressure">Blood Pressure</option>
-                      <option value="Temperature">Temperature</option>
-                      <option value="Heart Rate">Heart Rate</option>
-                      <option value="Respiratory Rate">Respiratory Rate</option>
-                      <option value="Oxygen Saturation">Oxygen Saturation</option>
-                      <option value="Weight">Weight</option>
-                      <option value="Height">Height</option>
+                      {VITAL_TYPES.map(type => (
+                        <option key={type.key} value={type.key}>{type.label}</option>
+                      ))}
                     </select>
+                    {renderFieldError('category')}
                   </div>
                   
-                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px' }}>
-                    <div>
-                      <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Value:</label>
-                      <input
-                        type="number"
-                        step="0.1"
-                        value={newVital.value}
-                        onChange={(e) => setNewVital({...newVital, value: e.target.value})}
-                        placeholder="Enter value"
-                        style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
-                      />
+                  {getVitalType(newVital.category)?.shape === 'components' ? (
+                    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${getVitalType(newVital.category).components.length}, 1fr)`, gap: '10px' }}>
+                      {getVitalType(newVital.category).components.map(comp => (
+                        <div key={comp.key}>
+                          <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            {comp.label} ({getUnitLabel(newVital.unit)}):
+                          </label>
+                          <input
+                            type="number"
+                            step="1"
+                            value={newVital.components[comp.key] || ''}
+                            onChange={(e) => updateNewVital(comp.key, { components: {...newVital.components, [comp.key]: e.target.value} })}
+                            placeholder={comp.label}
+                            style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', ...fieldErrorBorder(comp.key) }}
+                          />
+                          {renderFieldError(comp.key)}
+                        </div>
+                      ))}
                     </div>
-                    <div>
-                      <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Unit:</label>
-                      <select
-                        value={newVital.unit}
-                        onChange={(e) => setNewVital({...newVital, unit: e.target.value})}
-                        style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
-                      >
-                        <option value="">Select unit</option>
-                        <option value="mmHg">mmHg</option>
-                        <option value="bpm">bpm</option>
-                        <option value="°C">°C</option>
-                        <option value="°F">°F</option>
-                        <option value="kg">kg</option>
-                        <option value="lbs">lbs</option>
-                        <option value="cm">cm</option>
-                        <option value="in">in</option>
-                        <option value="%">%</option>
-                      </select>
+                  ) : (
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px' }}>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Value:</label>
+                        <input
+                          type="number"
+                          step="0.1"
+                          value={newVital.value}
+                          onChange={(e) => updateNewVital('value', { value: e.target.value })}
+                          placeholder="Enter value"
+                          style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', ...fieldErrorBorder('value') }}
+                        />
+                        {renderFieldError('value')}
+                      </div>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Unit:</label>
+                        <select
+                          value={newVital.unit}
+                          onChange={(e) => changeNewVitalUnit(e.target.value)}
+                          disabled={!newVital.category}
+                          style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', ...fieldErrorBorder('unit') }}
+                        >
+                          <option value="">Select unit</option>
+                          {(getVitalType(newVital.category)?.units || []).map(ucum => (
+                            <option key={ucum} value={ucum}>{getUnitLabel(ucum)}</option>
+                          ))}
+                        </select>
+                        {renderFieldError('unit')}
+                      </div>
                     </div>
-                  </div>
+                  )}
                   
+                  {newVitalBmi && (
+                    <label>
+                      <input type="checkbox" checked={recordBmi} onChange={(e) => setRecordBmi(e.target.checked)} />{' '}
+                      Also record BMI <strong>{newVitalBmi.value} kg/m²</strong>, calculated from this weight and {describeBmiSource(newVitalBmi)}
+                    </label>
+                  )}
+                  {newVitalMissingHeight && renderMissingHeightNote()}
+
                   <div>
                     <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Date/Time:</label>
                     <input
                       type="datetime-local"
                       value={newVital.date}
-                      onChange={(e) => setNewVital({...newVital, date: e.target.value})}
-                      style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                      onChange={(e) => updateNewVital('date', { date: e.target.value })}
+                      style={{ width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', ...fieldErrorBorder('date') }}
                     />
+                    {renderFieldError('date')}
                   </div>
                   
+                  {formError && (
+                    <div style={{ color: '#d32f2f', background: '#ffebee', border: '1px solid #f44336', borderRadius: '4px', padding: '8px' }}>
+                      {formError}
+                    </div>
+                  )}
+                  
                   <button
                     onClick={createNewVital}
-                    disabled={submitting || !newVital.category || !newVital.value || !newVital.unit}
+                    disabled={submitting || !isNewVitalComplete()}
                     style={{
                       background: submitting ? '#ccc' : '#2196f3',
                       color: 'white',
@@ -598,63 +1350,221 @@ export default function Vitals() {
               </div>
             )}
             
-            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px', marginTop: '20px' }}>
-              {categories.map((category, index) => (
-                <div key={index} style={{ display: 'flex', gap: '5px' }}>
-                  <button
-                    onClick={() => selectCategory(category)}
-                    style={{
-                      background: selectedCategory?.name === category.name ? '#2196f3' : '#f0f0f0',
-                      color: selectedCategory?.name === category.name ? 'white' : 'black',
-                      border: 'none',
-                      padding: '10px 20px',
-                      borderRadius: '4px',
-                      cursor: 'pointer',
-                      fontSize: '14px'
-                    }}
-                  >
-                    {category.name} ({category.count})
-                  </button>
-                  {showDebugButtons && (
+            {/* Server paging progress */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '15px', fontSize: '0.9em', color: '#666' }}>
+              <span>{getLoadedInfo()}{backgroundLoading && ' — loading more...'}</span>
+              {backgroundLoading && (
+                <button
+                  onClick={stopLoadingPages}
+                  style={{ background: '#666', color: 'white', border: 'none', padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                >
+                  Stop
+                </button>
+              )}
+              {!backgroundLoading && hasMorePages && (
+                <button
+                  onClick={resumeLoadingPages}
+                  style={{ background: '#4CAF50', color: 'white', border: 'none', padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                >
+                  Load all
+                </button>
+              )}
+            </div>
+
+            {viewMode === 'categories' && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px', marginTop: '20px' }}>
+                {categories.map((category, index) => (
+                  <div key={index} style={{ display: 'flex', gap: '5px' }}>
                     <button
-                      onClick={() => {
-                        if (category.vitals && category.vitals.length > 0) {
-                          logVitalStructure(category.vitals[0]);
-                        }
-                      }}
+                      onClick={() => selectCategory(category)}
                       style={{
-                        background: '#ff9800',
-                        color: 'white',
+                        background: selectedCategory?.name === category.name ? '#2196f3' : '#f0f0f0',
+                        color: selectedCategory?.name === category.name ? 'white' : 'black',
                         border: 'none',
-                        padding: '10px',
+                        padding: '10px 20px',
                         borderRadius: '4px',
                         cursor: 'pointer',
-                        fontSize: '12px'
+                        fontSize: '14px'
                       }}
-                      title="Debug structure"
                     >
-                      🔍
+                      {category.name} ({category.count})
+                      <InterpretationBadge interpretation={getObservationInterpretation(category.vitals.find(vital => !isRetracted(vital)) || {})} />
                     </button>
-                  )}
-                </div>
-              ))}
-            </div>
+                    {showDebugButtons && (
+                      <button
+                        onClick={() => {
+                          if (category.vitals && category.vitals.length > 0) {
+                            logVitalStructure(category.vitals[0]);
+                          }
+                        }}
+                        style={{
+                          background: '#ff9800',
+                          color: 'white',
+                          border: 'none',
+                          padding: '10px',
+                          borderRadius: '4px',
+                          cursor: 'pointer',
+                          fontSize: '12px'
+                        }}
+                        title="Debug structure"
+                      >
+                        🔍
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
+          {/* Flowsheet: every vital category over time */}
+          {viewMode === 'flowsheet' && (
+            <div className={styles.patientInfo}>
+              <VitalFlowsheet
+                categories={categories}
+                intervalMinutes={FLOWSHEET_INTERVALS.find(interval => interval.key === flowsheetInterval)?.minutes || 60}
+                unitSystem={unitSystem}
+              />
+              <p style={{ fontSize: '0.85em', color: '#666', marginBottom: 0 }}>
+                Each cell shows the latest value charted in that period; hover for every value. Entered-in-error values are left out.
+              </p>
+            </div>
+          )}
+
           {/* Selected Category Vitals */}
-          {selectedCategory && (
+          {viewMode === 'categories' && selectedCategory && (
             <div className={styles.patientInfo}>
               <h2>{selectedCategory.name}</h2>
+              <VitalTrendChart
+                vitals={trendIncludesCorrections ? selectedCategory.vitals : selectedCategory.vitals.filter(isTrendable)}
+                unitSystem={unitSystem}
+              />
+              <label style={{ display: 'block', marginBottom: '10px', fontSize: '0.9em', color: '#666' }}>
+                <input
+                  type="checkbox"
+                  checked={trendIncludesCorrections}
+                  onChange={(e) => setTrendIncludesCorrections(e.target.checked)}
+                  style={{ marginRight: '5px' }}
+                />
+                Include entered-in-error values in the trend
+              </label>
               <div style={{ marginBottom: '10px', fontSize: '0.9em', color: '#666' }}>
                 {getCurrentPageInfo()}
               </div>
+              {editError && !editingVital && (
+                <div style={{ color: '#d32f2f', background: '#ffebee', border: '1px solid #f44336', borderRadius: '4px', padding: '8px', marginBottom: '10px' }}>
+                  {editError}
+                </div>
+              )}
               <div className={styles.info}>
                 {categoryVitals.map((vital, index) => (
-                  <div key={index} style={{ borderBottom: '1px solid #eee', padding: '10px 0' }}>
-                    <div><strong>Value:</strong> {formatVitalValue(vital)}</div>
+                  <div key={index} style={{ borderBottom: '1px solid #eee', padding: '10px 0', opacity: isRetracted(vital) ? 0.6 : 1 }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                      <div>
+                        <strong>Value:</strong>{' '}
+                        <span style={{ textDecoration: isRetracted(vital) ? 'line-through' : 'none' }}>{formatVitalValue(vital, unitSystem)}</span>
+                        {!isRetracted(vital) && <InterpretationBadge interpretation={getObservationInterpretation(vital)} />}
+                        {isRetracted(vital) && (
+                          <span style={{ marginLeft: '8px', padding: '2px 6px', borderRadius: '3px', fontSize: '0.75em', background: '#9e9e9e', color: 'white' }}>
+                            Entered in error
+                          </span>
+                        )}
+                        {isAmended(vital) && (
+                          <span style={{ marginLeft: '8px', padding: '2px 6px', borderRadius: '3px', fontSize: '0.75em', background: '#2196f3', color: 'white' }}>
+                            Amended
+                          </span>
+                        )}
+                      </div>
+                      {canCorrectVitals && !isRetracted(vital) && editingVital?.id !== vital.id && (
+                        <div style={{ display: 'flex', gap: '5px' }}>
+                          <button
+                            onClick={() => startEditVital(vital)}
+                            disabled={savingEdit}
+                            style={{ background: '#f0f0f0', border: 'none', padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => markEnteredInError(vital)}
+                            disabled={savingEdit}
+                            style={{ background: '#f0f0f0', color: '#d32f2f', border: 'none', padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                          >
+                            Mark entered in error
+                          </button>
+                        </div>
+                      )}
+                    </div>
                     <div style={{ fontSize: '0.9em', color: '#666' }}>
                       Date: {formatDate(vital.effectiveDateTime || vital.issued)}
                     </div>
+                    {(vital.performer?.length > 0 || vital.encounter) && (
+                      <div style={{ fontSize: '0.9em', color: '#666' }}>
+                        {vital.performer?.length > 0 && <>Recorded by: {describeReference(vital.performer[0])}</>}
+                        {vital.performer?.length > 0 && vital.encounter && ' · '}
+                        {vital.encounter && <>Encounter: {describeReference(vital.encounter)}{isLaunchEncounter(vital) && ' (this encounter)'}</>}
+                      </div>
+                    )}
+
+                    {/* Correct this vital */}
+                    {editingVital?.id === vital.id && (
+                      <div style={{ marginTop: '10px', padding: '10px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#f9f9f9', display: 'grid', gap: '10px' }}>
+                        {vital.component ? (
+                          <div style={{ display: 'grid', gridTemplateColumns: `repeat(${vital.component.length}, 1fr)`, gap: '10px' }}>
+                            {vital.component.map((comp, compIndex) => comp.valueQuantity && (
+                              <label key={compIndex} style={{ fontSize: '0.9em' }}>
+                                {comp.code?.text || comp.code?.coding?.[0]?.display || 'Value'} ({getUnitLabel(comp.valueQuantity.code) || comp.valueQuantity.unit}):
+                                <input
+                                  type="number"
+                                  value={editingVital.components[compIndex] ?? ''}
+                                  onChange={(e) => setEditingVital({...editingVital, components: {...editingVital.components, [compIndex]: e.target.value}})}
+                                  style={{ width: '100%', padding: '6px', border: '1px solid #ddd', borderRadius: '4px' }}
+                                />
+                              </label>
+                            ))}
+                          </div>
+                        ) : vital.valueQuantity && (
+                          <label style={{ fontSize: '0.9em' }}>
+                            Value ({getUnitLabel(vital.valueQuantity.code) || vital.valueQuantity.unit}):
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={editingVital.value}
+                              onChange={(e) => setEditingVital({...editingVital, value: e.target.value})}
+                              style={{ width: '100%', padding: '6px', border: '1px solid #ddd', borderRadius: '4px' }}
+                            />
+                          </label>
+                        )}
+                        <label style={{ fontSize: '0.9em' }}>
+                          Date/Time:
+                          <input
+                            type="datetime-local"
+                            value={editingVital.date}
+                            onChange={(e) => setEditingVital({...editingVital, date: e.target.value})}
+                            style={{ width: '100%', padding: '6px', border: '1px solid #ddd', borderRadius: '4px' }}
+                          />
+                        </label>
+                        {editError && (
+                          <div style={{ color: '#d32f2f', background: '#ffebee', border: '1px solid #f44336', borderRadius: '4px', padding: '8px' }}>
+                            {editError}
+                          </div>
+                        )}
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                          <button
+                            onClick={() => saveVitalEdit(vital)}
+                            disabled={savingEdit}
+                            style={{ background: savingEdit ? '#ccc' : '#2196f3', color: 'white', border: 'none', padding: '6px 14px', borderRadius: '4px', cursor: savingEdit ? 'not-allowed' : 'pointer' }}
+                          >
+                            {savingEdit ? 'Saving...' : 'Save correction'}
+                          </button>
+                          <button
+                            onClick={cancelEditVital}
+                            style={{ background: '#666', color: 'white', border: 'none', padding: '6px 14px', borderRadius: '4px', cursor: 'pointer' }}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -662,14 +1572,7 @@ export default function Vitals() {
               <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
                 {currentPage > 0 && (
                   <button
-                    onClick={() => {
-                      const prevPage = currentPage - 1;
-                      const startIndex = prevPage * VITALS_PER_PAGE;
-                      const endIndex = startIndex + VITALS_PER_PAGE;
-                      const prevVitals = selectedCategory.vitals.slice(startIndex, endIndex);
-                      setCategoryVitals(prevVitals);
-                      setCurrentPage(prevPage);
-                    }}
+                    onClick={() => setCurrentPage(currentPage - 1)}
                     style={{
                       background: '#666',
                       color: 'white',
@@ -686,16 +1589,17 @@ export default function Vitals() {
                 {hasMoreVitals() && (
                   <button
                     onClick={loadMoreVitals}
+                    disabled={loadingPage}
                     style={{
-                      background: '#4CAF50',
+                      background: loadingPage ? '#ccc' : '#4CAF50',
                       color: 'white',
                       border: 'none',
                       padding: '10px 20px',
                       borderRadius: '4px',
-                      cursor: 'pointer'
+                      cursor: loadingPage ? 'not-allowed' : 'pointer'
                     }}
                   >
-                    Load next 5
+                    {loadingPage ? 'Loading...' : 'Load next 5'}
                   </button>
                 )}
               </div>